@@ -1,15 +1,72 @@
+import { ProjectManager } from './managers/ProjectManager.js';
+import { RevisionManager } from './managers/RevisionManager.js';
+import { TrashManager, TRASH_ITEM_LABELS } from './managers/TrashManager.js';
+import { UndoManager } from './managers/UndoManager.js';
+import { SearchManager, SEARCH_MODES } from './managers/SearchManager.js';
+import { SearchIndexStore } from './managers/SearchIndexStore.js';
+import { DictionaryManager } from './managers/DictionaryManager.js';
+import { SmartFolderManager, DUE_DATE_RANGES } from './managers/SmartFolderManager.js';
+import { DuplicateManager } from './managers/DuplicateManager.js';
+import {
+    projectFromFormData,
+    getPhaseEnteredAt,
+    getProjectPhases,
+    PROJECT_STATUSES,
+    PROJECT_PRIORITIES,
+    PROJECT_VARIABLE_SOURCES,
+    TEAM_ROLE_SOURCE_PREFIX
+} from './models/Project.js';
+import { createDefaultPMConfig as createDefaultPromptPMConfig } from './models/PMPrompt.js';
+import {
+    validateVariableValues,
+    validateTemplate,
+    extractVariables,
+    createVariable,
+    TEMPLATE_CATEGORIES,
+    VARIABLE_TYPES,
+    VARIABLE_TYPE_LABELS,
+    AUTO_VARIABLE_NAMES
+} from './models/Template.js';
+import {
+    createDefaultPMConfig as createDefaultContextPMConfig,
+    createNewVersion,
+    getLatestVersions,
+    getVersionChain
+} from './models/PMContext.js';
+import { buildSideBySideDiff } from './utils/diff.js';
+import { hasQuerySyntax } from './utils/queryParser.js';
+import { getHighlightTerms, findHighlightRanges, createSnippet } from './utils/highlight.js';
+import { formatDate, formatTime } from './utils/dateUtils.js';
+import { normalizeText } from './utils/tokenizer.js';
+
 // ========================================
 // データモデル
 // ========================================
 
 const UNTAGGED_FILTER = '__untagged__';
 
+// サイドバーで選択中のフォルダがスマートフォルダであることを示す接頭辞
+const SMART_FOLDER_PREFIX = 'smart:';
+
+// 横断検索 (Ctrl+K) の対象種別と表示名 (結果の表示順)
+const GLOBAL_SEARCH_TYPES = {
+    prompt: 'プロンプト',
+    context: 'コンテキスト',
+    template: 'テンプレート',
+    project: 'プロジェクト'
+};
+const GLOBAL_SEARCH_LIMIT_PER_TYPE = 8;
+
+// テンプレート検索の入力が止まってから検索するまでの待ち時間 (ミリ秒)
+const TEMPLATE_SEARCH_DEBOUNCE_MS = 150;
+
 // ストレージインターフェース(抽象クラス)
 class StorageInterface {
     async getAll() { throw new Error('Not implemented'); }
     async add(item) { throw new Error('Not implemented'); }
     async update(id, updatedData) { throw new Error('Not implemented'); }
     async delete(id) { throw new Error('Not implemented'); }
+    async put(item) { throw new Error('Not implemented'); }
     async findById(id) { throw new Error('Not implemented'); }
     generateId() {
         return `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
@@ -21,6 +78,9 @@ class StorageManager extends StorageInterface {
     constructor(key) {
         super();
         this.key = key;
+        this.revisionLog = null; // RevisionManager.track() で設定
+        this.commandLog = null; // UndoManager.track() で設定
+        this.searchIndexer = null; // SearchManager.track() / trackGlobal() で設定
     }
 
     async getAll() {
@@ -39,6 +99,7 @@ class StorageManager extends StorageInterface {
         item.updatedAt = new Date().toISOString();
         items.push(item);
         this.save(items);
+        this.notifyChange(null, item);
         return item;
     }
 
@@ -46,24 +107,58 @@ class StorageManager extends StorageInterface {
         const items = await this.getAll();
         const index = items.findIndex(item => item.id === id);
         if (index !== -1) {
+            const previous = items[index];
             items[index] = {
-                ...items[index],
+                ...previous,
                 ...updatedData,
                 updatedAt: new Date().toISOString()
             };
             this.save(items);
+            // 保存に成功した更新のみ履歴に記録する
+            await this.recordRevision(previous, items[index]);
+            this.notifyChange(previous, items[index]);
             return items[index];
         }
         return null;
     }
 
+    async recordRevision(previous, next) {
+        if (!this.revisionLog) return;
+        try {
+            await this.revisionLog.record(previous, next);
+        } catch (error) {
+            // 履歴の記録に失敗しても更新自体は継続する
+            console.error('Failed to record revision:', error);
+        }
+    }
+
+    // IDと作成日時を保持したまま保存 (ゴミ箱からの復元用)
+    async put(item) {
+        const items = await this.getAll();
+        const previous = items.find(existing => existing.id === item.id) || null;
+        this.save([...items.filter(existing => existing.id !== item.id), item]);
+        this.notifyChange(previous, item);
+        return item;
+    }
+
     async delete(id) {
         const items = await this.getAll();
         const filtered = items.filter(item => item.id !== id);
         this.save(filtered);
+        this.notifyChange(items.find(item => item.id === id) || null, null);
         return filtered.length < items.length;
     }
 
+    // 変更をUndo履歴と検索インデックスに通知
+    notifyChange(before, after) {
+        if (this.commandLog) {
+            this.commandLog.capture(before, after);
+        }
+        if (this.searchIndexer) {
+            this.searchIndexer.sync(before, after);
+        }
+    }
+
     async findById(id) {
         const items = await this.getAll();
         return items.find(item => item.id === id);
@@ -72,12 +167,15 @@ class StorageManager extends StorageInterface {
 
 // IndexedDB版StorageManager
 class IndexedDBManager extends StorageInterface {
-    constructor(dbName, storeName, version = 3) {
+    constructor(dbName, storeName, version = 9) {
         super();
         this.dbName = dbName;
         this.storeName = storeName;
         this.version = version;
         this.dbPromise = null;
+        this.revisionLog = null; // RevisionManager.track() で設定
+        this.commandLog = null; // UndoManager.track() で設定
+        this.searchIndexer = null; // SearchManager.track() / trackGlobal() で設定
     }
 
     async init() {
@@ -101,6 +199,15 @@ class IndexedDBManager extends StorageInterface {
                     contextStore.createIndex('createdAt', 'createdAt', { unique: false });
                     contextStore.createIndex('category', 'category', { unique: false });
                     contextStore.createIndex('folder', 'folder', { unique: false });
+                    contextStore.createIndex('tags', 'tags', { unique: false, multiEntry: true });
+                }
+
+                // v7: 既存のcontextsにタグ検索用インデックスを追加
+                if (oldVersion < 7 && oldVersion > 0 && transaction.objectStoreNames.contains('contexts')) {
+                    const contextStore = transaction.objectStore('contexts');
+                    if (!contextStore.indexNames.contains('tags')) {
+                        contextStore.createIndex('tags', 'tags', { unique: false, multiEntry: true });
+                    }
                 }
 
                 // folders Object Store
@@ -128,6 +235,41 @@ class IndexedDBManager extends StorageInterface {
                     templateStore.createIndex('author', 'author', { unique: false });
                 }
 
+                // revisions Object Store - 更新前スナップショット
+                if (!db.objectStoreNames.contains('revisions')) {
+                    const revisionStore = db.createObjectStore('revisions', { keyPath: 'id' });
+                    revisionStore.createIndex('itemId', 'itemId', { unique: false });
+                    revisionStore.createIndex('createdAt', 'createdAt', { unique: false });
+                }
+
+                // trash Object Store - 削除済みアイテム
+                if (!db.objectStoreNames.contains('trash')) {
+                    const trashStore = db.createObjectStore('trash', { keyPath: 'id' });
+                    trashStore.createIndex('itemType', 'itemType', { unique: false });
+                    trashStore.createIndex('deletedAt', 'deletedAt', { unique: false });
+                }
+
+                // searchIndexes / searchIndexPatches Object Store - 検索インデックスのスナップショットと差分ログ
+                if (!db.objectStoreNames.contains('searchIndexes')) {
+                    db.createObjectStore('searchIndexes', { keyPath: 'id' });
+                }
+                if (!db.objectStoreNames.contains('searchIndexPatches')) {
+                    const patchStore = db.createObjectStore('searchIndexPatches', { keyPath: 'id' });
+                    patchStore.createIndex('indexName', 'indexName', { unique: false });
+                }
+
+                // searchDictionary Object Store - 検索辞書 (同義語・ストップワード)
+                if (!db.objectStoreNames.contains('searchDictionary')) {
+                    const dictionaryStore = db.createObjectStore('searchDictionary', { keyPath: 'id' });
+                    dictionaryStore.createIndex('kind', 'kind', { unique: false });
+                }
+
+                // smartFolders Object Store - スマートフォルダ (保存された検索)
+                if (!db.objectStoreNames.contains('smartFolders')) {
+                    const smartFolderStore = db.createObjectStore('smartFolders', { keyPath: 'id' });
+                    smartFolderStore.createIndex('type', 'type', { unique: false });
+                }
+
                 // Phase 1: マイグレーション - 既存プロンプトにpmConfigフィールド追加
                 if (oldVersion < 2 && transaction.objectStoreNames.contains('prompts')) {
                     const promptStore = transaction.objectStore('prompts');
@@ -194,6 +336,7 @@ class IndexedDBManager extends StorageInterface {
 
         const db = await this.dbPromise;
         await db.add(this.storeName, item);
+        this.notifyChange(null, item);
         return item;
     }
 
@@ -208,15 +351,49 @@ class IndexedDBManager extends StorageInterface {
             updatedAt: new Date().toISOString()
         };
         await db.put(this.storeName, newItem);
+        // 保存に成功した更新のみ履歴に記録する
+        await this.recordRevision(item, newItem);
+        this.notifyChange(item, newItem);
         return newItem;
     }
 
+    async recordRevision(previous, next) {
+        if (!this.revisionLog) return;
+        try {
+            await this.revisionLog.record(previous, next);
+        } catch (error) {
+            // 履歴の記録に失敗しても更新自体は継続する
+            console.error('Failed to record revision:', error);
+        }
+    }
+
+    // IDと作成日時を保持したまま保存 (ゴミ箱からの復元用)
+    async put(item) {
+        const db = await this.dbPromise;
+        const previous = this.commandLog || this.searchIndexer ? await db.get(this.storeName, item.id) : null;
+        await db.put(this.storeName, item);
+        this.notifyChange(previous || null, item);
+        return item;
+    }
+
     async delete(id) {
         const db = await this.dbPromise;
+        const previous = this.commandLog || this.searchIndexer ? await db.get(this.storeName, id) : null;
         await db.delete(this.storeName, id);
+        this.notifyChange(previous || null, null);
         return true;
     }
 
+    // 変更をUndo履歴と検索インデックスに通知
+    notifyChange(before, after) {
+        if (this.commandLog) {
+            this.commandLog.capture(before, after);
+        }
+        if (this.searchIndexer) {
+            this.searchIndexer.sync(before, after);
+        }
+    }
+
     async findById(id) {
         const db = await this.dbPromise;
         return db.get(this.storeName, id);
@@ -233,8 +410,33 @@ class IndexedDBManager extends StorageInterface {
      */
     async findByTag(tag) {
         const db = await this.dbPromise;
-        const index = db.transaction(this.storeName).objectStore(this.storeName).index('tags');
-        return index.getAll(tag);
+        const store = db.transaction(this.storeName).objectStore(this.storeName);
+
+        if (store.indexNames.contains('tags')) {
+            return store.index('tags').getAll(tag);
+        }
+
+        console.warn(`No 'tags' index for ${this.storeName}, using full scan`);
+        const items = await store.getAll();
+        return items.filter(item => Array.isArray(item.tags) && item.tags.includes(tag));
+    }
+
+    /**
+     * アイテムIDでインデックス検索 (リビジョン用, O(log n))
+     * @param {string} itemId - アイテムID
+     * @returns {Promise<Array>} マッチしたアイテム配列
+     */
+    async findByItemId(itemId) {
+        const db = await this.dbPromise;
+        const store = db.transaction(this.storeName).objectStore(this.storeName);
+
+        if (store.indexNames.contains('itemId')) {
+            return store.index('itemId').getAll(itemId);
+        }
+
+        console.warn(`No 'itemId' index for ${this.storeName}, using full scan`);
+        const items = await store.getAll();
+        return items.filter(item => item.itemId === itemId);
     }
 
     /**
@@ -483,7 +685,7 @@ class StorageAdapter {
         // IndexedDB対応チェック
         if ('indexedDB' in window && typeof idb !== 'undefined') {
             try {
-                const manager = new IndexedDBManager('cognishelf-db', storeName, 3);
+                const manager = new IndexedDBManager('cognishelf-db', storeName, 9);
                 await manager.init();
 
                 // LocalStorageからマイグレーション
@@ -546,21 +748,47 @@ class CognishelfApp {
         this.contextsManager = null;
         this.foldersManager = null;
         this.templatesManager = null; // Phase 2: テンプレート管理
+        this.projectsManager = null; // Phase 3: プロジェクト管理
+        this.projectManager = null;
+        this.revisionsManager = null;
+        this.revisionManager = null;
+        this.trashStorage = null;
+        this.trashManager = null;
+        this.undoManager = new UndoManager();
+        this.searchIndexStore = null;
+        this.searchManager = null;
+        this.dictionaryManager = null;
+        this.smartFolderManager = null;
+        this.duplicateManager = null;
+        this.duplicateClusters = [];
         this.currentTab = 'prompts';
         this.editingItem = null;
         this.editingType = null;
+        this.editingProject = null;
+        this.editingSmartFolder = null;
+        this.editingTemplate = null;
+        this.templateEditorVariables = new Map(); // 変数名 → 変数定義 (テンプレートから消した変数の設定も保持)
+        this.templateEditorProject = null;
         this.currentPromptSort = 'date-desc';
         this.currentContextSort = 'date-desc';
         this.currentPromptFolder = null; // null = 全表示
         this.currentContextFolder = null;
         this.previewItem = null;
         this.previewType = null;
+        this.diffItem = null;
         this.promptSearchQuery = '';
         this.contextSearchQuery = '';
+        this.promptSearchMode = SEARCH_MODES.AND;
+        this.contextSearchMode = SEARCH_MODES.AND;
         this.currentPromptTag = null;
         this.currentContextTag = null;
         this.currentPromptGrouping = 'none';
         this.currentContextGrouping = 'none';
+        this.templateSearchTimer = null;
+        this.templateSearchController = null;
+        this.globalSearchQuery = '';
+        this.globalSearchResults = [];
+        this.globalSearchSelection = 0;
     }
 
     async init() {
@@ -570,8 +798,62 @@ class CognishelfApp {
             this.contextsManager = await StorageAdapter.createManager('contexts', 'cognishelf-contexts');
             this.foldersManager = await StorageAdapter.createManager('folders', 'cognishelf-folders');
             this.templatesManager = await StorageAdapter.createManager('templates', 'cognishelf-templates'); // Phase 2
+            this.projectsManager = await StorageAdapter.createManager('projects', 'cognishelf-projects'); // Phase 3
+            this.revisionsManager = await StorageAdapter.createManager('revisions', 'cognishelf-revisions');
+
+            // プロンプト・テンプレートの更新時に更新前の状態を記録
+            this.revisionManager = new RevisionManager(this.revisionsManager);
+            this.revisionManager.track(this.promptsManager, 'prompt');
+            this.revisionManager.track(this.templatesManager, 'template');
+
+            // ゴミ箱 (保持期間を過ぎたものは起動時に削除)
+            this.trashStorage = await StorageAdapter.createManager('trash', 'cognishelf-trash');
+            this.trashManager = new TrashManager(this.trashStorage, {
+                prompt: this.promptsManager,
+                context: this.contextsManager,
+                folder: this.foldersManager,
+                template: this.templatesManager
+            });
+            await this.trashManager.purgeExpired();
+
+            // 重複の検出と統合 (統合した重複アイテムはゴミ箱へ移動)
+            this.duplicateManager = new DuplicateManager({
+                prompt: this.promptsManager,
+                context: this.contextsManager
+            }, this.trashManager);
+
+            // 元に戻す / やり直す の対象 (ゴミ箱への移動も含めて巻き戻せるようtrashも記録)
+            [this.promptsManager, this.contextsManager, this.foldersManager, this.trashStorage]
+                .forEach(manager => this.undoManager.track(manager));
+
+            // 全文検索インデックス (保存済みのものを読み込み、以降の追加・更新・削除は自動で反映)
+            this.searchIndexStore = new SearchIndexStore(
+                await StorageAdapter.createManager('searchIndexes', 'cognishelf-search-indexes'),
+                await StorageAdapter.createManager('searchIndexPatches', 'cognishelf-search-index-patches')
+            );
+            this.searchManager = new SearchManager(this.searchIndexStore);
+            this.searchManager.track(this.promptsManager, 'prompt');
+            this.searchManager.track(this.contextsManager, 'context');
+            this.searchManager.trackGlobal(this.templatesManager, 'template');
+            this.searchManager.trackGlobal(this.projectsManager, 'project');
+
+            // 検索辞書 (同義語・ストップワード) はインデックスの読み込み前に反映する
+            this.dictionaryManager = new DictionaryManager(
+                await StorageAdapter.createManager('searchDictionary', 'cognishelf-search-dictionary')
+            );
+            await this.dictionaryManager.init();
+
+            // スマートフォルダ (削除は元に戻せるよう記録)
+            this.smartFoldersStorage = await StorageAdapter.createManager('smartFolders', 'cognishelf-smart-folders');
+            this.smartFolderManager = new SmartFolderManager(this.smartFoldersStorage, this.searchManager);
+            this.undoManager.track(this.smartFoldersStorage);
+
+            // Phase 3: ProjectManager初期化 (前回のアクティブプロジェクトを復元)
+            this.projectManager = new ProjectManager(this.projectsManager);
+            await this.projectManager.init();
 
             this.setupEventListeners();
+            await this.renderProjectSelector();
             const promptGroupingSelect = document.getElementById('prompt-grouping');
             if (promptGroupingSelect) {
                 promptGroupingSelect.value = this.currentPromptGrouping;
@@ -581,6 +863,7 @@ class CognishelfApp {
                 contextGroupingSelect.value = this.currentContextGrouping;
             }
             await this.initializeSampleData();
+            await this.searchManager.init();
             await this.renderFolders('prompt');
             await this.renderFolders('context');
             await this.renderTagFilters('prompt');
@@ -710,6 +993,16 @@ class CognishelfApp {
             this.searchContexts(e.target.value);
         });
 
+        document.getElementById('prompt-search-mode').addEventListener('change', (e) => {
+            this.promptSearchMode = e.target.value;
+            this.renderPrompts();
+        });
+
+        document.getElementById('context-search-mode').addEventListener('change', (e) => {
+            this.contextSearchMode = e.target.value;
+            this.renderContexts();
+        });
+
         // ソート機能
         document.getElementById('prompt-sort').addEventListener('change', (e) => {
             this.currentPromptSort = e.target.value;
@@ -756,6 +1049,15 @@ class CognishelfApp {
             });
         }
 
+        // プレビュー内の検索一致箇所の移動
+        document.getElementById('preview-match-prev').addEventListener('click', () => {
+            this.jumpToPreviewMatch(-1);
+        });
+
+        document.getElementById('preview-match-next').addEventListener('click', () => {
+            this.jumpToPreviewMatch(1);
+        });
+
         // プレビューモーダルのボタン
         document.getElementById('preview-copy-btn').addEventListener('click', () => {
             if (this.previewItem) {
@@ -776,6 +1078,85 @@ class CognishelfApp {
             }
         });
 
+        document.getElementById('preview-diff-btn').addEventListener('click', () => {
+            if (this.previewItem) {
+                const itemId = this.previewItem;
+                const itemType = this.previewType;
+                this.closeAllModals();
+                this.openDiffModal(itemId, itemType);
+            }
+        });
+
+        // プロンプトモーダルのタブ (編集 / 履歴)
+        document.querySelectorAll('#prompt-modal-tabs .modal-tab').forEach(tab => {
+            tab.addEventListener('click', () => {
+                this.switchPromptModalPanel(tab.dataset.panel);
+            });
+        });
+
+        document.getElementById('revision-retention-mode').addEventListener('change', (e) => {
+            document.getElementById('revision-retention-unit').textContent = e.target.value === 'days' ? '日' : '件';
+        });
+
+        document.getElementById('revision-retention-save').addEventListener('click', () => {
+            this.saveRevisionSettings();
+        });
+
+        // ゴミ箱
+        document.getElementById('empty-trash-btn').addEventListener('click', () => {
+            this.emptyTrash();
+        });
+
+        document.getElementById('trash-retention-save').addEventListener('click', () => {
+            this.saveTrashRetention();
+        });
+
+        // 設定: 検索辞書
+        document.getElementById('synonym-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.addSynonymGroup();
+        });
+
+        document.getElementById('custom-stopwords-save').addEventListener('click', () => {
+            this.saveStopwords();
+        });
+
+        document.getElementById('dictionary-export-btn').addEventListener('click', () => {
+            this.exportDictionary();
+        });
+
+        document.getElementById('dictionary-import-input').addEventListener('change', async (e) => {
+            const file = e.target.files && e.target.files[0];
+            if (!file) {
+                return;
+            }
+
+            await this.importDictionary(file);
+            e.target.value = '';
+        });
+
+        // 設定: 重複の検出と統合
+        document.getElementById('duplicate-scan-btn').addEventListener('click', () => {
+            this.scanDuplicates();
+        });
+
+        // 差分モーダル
+        document.getElementById('diff-base-select').addEventListener('change', () => {
+            this.renderDiff();
+        });
+
+        document.getElementById('diff-run-btn').addEventListener('click', () => {
+            this.renderDiff();
+        });
+
+        document.getElementById('diff-back-btn').addEventListener('click', () => {
+            if (this.diffItem) {
+                const { id, type } = this.diffItem;
+                this.closeAllModals();
+                this.openPreviewModal(id, type);
+            }
+        });
+
         document.getElementById('preview-delete-btn').addEventListener('click', () => {
             if (this.previewItem) {
                 const itemId = this.previewItem;
@@ -788,10 +1169,9 @@ class CognishelfApp {
         // Phase 2: テンプレート検索
         const templateSearch = document.getElementById('template-search');
         if (templateSearch) {
-            templateSearch.addEventListener('input', async (e) => {
-                const query = e.target.value;
-                const templates = await window.templateManager.searchTemplates(query);
-                this.renderTemplatesList(templates);
+            templateSearch.addEventListener('input', (e) => {
+                this.templateSearchQuery = e.target.value;
+                this.scheduleTemplateSearch();
             });
         }
 
@@ -808,197 +1188,592 @@ class CognishelfApp {
             });
         });
 
-        // キーボードショートカット
-        document.addEventListener('keydown', (e) => {
-            if (e.key === 'Escape') {
-                this.closeAllModals();
-            }
-        });
-    }
-
-    switchTab(tabName) {
-        this.currentTab = tabName;
-
-        // タブボタンの状態更新
-        document.querySelectorAll('.tab-button').forEach(btn => {
-            btn.classList.toggle('active', btn.dataset.tab === tabName);
+        // Phase 2: カスタムテンプレートエディタ
+        document.getElementById('add-custom-template-btn').addEventListener('click', () => {
+            this.openTemplateEditor();
         });
 
-        // セクションの表示切り替え
-        document.querySelectorAll('.content-section').forEach(section => {
-            section.classList.toggle('active', section.id === `${tabName}-section`);
+        const templateEditorForm = document.getElementById('template-editor-form');
+        const handleTemplateEditorInput = (e) => {
+            if (e.target.closest('#template-variable-rows')) {
+                this.updateTemplateEditorVariable(e.target);
+            } else if (e.target.classList.contains('template-editor-body')) {
+                this.syncTemplateEditorVariables();
+            }
+            this.updateTemplateEditor();
+        };
+        templateEditorForm.addEventListener('input', handleTemplateEditorInput);
+        templateEditorForm.addEventListener('change', handleTemplateEditorInput);
+        templateEditorForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveTemplateEditor();
         });
 
-        // Phase 3: ダッシュボードタブの場合はレンダリング
-        if (tabName === 'dashboard') {
-            this.renderDashboard();
+        // Phase 3: プロジェクト管理
+        const projectSelect = document.getElementById('active-project-select');
+        if (projectSelect) {
+            projectSelect.addEventListener('change', (e) => {
+                this.switchProject(e.target.value || null);
+            });
         }
-    }
 
-    async exportJson() {
-        try {
-            const [prompts, contexts, folders] = await Promise.all([
-                this.promptsManager.getAll(),
-                this.contextsManager.getAll(),
-                this.foldersManager.getAll()
-            ]);
+        const addProjectBtn = document.getElementById('add-project-btn');
+        if (addProjectBtn) {
+            addProjectBtn.addEventListener('click', () => {
+                this.openProjectModal();
+            });
+        }
 
-            const exportPayload = {
-                version: 1,
-                exportedAt: new Date().toISOString(),
-                prompts,
-                contexts,
-                folders
-            };
+        const manageProjectsBtn = document.getElementById('manage-projects-btn');
+        if (manageProjectsBtn) {
+            manageProjectsBtn.addEventListener('click', () => {
+                this.openProjectsListModal();
+            });
+        }
 
-            const blob = new Blob([JSON.stringify(exportPayload, null, 2)], { type: 'application/json' });
-            const url = URL.createObjectURL(blob);
-            const link = document.createElement('a');
-            const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-            link.href = url;
-            link.download = `cognishelf-backup-${timestamp}.json`;
-            document.body.appendChild(link);
-            link.click();
-            document.body.removeChild(link);
-            URL.revokeObjectURL(url);
+        const projectForm = document.getElementById('project-form');
+        if (projectForm) {
+            projectForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.saveProject();
+            });
+        }
 
-            this.showToast('JSONをエクスポートしました', 'success');
-        } catch (error) {
-            console.error('Failed to export JSON:', error);
-            this.showToast('JSONエクスポートに失敗しました', 'error');
+        const projectsSearch = document.getElementById('projects-search');
+        if (projectsSearch) {
+            projectsSearch.addEventListener('input', () => {
+                this.renderProjectsList();
+            });
         }
-    }
 
-    async importJson(file) {
-        if (!file) return;
+        const projectsStatusFilter = document.getElementById('projects-status-filter');
+        if (projectsStatusFilter) {
+            projectsStatusFilter.addEventListener('change', () => {
+                this.renderProjectsList();
+            });
+        }
 
-        try {
-            const fileContent = await file.text();
-            const data = JSON.parse(fileContent);
+        // スマートフォルダ
+        document.getElementById('smart-folder-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveSmartFolder();
+        });
+        document.getElementById('smart-folder-due-range').addEventListener('change', () => {
+            this.toggleSmartFolderCustomRange();
+        });
 
-            if (!data || typeof data !== 'object') {
-                throw new Error('Invalid JSON structure');
-            }
+        // 横断検索 (Ctrl+K)
+        document.getElementById('global-search-btn').addEventListener('click', () => {
+            this.openGlobalSearch();
+        });
 
-            const prompts = Array.isArray(data.prompts) ? data.prompts : [];
-            const contexts = Array.isArray(data.contexts) ? data.contexts : [];
-            const folders = Array.isArray(data.folders) ? data.folders : [];
+        const globalSearchInput = document.getElementById('global-search-input');
+        globalSearchInput.addEventListener('input', () => {
+            this.updateGlobalSearch();
+        });
+        globalSearchInput.addEventListener('keydown', (e) => {
+            this.handleGlobalSearchKeydown(e);
+        });
 
-            const folderIdMap = {};
+        document.getElementById('global-search-results').addEventListener('click', (e) => {
+            const item = e.target.closest('.global-search-item');
+            if (!item) return;
 
-            for (const folder of folders) {
-                if (!folder || typeof folder !== 'object') continue;
+            const entry = this.globalSearchResults[Number(item.dataset.index)];
+            const action = e.target.closest('[data-action]')?.dataset.action || 'open';
+            this.runGlobalSearchAction(entry, action);
+        });
 
-                const name = typeof folder.name === 'string' ? folder.name.trim() : '';
-                const type = folder.type;
+        // キーボードショートカット
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                this.closeAllModals();
+            }
 
-                if (!name || (type !== 'prompt' && type !== 'context')) {
-                    continue;
-                }
+            // Ctrl+K: 横断検索 (入力中でも開く)
+            if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'k') {
+                e.preventDefault();
+                this.openGlobalSearch();
+            }
 
-                const newFolder = await this.getOrCreateFolder(name, type);
-                if (folder.id) {
-                    folderIdMap[folder.id] = newFolder.id;
+            // Ctrl+Z: 元に戻す / Ctrl+Shift+Z: やり直す (入力中はブラウザ標準の動作を優先)
+            if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'z' && !this.isEditableTarget(e.target)) {
+                e.preventDefault();
+                if (e.shiftKey) {
+                    this.redo();
+                } else {
+                    this.undo();
                 }
             }
+        });
+    }
 
-            let importedPromptCount = 0;
-
-            for (const prompt of prompts) {
-                if (!prompt || typeof prompt !== 'object') continue;
+    isEditableTarget(target) {
+        if (!target || !target.tagName) return false;
+        return ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName) || target.isContentEditable;
+    }
 
-                const title = typeof prompt.title === 'string' ? prompt.title.trim() : '';
-                const content = typeof prompt.content === 'string' ? prompt.content : '';
+    // ========================================
+    // 横断検索 (Ctrl+K)
+    // ========================================
 
-                if (!title || !content.trim()) {
-                    continue;
-                }
+    openGlobalSearch() {
+        this.closeAllModals();
+        document.getElementById('global-search-modal').classList.add('active');
 
-                const promptData = {
-                    title,
-                    content
-                };
+        // 前回の検索語を残し、すぐに打ち直せるよう全選択
+        const input = document.getElementById('global-search-input');
+        input.focus();
+        input.select();
+        this.updateGlobalSearch();
+    }
 
-                if (Array.isArray(prompt.tags)) {
-                    const tags = prompt.tags
-                        .map(tag => typeof tag === 'string' ? tag.trim() : '')
-                        .filter(tag => tag);
-                    if (tags.length > 0) {
-                        promptData.tags = tags;
-                    }
-                } else if (typeof prompt.tags === 'string' && prompt.tags.trim()) {
-                    const tags = prompt.tags
-                        .split(',')
-                        .map(tag => tag.trim())
-                        .filter(tag => tag);
-                    if (tags.length > 0) {
-                        promptData.tags = tags;
-                    }
-                }
+    async updateGlobalSearch() {
+        const query = document.getElementById('global-search-input').value;
+        const results = query.trim()
+            ? this.searchManager.searchGlobal(query, { limitPerType: GLOBAL_SEARCH_LIMIT_PER_TYPE })
+            : [];
+        const entries = await this.resolveGlobalSearchResults(results);
 
-                if (prompt.folder && folderIdMap[prompt.folder]) {
-                    promptData.folder = folderIdMap[prompt.folder];
-                }
+        // 入力が進んでいれば古い検索結果は捨てる
+        if (document.getElementById('global-search-input').value !== query) return;
 
-                await this.promptsManager.add(promptData);
-                importedPromptCount += 1;
-            }
+        this.globalSearchQuery = query;
+        this.globalSearchResults = entries;
+        this.globalSearchSelection = 0;
+        this.renderGlobalSearchResults();
+    }
 
-            let importedContextCount = 0;
+    /**
+     * 横断検索の結果 ({ type, id }) をアイテムに解決し、種別ごとにまとめて並べる
+     * コンテキストは最新版のみを対象にする
+     * @param {Array<Object>} results - SearchManager.searchGlobal の結果
+     * @returns {Promise<Array<Object>>} [{ type, item }]
+     */
+    async resolveGlobalSearchResults(results) {
+        if (results.length === 0) return [];
+
+        const managers = {
+            prompt: this.promptsManager,
+            context: this.contextsManager,
+            template: this.templatesManager,
+            project: this.projectsManager
+        };
+        const itemsByType = {};
+        for (const type of new Set(results.map(result => result.type))) {
+            const items = await managers[type].getAll();
+            const visible = type === 'context' ? getLatestVersions(items) : items;
+            itemsByType[type] = new Map(visible.map(item => [item.id, item]));
+        }
 
-            for (const context of contexts) {
-                if (!context || typeof context !== 'object') continue;
+        const entries = results
+            .map(result => ({ type: result.type, item: itemsByType[result.type].get(result.id) }))
+            .filter(entry => entry.item);
 
-                const title = typeof context.title === 'string' ? context.title.trim() : '';
-                const content = typeof context.content === 'string' ? context.content : '';
+        // 種別ごとにまとめる (種別内はスコア順を保つ)
+        const typeOrder = Object.keys(GLOBAL_SEARCH_TYPES);
+        return entries.sort((a, b) => typeOrder.indexOf(a.type) - typeOrder.indexOf(b.type));
+    }
 
-                if (!title || !content.trim()) {
-                    continue;
-                }
+    renderGlobalSearchResults() {
+        const container = document.getElementById('global-search-results');
+        const entries = this.globalSearchResults || [];
 
-                const contextData = {
-                    title,
-                    content
-                };
+        if (entries.length === 0) {
+            container.innerHTML = this.globalSearchQuery?.trim()
+                ? '<p class="global-search-empty">一致するアイテムはありません</p>'
+                : '<p class="global-search-empty">検索語を入力してください</p>';
+            return;
+        }
 
-                if (context.category && typeof context.category === 'string') {
-                    const categoryValue = context.category.trim();
-                    if (categoryValue) {
-                        contextData.category = categoryValue;
-                    }
-                }
+        const terms = getHighlightTerms(this.globalSearchQuery);
+        let html = '';
+        entries.forEach((entry, index) => {
+            if (index === 0 || entries[index - 1].type !== entry.type) {
+                html += `<div class="global-search-group">${GLOBAL_SEARCH_TYPES[entry.type]}</div>`;
+            }
 
-                if (Array.isArray(context.tags)) {
-                    const tags = context.tags
-                        .map(tag => typeof tag === 'string' ? tag.trim() : '')
-                        .filter(tag => tag);
-                    contextData.tags = tags;
-                } else if (typeof context.tags === 'string' && context.tags.trim()) {
-                    const tags = context.tags
-                        .split(',')
-                        .map(tag => tag.trim())
-                        .filter(tag => tag);
-                    contextData.tags = tags;
-                } else {
-                    contextData.tags = [];
-                }
+            const { title, text } = this.getGlobalSearchDisplay(entry);
+            html += `
+                <div class="global-search-item ${index === this.globalSearchSelection ? 'is-selected' : ''}" data-index="${index}">
+                    <div class="global-search-item-main">
+                        <span class="global-search-badge global-search-badge-${entry.type}">${GLOBAL_SEARCH_TYPES[entry.type]}</span>
+                        <span class="global-search-title">${this.highlightText(title, terms)}</span>
+                    </div>
+                    ${this.renderSearchSnippet(text, terms)}
+                    <div class="global-search-actions">
+                        ${entry.type !== 'project' ? '<button type="button" class="btn btn-small btn-secondary" data-action="copy">コピー</button>' : ''}
+                        ${entry.type === 'template' ? '<button type="button" class="btn btn-small btn-secondary" data-action="apply">適用</button>' : ''}
+                        ${entry.type === 'project' ? '<button type="button" class="btn btn-small btn-secondary" data-action="apply">切り替え</button>' : ''}
+                    </div>
+                </div>
+            `;
+        });
+        container.innerHTML = html;
+    }
 
-                if (context.folder && folderIdMap[context.folder]) {
-                    contextData.folder = folderIdMap[context.folder];
-                }
+    getGlobalSearchDisplay({ type, item }) {
+        switch (type) {
+            case 'template':
+                return { title: item.name, text: [item.description, item.promptTemplate].filter(Boolean).join('\n') };
+            case 'project':
+                return { title: item.name, text: item.description || '' };
+            default:
+                return { title: item.title, text: item.content };
+        }
+    }
 
-                await this.contextsManager.add(contextData);
-                importedContextCount += 1;
-            }
+    handleGlobalSearchKeydown(e) {
+        const entries = this.globalSearchResults || [];
 
-            await this.renderFolders('prompt');
-            await this.renderFolders('context');
-            await this.renderTagFilters('prompt');
-            await this.renderTagFilters('context');
-            await this.renderPrompts();
-            await this.renderContexts();
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            if (entries.length === 0) return;
 
-            this.showToast(`インポートが完了しました (プロンプト${importedPromptCount}件, コンテキスト${importedContextCount}件)`, 'success');
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            this.globalSearchSelection = (this.globalSearchSelection + step + entries.length) % entries.length;
+            this.renderGlobalSearchResults();
+            document.querySelector('.global-search-item.is-selected')?.scrollIntoView?.({ block: 'nearest' });
+            return;
+        }
+
+        if (e.key === 'Enter' && !e.isComposing) {
+            e.preventDefault();
+            const entry = entries[this.globalSearchSelection];
+            if (!entry) return;
+
+            if (e.shiftKey) {
+                this.runGlobalSearchAction(entry, 'copy');
+            } else if (e.ctrlKey || e.metaKey) {
+                this.runGlobalSearchAction(entry, 'apply');
+            } else {
+                this.runGlobalSearchAction(entry, 'open');
+            }
+        }
+    }
+
+    /**
+     * 横断検索の結果に対する操作を実行
+     * @param {Object} entry - { type, item }
+     * @param {string} action - 'open' | 'copy' | 'apply'
+     */
+    async runGlobalSearchAction(entry, action) {
+        const { type, item } = entry;
+
+        if (action === 'copy') {
+            if (type === 'template') {
+                await this.copyTemplateToClipboard(item.id);
+            } else if (type === 'project') {
+                this.showToast('プロジェクトはコピーできません', 'error');
+            } else {
+                await this.copyToClipboard(item.id, type);
+            }
+            return;
+        }
+
+        this.closeAllModals();
+
+        if (action === 'apply' && type === 'template') {
+            await this.openTemplateApplyModal(item.id);
+        } else if (action === 'apply' && type === 'project') {
+            await this.switchProject(item.id);
+        } else if (type === 'template') {
+            await this.previewTemplate(item.id);
+        } else if (type === 'project') {
+            await this.openProjectModal(item.id);
+        } else {
+            await this.openPreviewModal(item.id, type);
+        }
+    }
+
+    // ========================================
+    // 元に戻す / やり直す
+    // ========================================
+
+    async undo() {
+        try {
+            const command = await this.undoManager.undo();
+            if (!command) {
+                this.showToast('元に戻せる操作はありません', 'error');
+                return;
+            }
+
+            await this.refreshAfterHistoryChange();
+            this.showToast(`「${command.label}」を元に戻しました`, 'success', {
+                label: 'やり直す',
+                handler: () => this.redo()
+            });
+        } catch (error) {
+            console.error('Failed to undo:', error);
+            this.showToast('元に戻せませんでした', 'error');
+        }
+    }
+
+    async redo() {
+        try {
+            const command = await this.undoManager.redo();
+            if (!command) {
+                this.showToast('やり直せる操作はありません', 'error');
+                return;
+            }
+
+            await this.refreshAfterHistoryChange();
+            this.showToast(`「${command.label}」をやり直しました`, 'success', this.createUndoAction(command));
+        } catch (error) {
+            console.error('Failed to redo:', error);
+            this.showToast('やり直せませんでした', 'error');
+        }
+    }
+
+    /**
+     * 操作を取り消すトーストアクションを作成
+     * @param {Object|null} command - 対象のコマンド (省略時は直前に記録した操作)
+     * @returns {Object|null} showToast() に渡すアクション (記録がなければnull)
+     */
+    createUndoAction(command = this.undoManager.lastCommand) {
+        if (!command) return null;
+
+        return {
+            label: '元に戻す',
+            handler: () => {
+                // 後続の操作がある場合は、このトーストの操作まで戻さない
+                if (this.undoManager.peekUndo() === command) {
+                    this.undo();
+                } else {
+                    this.showToast('この操作の後に別の操作が行われたため元に戻せません', 'error');
+                }
+            }
+        };
+    }
+
+    async refreshAfterHistoryChange() {
+        this.closeAllModals();
+        await this.refreshItemType('prompt');
+        await this.refreshItemType('context');
+
+        if (this.currentTab === 'dashboard') {
+            await this.renderDashboard();
+        }
+        if (this.currentTab === 'trash') {
+            await this.renderTrash();
+        }
+    }
+
+    switchTab(tabName) {
+        this.currentTab = tabName;
+
+        // タブボタンの状態更新
+        document.querySelectorAll('.tab-button').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.tab === tabName);
+        });
+
+        // セクションの表示切り替え
+        document.querySelectorAll('.content-section').forEach(section => {
+            section.classList.toggle('active', section.id === `${tabName}-section`);
+        });
+
+        // Phase 3: ダッシュボードタブの場合はレンダリング
+        if (tabName === 'dashboard') {
+            this.renderDashboard();
+        }
+
+        if (tabName === 'trash') {
+            this.renderTrash();
+        }
+
+        if (tabName === 'settings') {
+            this.renderDictionary();
+        }
+    }
+
+    async exportJson() {
+        try {
+            const [prompts, contexts, folders] = await Promise.all([
+                this.promptsManager.getAll(),
+                this.contextsManager.getAll(),
+                this.foldersManager.getAll()
+            ]);
+
+            const exportPayload = {
+                version: 1,
+                exportedAt: new Date().toISOString(),
+                prompts,
+                contexts,
+                folders
+            };
+
+            const blob = new Blob([JSON.stringify(exportPayload, null, 2)], { type: 'application/json' });
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+            link.href = url;
+            link.download = `cognishelf-backup-${timestamp}.json`;
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+            URL.revokeObjectURL(url);
+
+            this.showToast('JSONをエクスポートしました', 'success');
+        } catch (error) {
+            console.error('Failed to export JSON:', error);
+            this.showToast('JSONエクスポートに失敗しました', 'error');
+        }
+    }
+
+    async importJson(file) {
+        if (!file) return;
+
+        try {
+            const fileContent = await file.text();
+            const data = JSON.parse(fileContent);
+
+            if (!data || typeof data !== 'object') {
+                throw new Error('Invalid JSON structure');
+            }
+
+            const prompts = Array.isArray(data.prompts) ? data.prompts : [];
+            const contexts = Array.isArray(data.contexts) ? data.contexts : [];
+            const folders = Array.isArray(data.folders) ? data.folders : [];
+
+            // インポート全体を1つの操作として記録 (元に戻すと一括で取り消し)
+            const { importedPromptCount, importedContextCount } = await this.undoManager.run('JSONインポート', async () => {
+                const folderIdMap = {};
+
+                // アクティブプロジェクト選択中はインポートしたアイテムをそのプロジェクトに紐付け
+                const activeProject = await this.projectManager.getActiveProject();
+
+                for (const folder of folders) {
+                    if (!folder || typeof folder !== 'object') continue;
+
+                    const name = typeof folder.name === 'string' ? folder.name.trim() : '';
+                    const type = folder.type;
+
+                    if (!name || (type !== 'prompt' && type !== 'context')) {
+                        continue;
+                    }
+
+                    const newFolder = await this.getOrCreateFolder(name, type);
+                    if (folder.id) {
+                        folderIdMap[folder.id] = newFolder.id;
+                    }
+                }
+
+                let importedPromptCount = 0;
+
+                for (const prompt of prompts) {
+                    if (!prompt || typeof prompt !== 'object') continue;
+
+                    const title = typeof prompt.title === 'string' ? prompt.title.trim() : '';
+                    const content = typeof prompt.content === 'string' ? prompt.content : '';
+
+                    if (!title || !content.trim()) {
+                        continue;
+                    }
+
+                    const promptData = {
+                        title,
+                        content
+                    };
+
+                    if (Array.isArray(prompt.tags)) {
+                        const tags = prompt.tags
+                            .map(tag => typeof tag === 'string' ? tag.trim() : '')
+                            .filter(tag => tag);
+                        if (tags.length > 0) {
+                            promptData.tags = tags;
+                        }
+                    } else if (typeof prompt.tags === 'string' && prompt.tags.trim()) {
+                        const tags = prompt.tags
+                            .split(',')
+                            .map(tag => tag.trim())
+                            .filter(tag => tag);
+                        if (tags.length > 0) {
+                            promptData.tags = tags;
+                        }
+                    }
+
+                    if (prompt.folder && folderIdMap[prompt.folder]) {
+                        promptData.folder = folderIdMap[prompt.folder];
+                    }
+
+                    if (activeProject) {
+                        promptData.pmConfig = {
+                            ...createDefaultPromptPMConfig(),
+                            projectId: activeProject.id,
+                            projectName: activeProject.name
+                        };
+                    }
+
+                    await this.promptsManager.add(promptData);
+                    importedPromptCount += 1;
+                }
+
+                let importedContextCount = 0;
+
+                for (const context of contexts) {
+                    if (!context || typeof context !== 'object') continue;
+
+                    const title = typeof context.title === 'string' ? context.title.trim() : '';
+                    const content = typeof context.content === 'string' ? context.content : '';
+
+                    if (!title || !content.trim()) {
+                        continue;
+                    }
+
+                    const contextData = {
+                        title,
+                        content
+                    };
+
+                    if (context.category && typeof context.category === 'string') {
+                        const categoryValue = context.category.trim();
+                        if (categoryValue) {
+                            contextData.category = categoryValue;
+                        }
+                    }
+
+                    if (Array.isArray(context.tags)) {
+                        const tags = context.tags
+                            .map(tag => typeof tag === 'string' ? tag.trim() : '')
+                            .filter(tag => tag);
+                        contextData.tags = tags;
+                    } else if (typeof context.tags === 'string' && context.tags.trim()) {
+                        const tags = context.tags
+                            .split(',')
+                            .map(tag => tag.trim())
+                            .filter(tag => tag);
+                        contextData.tags = tags;
+                    } else {
+                        contextData.tags = [];
+                    }
+
+                    if (context.folder && folderIdMap[context.folder]) {
+                        contextData.folder = folderIdMap[context.folder];
+                    }
+
+                    if (activeProject) {
+                        contextData.pmConfig = {
+                            ...createDefaultContextPMConfig(),
+                            projectId: activeProject.id,
+                            projectName: activeProject.name
+                        };
+                    }
+
+                    await this.contextsManager.add(contextData);
+                    importedContextCount += 1;
+                }
+
+                return { importedPromptCount, importedContextCount };
+            });
+
+            await this.renderFolders('prompt');
+            await this.renderFolders('context');
+            await this.renderTagFilters('prompt');
+            await this.renderTagFilters('context');
+            await this.renderPrompts();
+            await this.renderContexts();
+
+            this.showToast(`インポートが完了しました (プロンプト${importedPromptCount}件, コンテキスト${importedContextCount}件)`, 'success', this.createUndoAction());
         } catch (error) {
             console.error('Failed to import JSON:', error);
             this.showToast('JSONインポートに失敗しました', 'error');
@@ -1033,15 +1808,14 @@ class CognishelfApp {
     }
 
     async renderPrompts() {
-        let prompts = await this.promptsManager.getAll();
-
-        if (this.promptSearchQuery) {
-            const query = this.promptSearchQuery.toLowerCase();
-            prompts = prompts.filter(prompt => {
-                const tagText = Array.isArray(prompt.tags) ? prompt.tags.join(' ') : '';
-                const searchStr = `${prompt.title} ${prompt.content} ${tagText}`.toLowerCase();
-                return searchStr.includes(query);
-            });
+        let prompts = await this.getScopedItems('prompt');
+
+        // 検索中は関連度順 (同スコアは選択中の並び順)
+        const searchScores = this.promptSearchQuery
+            ? await this.getSearchScores(prompts, 'prompt', this.promptSearchQuery, this.promptSearchMode)
+            : null;
+        if (searchScores) {
+            prompts = prompts.filter(prompt => searchScores.has(prompt.id));
         }
 
         if (this.currentPromptTag === UNTAGGED_FILTER) {
@@ -1052,11 +1826,19 @@ class CognishelfApp {
 
         if (this.currentPromptFolder === 'uncategorized') {
             prompts = prompts.filter(p => !p.folder);
+        } else if (this.isSmartFolderKey(this.currentPromptFolder)) {
+            prompts = await this.filterBySmartFolder(prompts, 'prompt', this.currentPromptFolder);
         } else if (this.currentPromptFolder) {
             prompts = this.filterByFolder(prompts, this.currentPromptFolder);
         }
 
         prompts = this.sortItems(prompts, this.currentPromptSort);
+        if (searchScores) {
+            prompts.sort((a, b) => searchScores.get(b.id) - searchScores.get(a.id));
+        }
+
+        // データの変更に合わせてスマートフォルダの件数も更新
+        await this.updateSmartFolderCounts('prompt');
 
         const grid = document.getElementById('prompts-grid');
         if (!grid) return;
@@ -1067,6 +1849,7 @@ class CognishelfApp {
         if (prompts.length === 0) {
             grid.classList.remove('is-grouped');
             const hasFilters = Boolean(
+                this.getActiveProjectId() ||
                 this.promptSearchQuery ||
                 this.currentPromptFolder ||
                 this.currentPromptTag
@@ -1092,13 +1875,17 @@ class CognishelfApp {
             prompt.tags.map(tag => `<span class="tag">${this.escapeHtml(tag)}</span>`).join('') :
             '';
 
+        // 検索中は本文の一致箇所周辺を表示
+        const terms = this.getSearchHighlightTerms('prompt');
+        const snippet = this.renderSearchSnippet(prompt.content, terms);
+
         return `
             <div class="card" data-id="${prompt.id}" data-type="prompt">
                 <div class="card-header">
-                    <h3 class="card-title">${this.escapeHtml(prompt.title)}</h3>
+                    <h3 class="card-title">${this.highlightText(prompt.title, terms)}</h3>
                     <div class="card-meta">${this.formatDate(prompt.createdAt)}</div>
                 </div>
-                <div class="card-content markdown-content">${this.renderMarkdown(prompt.content)}</div>
+                ${snippet || `<div class="card-content markdown-content">${this.renderMarkdown(prompt.content)}</div>`}
                 ${tags ? `<div class="card-tags">${tags}</div>` : ''}
                 <div class="card-actions">
                     <button class="btn btn-small btn-success copy-btn" data-id="${prompt.id}" data-type="prompt">
@@ -1118,6 +1905,7 @@ class CognishelfApp {
             const prompt = await this.promptsManager.findById(promptId);
             if (prompt) {
                 title.textContent = 'プロンプトを編集';
+                await this.renderProjectOptions('pm-project-id', prompt.pmConfig?.projectId || '');
                 document.getElementById('prompt-title').value = prompt.title;
                 document.getElementById('prompt-content').value = prompt.content;
                 document.getElementById('prompt-tags').value = prompt.tags ? prompt.tags.join(', ') : '';
@@ -1133,7 +1921,6 @@ class CognishelfApp {
                 // PM設定を読み込み
                 if (prompt.pmConfig) {
                     const pm = prompt.pmConfig;
-                    document.getElementById('pm-project-name').value = pm.projectName || '';
                     document.getElementById('pm-phase').value = pm.phase || '未分類';
                     document.getElementById('pm-priority').value = pm.priority || '中';
                     document.getElementById('pm-status').value = pm.status || '下書き';
@@ -1156,9 +1943,22 @@ class CognishelfApp {
         } else {
             title.textContent = 'プロンプトを追加';
             form.reset();
+            await this.renderProjectOptions('pm-project-id', this.getActiveProjectId() || '');
+
+            // アクティブプロジェクトの現在フェーズを初期値にする
+            const activeProject = await this.projectManager.getActiveProject();
+            const phaseSelect = document.getElementById('pm-phase');
+            if (activeProject && phaseSelect && Array.from(phaseSelect.options).some(opt => opt.value === activeProject.currentPhase)) {
+                phaseSelect.value = activeProject.currentPhase;
+            }
+
             this.editingItem = null;
         }
 
+        // 履歴タブは既存プロンプトの編集時のみ表示
+        document.getElementById('prompt-modal-tabs').style.display = this.editingItem ? 'flex' : 'none';
+        this.switchPromptModalPanel('prompt-form');
+
         this.editingType = 'prompt';
         modal.classList.add('active');
     }
@@ -1177,16 +1977,8 @@ class CognishelfApp {
 
         const promptData = { title, content, tags };
 
-        // フォルダ処理
-        if (folderName) {
-            const folder = await this.getOrCreateFolder(folderName, 'prompt');
-            promptData.folder = folder.id;
-        } else {
-            promptData.folder = null;
-        }
-
         // PM設定処理
-        const pmProjectName = document.getElementById('pm-project-name')?.value.trim();
+        const pmProjectId = document.getElementById('pm-project-id')?.value || null;
         const pmPhase = document.getElementById('pm-phase')?.value;
         const pmPriority = document.getElementById('pm-priority')?.value;
         const pmStatus = document.getElementById('pm-status')?.value;
@@ -1214,7 +2006,7 @@ class CognishelfApp {
         };
 
         // PM設定を更新
-        pmConfig.projectName = pmProjectName || pmConfig.projectName;
+        await this.applyProjectToPmConfig(pmConfig, pmProjectId);
         pmConfig.phase = pmPhase || pmConfig.phase;
         pmConfig.priority = pmPriority || pmConfig.priority;
         pmConfig.status = pmStatus || pmConfig.status;
@@ -1234,13 +2026,18 @@ class CognishelfApp {
 
         promptData.pmConfig = pmConfig;
 
-        if (this.editingItem) {
-            await this.promptsManager.update(this.editingItem, promptData);
-            this.showToast('プロンプトを更新しました', 'success');
-        } else {
+        // フォルダの作成も含めて1つの操作として記録
+        const message = await this.undoManager.run(this.editingItem ? 'プロンプトの更新' : 'プロンプトの追加', async () => {
+            promptData.folder = folderName ? (await this.getOrCreateFolder(folderName, 'prompt')).id : null;
+
+            if (this.editingItem) {
+                await this.promptsManager.update(this.editingItem, promptData);
+                return 'プロンプトを更新しました';
+            }
             await this.promptsManager.add(promptData);
-            this.showToast('プロンプトを追加しました', 'success');
-        }
+            return 'プロンプトを追加しました';
+        });
+        this.showToast(message, 'success', this.createUndoAction());
 
         await this.renderFolders('prompt');
         await this.renderTagFilters('prompt');
@@ -1248,61 +2045,337 @@ class CognishelfApp {
         this.closeAllModals();
     }
 
-    async searchPrompts(query) {
-        this.promptSearchQuery = query;
-        await this.renderPrompts();
+    async switchPromptModalPanel(panelId) {
+        document.querySelectorAll('#prompt-modal-tabs .modal-tab').forEach(tab => {
+            tab.classList.toggle('active', tab.dataset.panel === panelId);
+        });
+        document.getElementById('prompt-form').style.display = panelId === 'prompt-form' ? 'block' : 'none';
+        document.getElementById('prompt-history').style.display = panelId === 'prompt-history' ? 'block' : 'none';
+
+        if (panelId === 'prompt-history') {
+            const { mode, limit } = this.revisionManager.getSettings();
+            document.getElementById('revision-retention-mode').value = mode;
+            document.getElementById('revision-retention-limit').value = limit;
+            document.getElementById('revision-retention-unit').textContent = mode === 'days' ? '日' : '件';
+            await this.renderPromptRevisions();
+        }
     }
 
-    // ========================================
-    // コンテキスト管理
-    // ========================================
-
-    async renderContexts() {
-        let contexts = await this.contextsManager.getAll();
-
-        if (this.contextSearchQuery) {
-            const query = this.contextSearchQuery.toLowerCase();
-            contexts = contexts.filter(context => {
-                const tagText = Array.isArray(context.tags) ? context.tags.join(' ') : '';
-                const searchStr = `${context.title} ${context.content} ${context.category || ''} ${tagText}`.toLowerCase();
-                return searchStr.includes(query);
-            });
+    async renderPromptRevisions() {
+        const container = document.getElementById('prompt-revision-list');
+        if (!this.editingItem) {
+            container.innerHTML = '';
+            return;
         }
 
-        if (this.currentContextTag === UNTAGGED_FILTER) {
-            contexts = contexts.filter(context => !context.tags || context.tags.length === 0);
-        } else if (this.currentContextTag) {
-            contexts = contexts.filter(context => Array.isArray(context.tags) && context.tags.includes(this.currentContextTag));
+        const revisions = await this.revisionManager.getRevisions(this.editingItem);
+        if (revisions.length === 0) {
+            container.innerHTML = '<p class="revision-empty">まだ更新履歴はありません</p>';
+            return;
         }
 
-        if (this.currentContextFolder === 'uncategorized') {
-            contexts = contexts.filter(c => !c.folder);
-        } else if (this.currentContextFolder) {
-            contexts = this.filterByFolder(contexts, this.currentContextFolder);
-        }
+        container.innerHTML = revisions.map(revision => {
+            const snapshot = revision.snapshot;
+            const tags = Array.isArray(snapshot.tags) && snapshot.tags.length > 0
+                ? `<span class="revision-tags">タグ: ${this.escapeHtml(snapshot.tags.join(', '))}</span>`
+                : '';
+            return `
+                <div class="revision-item">
+                    <div class="revision-header">
+                        <div class="revision-info">
+                            <span class="revision-date">${this.escapeHtml(new Date(revision.createdAt).toLocaleString('ja-JP'))}</span>
+                            <span class="revision-title">${this.escapeHtml(snapshot.title)}</span>
+                            ${tags}
+                        </div>
+                        <div class="revision-actions">
+                            <button type="button" class="btn btn-small btn-secondary toggle-revision-btn" data-id="${revision.id}">表示</button>
+                            <button type="button" class="btn btn-small restore-revision-btn" data-id="${revision.id}">復元</button>
+                        </div>
+                    </div>
+                    <pre class="revision-content" id="revision-content-${revision.id}" style="display: none;">${this.escapeHtml(snapshot.content)}</pre>
+                </div>
+            `;
+        }).join('');
 
-        contexts = this.sortItems(contexts, this.currentContextSort);
+        container.querySelectorAll('.toggle-revision-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const content = document.getElementById(`revision-content-${btn.dataset.id}`);
+                const hidden = content.style.display === 'none';
+                content.style.display = hidden ? 'block' : 'none';
+                btn.textContent = hidden ? '閉じる' : '表示';
+            });
+        });
 
-        const grid = document.getElementById('contexts-grid');
-        if (!grid) return;
+        container.querySelectorAll('.restore-revision-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.restorePromptRevision(btn.dataset.id);
+            });
+        });
+    }
 
-        const shouldGroup = this.currentContextGrouping && this.currentContextGrouping !== 'none';
-        grid.classList.toggle('is-grouped', Boolean(shouldGroup));
+    async restorePromptRevision(revisionId) {
+        try {
+            const revision = await this.revisionManager.getRevision(revisionId);
+            if (!revision) {
+                this.showToast('履歴が見つかりません', 'error');
+                return;
+            }
 
-        if (contexts.length === 0) {
-            grid.classList.remove('is-grouped');
-            const hasFilters = Boolean(
-                this.contextSearchQuery ||
-                this.currentContextFolder ||
-                this.currentContextTag
+            const promptId = revision.itemId;
+            const { title, content, tags, folder, pmConfig } = revision.snapshot;
+
+            // 復元も通常の更新として扱うため、復元前の状態も履歴に残る
+            const restored = await this.undoManager.untracked(
+                () => this.promptsManager.update(promptId, { title, content, tags, folder, pmConfig })
             );
-            const title = hasFilters ? '条件に一致するコンテキストがありません' : 'コンテキストがありません';
-            const description = hasFilters ? '検索条件やフィルタを調整してください。' : '新規コンテキストを追加してください';
-            grid.innerHTML = this.renderEmptyState('', title, description);
-            return;
-        }
+            if (!restored) {
+                this.showToast('プロンプトが見つかりません', 'error');
+                return;
+            }
 
-        if (shouldGroup) {
+            await this.renderFolders('prompt');
+            await this.renderTagFilters('prompt');
+            await this.renderPrompts();
+            await this.openPromptModal(promptId);
+
+            this.showToast('履歴からプロンプトを復元しました', 'success');
+        } catch (error) {
+            console.error('Failed to restore revision:', error);
+            this.showToast('履歴の復元に失敗しました', 'error');
+        }
+    }
+
+    async saveRevisionSettings() {
+        try {
+            await this.revisionManager.updateSettings({
+                mode: document.getElementById('revision-retention-mode').value,
+                limit: parseInt(document.getElementById('revision-retention-limit').value, 10)
+            });
+            await this.renderPromptRevisions();
+            this.showToast('履歴の保持設定を更新しました', 'success');
+        } catch (error) {
+            console.error('Failed to update revision settings:', error);
+            this.showToast('保持する件数・日数は1以上の整数で指定してください', 'error');
+        }
+    }
+
+    /**
+     * 検索クエリに一致したアイテムのスコアを取得
+     * @param {Array} items - 検索対象のアイテム
+     * @param {string} type - 'prompt' | 'context'
+     * @param {string} query - 検索クエリ
+     * @param {string} mode - 検索モード
+     * @returns {Promise<Map<string, number>>} アイテムID → スコア
+     */
+    async getSearchScores(items, type, query, mode) {
+        if (hasQuerySyntax(query)) {
+            return await this.searchManager.query(type, query, {
+                mode,
+                items,
+                folders: await this.getFolders(type)
+            });
+        }
+
+        if (this.searchManager.isIndexable(query, mode)) {
+            return new Map(this.searchManager.search(type, query, { mode })
+                .map(result => [result.id, result.score]));
+        }
+
+        // 1文字の検索語などトークン化できない場合は部分一致で絞り込む
+        // (インデックスと同じ正規化で、かなの種類・全角半角の違いを無視する)
+        const normalizedQuery = normalizeText(query);
+        return new Map(items
+            .filter(item => {
+                const tagText = Array.isArray(item.tags) ? item.tags.join(' ') : '';
+                const searchStr = normalizeText(`${item.title} ${item.content} ${item.category || ''} ${tagText}`);
+                return searchStr.includes(normalizedQuery);
+            })
+            .map(item => [item.id, 1]));
+    }
+
+    async searchPrompts(query) {
+        this.promptSearchQuery = query;
+        await this.renderPrompts();
+    }
+
+    /**
+     * 現在の検索クエリのハイライト対象語を取得 (同じクエリの間は再利用)
+     * @param {string} type - 'prompt' | 'context' | 'template'
+     * @returns {Array<string>} ハイライト対象の語
+     */
+    getSearchHighlightTerms(type) {
+        const queries = {
+            prompt: this.promptSearchQuery,
+            context: this.contextSearchQuery,
+            template: this.templateSearchQuery
+        };
+        const query = queries[type] || '';
+
+        if (!this.highlightTermsCache || this.highlightTermsCache.query !== query) {
+            this.highlightTermsCache = { query, terms: getHighlightTerms(query) };
+        }
+        return this.highlightTermsCache.terms;
+    }
+
+    /**
+     * 一致箇所を <mark> で囲んだHTMLを生成
+     * @param {string} text - 対象テキスト
+     * @param {Array<string>} terms - ハイライト対象の語
+     * @param {Array<Object>} ranges - 一致範囲 (省略時は terms から計算)
+     * @returns {string} エスケープ済みHTML
+     */
+    highlightText(text, terms, ranges = null) {
+        const source = text || '';
+        const matches = ranges || (terms.length > 0 ? findHighlightRanges(source, terms) : []);
+
+        let html = '';
+        let position = 0;
+        for (const { start, end } of matches) {
+            html += this.escapeHtml(source.slice(position, start));
+            html += `<mark class="search-highlight">${this.escapeHtml(source.slice(start, end))}</mark>`;
+            position = end;
+        }
+        return html + this.escapeHtml(source.slice(position));
+    }
+
+    /**
+     * 本文の一致箇所周辺のスニペットを生成
+     * @param {string} text - 本文
+     * @param {Array<string>} terms - ハイライト対象の語
+     * @returns {string} スニペットのHTML (一致がなければ空文字)
+     */
+    renderSearchSnippet(text, terms) {
+        if (terms.length === 0) return '';
+
+        const snippet = createSnippet(text || '', terms);
+        if (!snippet) return '';
+
+        return `
+            <div class="card-snippet">${snippet.hasMoreBefore ? '…' : ''}${this.highlightText(snippet.text, terms, snippet.ranges)}${snippet.hasMoreAfter ? '…' : ''}</div>
+        `;
+    }
+
+    /**
+     * プレビュー本文の検索一致箇所をハイライトし、移動ボタンを準備
+     * @param {string} type - 'prompt' | 'context' | 'template'
+     */
+    highlightPreviewMatches(type) {
+        const contentEl = document.getElementById('preview-content');
+        const terms = this.getSearchHighlightTerms(type);
+
+        // レンダリング済みのHTMLを壊さないよう、テキストノード単位で囲む
+        const textNodes = [];
+        const walker = document.createTreeWalker(contentEl, NodeFilter.SHOW_TEXT);
+        while (terms.length > 0 && walker.nextNode()) {
+            textNodes.push(walker.currentNode);
+        }
+
+        for (const node of textNodes) {
+            const text = node.nodeValue;
+            const ranges = findHighlightRanges(text, terms);
+            if (ranges.length === 0) continue;
+
+            const fragment = document.createDocumentFragment();
+            let position = 0;
+            for (const { start, end } of ranges) {
+                fragment.appendChild(document.createTextNode(text.slice(position, start)));
+                const mark = document.createElement('mark');
+                mark.className = 'search-highlight';
+                mark.textContent = text.slice(start, end);
+                fragment.appendChild(mark);
+                position = end;
+            }
+            fragment.appendChild(document.createTextNode(text.slice(position)));
+            node.parentNode.replaceChild(fragment, node);
+        }
+
+        this.previewMatches = Array.from(contentEl.querySelectorAll('mark.search-highlight'));
+        this.previewMatchIndex = -1;
+
+        document.getElementById('preview-match-nav').style.display = this.previewMatches.length > 0 ? 'flex' : 'none';
+        if (this.previewMatches.length > 0) {
+            this.jumpToPreviewMatch(1);
+        }
+    }
+
+    /**
+     * プレビュー内の前後の一致箇所へ移動
+     * @param {number} offset - 1 (次へ) | -1 (前へ)
+     */
+    jumpToPreviewMatch(offset) {
+        const matches = this.previewMatches || [];
+        if (matches.length === 0) return;
+
+        matches[this.previewMatchIndex]?.classList.remove('is-current');
+        this.previewMatchIndex = (this.previewMatchIndex + offset + matches.length) % matches.length;
+
+        const current = matches[this.previewMatchIndex];
+        current.classList.add('is-current');
+        if (typeof current.scrollIntoView === 'function') {
+            current.scrollIntoView({ block: 'center', behavior: 'smooth' });
+        }
+
+        document.getElementById('preview-match-count').textContent = `${this.previewMatchIndex + 1} / ${matches.length}`;
+    }
+
+    // ========================================
+    // コンテキスト管理
+    // ========================================
+
+    async renderContexts() {
+        let contexts = await this.getScopedItems('context');
+
+        // 検索中は関連度順 (同スコアは選択中の並び順)
+        const searchScores = this.contextSearchQuery
+            ? await this.getSearchScores(contexts, 'context', this.contextSearchQuery, this.contextSearchMode)
+            : null;
+        if (searchScores) {
+            contexts = contexts.filter(context => searchScores.has(context.id));
+        }
+
+        if (this.currentContextTag === UNTAGGED_FILTER) {
+            contexts = contexts.filter(context => !context.tags || context.tags.length === 0);
+        } else if (this.currentContextTag) {
+            contexts = contexts.filter(context => Array.isArray(context.tags) && context.tags.includes(this.currentContextTag));
+        }
+
+        if (this.currentContextFolder === 'uncategorized') {
+            contexts = contexts.filter(c => !c.folder);
+        } else if (this.isSmartFolderKey(this.currentContextFolder)) {
+            contexts = await this.filterBySmartFolder(contexts, 'context', this.currentContextFolder);
+        } else if (this.currentContextFolder) {
+            contexts = this.filterByFolder(contexts, this.currentContextFolder);
+        }
+
+        contexts = this.sortItems(contexts, this.currentContextSort);
+        if (searchScores) {
+            contexts.sort((a, b) => searchScores.get(b.id) - searchScores.get(a.id));
+        }
+
+        // データの変更に合わせてスマートフォルダの件数も更新
+        await this.updateSmartFolderCounts('context');
+
+        const grid = document.getElementById('contexts-grid');
+        if (!grid) return;
+
+        const shouldGroup = this.currentContextGrouping && this.currentContextGrouping !== 'none';
+        grid.classList.toggle('is-grouped', Boolean(shouldGroup));
+
+        if (contexts.length === 0) {
+            grid.classList.remove('is-grouped');
+            const hasFilters = Boolean(
+                this.getActiveProjectId() ||
+                this.contextSearchQuery ||
+                this.currentContextFolder ||
+                this.currentContextTag
+            );
+            const title = hasFilters ? '条件に一致するコンテキストがありません' : 'コンテキストがありません';
+            const description = hasFilters ? '検索条件やフィルタを調整してください。' : '新規コンテキストを追加してください';
+            grid.innerHTML = this.renderEmptyState('', title, description);
+            return;
+        }
+
+        if (shouldGroup) {
             const groups = await this.groupItems(contexts, 'context', this.currentContextGrouping);
             grid.innerHTML = this.renderGroupedItems(groups, 'context');
         } else {
@@ -1331,13 +2404,17 @@ class CognishelfApp {
 
         const tagsHtml = tagElements.length > 0 ? `<div class="card-tags">${tagElements.join('')}</div>` : '';
 
+        // 検索中は本文の一致箇所周辺を表示
+        const terms = this.getSearchHighlightTerms('context');
+        const snippet = this.renderSearchSnippet(context.content, terms);
+
         return `
             <div class="card" data-id="${context.id}" data-type="context">
                 <div class="card-header">
-                    <h3 class="card-title">${this.escapeHtml(context.title)}</h3>
+                    <h3 class="card-title">${this.highlightText(context.title, terms)}</h3>
                     <div class="card-meta">${this.formatDate(context.createdAt)}</div>
                 </div>
-                <div class="card-content markdown-content">${this.renderMarkdown(context.content)}</div>
+                ${snippet || `<div class="card-content markdown-content">${this.renderMarkdown(context.content)}</div>`}
                 ${tagsHtml}
                 <div class="card-actions">
                     <button class="btn btn-small btn-success copy-btn" data-id="${context.id}" data-type="context">
@@ -1357,6 +2434,7 @@ class CognishelfApp {
             const context = await this.contextsManager.findById(contextId);
             if (context) {
                 title.textContent = 'コンテキストを編集';
+                await this.renderProjectOptions('context-pm-project-id', context.pmConfig?.projectId || '');
                 document.getElementById('context-title').value = context.title;
                 document.getElementById('context-content').value = context.content;
                 document.getElementById('context-category').value = context.category || '';
@@ -1373,7 +2451,6 @@ class CognishelfApp {
                 // PM設定を読み込み
                 if (context.pmConfig) {
                     const pm = context.pmConfig;
-                    document.getElementById('context-pm-project-name').value = pm.projectName || '';
                     document.getElementById('context-pm-type').value = pm.contextType || '背景情報';
                     document.getElementById('context-pm-visibility').value = pm.visibility || '個人';
                     document.getElementById('context-pm-version').value = pm.version || '1.0';
@@ -1384,9 +2461,17 @@ class CognishelfApp {
         } else {
             title.textContent = 'コンテキストを追加';
             form.reset();
+            await this.renderProjectOptions('context-pm-project-id', this.getActiveProjectId() || '');
             this.editingItem = null;
         }
 
+        // 「新しいバージョンとして保存」は既存コンテキストの編集時のみ表示
+        const versionOption = document.getElementById('context-version-option');
+        if (versionOption) {
+            versionOption.style.display = this.editingItem ? 'block' : 'none';
+            document.getElementById('context-save-as-version').checked = false;
+        }
+
         this.editingType = 'context';
         modal.classList.add('active');
     }
@@ -1412,22 +2497,16 @@ class CognishelfApp {
             tags
         };
 
-        // フォルダ処理
-        if (folderName) {
-            const folder = await this.getOrCreateFolder(folderName, 'context');
-            contextData.folder = folder.id;
-        } else {
-            contextData.folder = null;
-        }
-
         // PM設定処理
-        const pmProjectName = document.getElementById('context-pm-project-name')?.value.trim();
+        const pmProjectId = document.getElementById('context-pm-project-id')?.value || null;
         const pmType = document.getElementById('context-pm-type')?.value;
         const pmVisibility = document.getElementById('context-pm-visibility')?.value;
         const pmVersion = document.getElementById('context-pm-version')?.value.trim();
+        const saveAsVersion = Boolean(this.editingItem && document.getElementById('context-save-as-version')?.checked);
 
         // 既存データがあればpmConfigを保持、なければデフォルト作成
         const existingData = this.editingItem ? await this.contextsManager.findById(this.editingItem) : null;
+        const previousVersion = existingData?.pmConfig?.version || '1.0';
         const pmConfig = existingData?.pmConfig || {
             projectId: null,
             projectName: "",
@@ -1439,20 +2518,38 @@ class CognishelfApp {
         };
 
         // PM設定を更新
-        pmConfig.projectName = pmProjectName || pmConfig.projectName;
+        await this.applyProjectToPmConfig(pmConfig, pmProjectId);
         pmConfig.contextType = pmType || pmConfig.contextType;
         pmConfig.visibility = pmVisibility || pmConfig.visibility;
         pmConfig.version = pmVersion || pmConfig.version;
 
         contextData.pmConfig = pmConfig;
 
-        if (this.editingItem) {
-            await this.contextsManager.update(this.editingItem, contextData);
-            this.showToast('コンテキストを更新しました', 'success');
-        } else {
+        // フォルダの作成も含めて1つの操作として記録
+        const message = await this.undoManager.run(this.editingItem ? 'コンテキストの更新' : 'コンテキストの追加', async () => {
+            contextData.folder = folderName ? (await this.getOrCreateFolder(folderName, 'context')).id : null;
+
+            if (saveAsVersion) {
+                // 現在の版は残し、previousVersionIdで連結した新しい版を追加
+                const newVersion = createNewVersion(
+                    { ...existingData, ...contextData, pmConfig: { ...pmConfig, version: previousVersion } },
+                    content
+                );
+                // バージョン番号を手動で変更した場合はその値を優先
+                if (pmVersion && pmVersion !== previousVersion) {
+                    newVersion.pmConfig.version = pmVersion;
+                }
+                await this.contextsManager.add(newVersion);
+                return `新しいバージョン (v${newVersion.pmConfig.version}) を保存しました`;
+            }
+            if (this.editingItem) {
+                await this.contextsManager.update(this.editingItem, contextData);
+                return 'コンテキストを更新しました';
+            }
             await this.contextsManager.add(contextData);
-            this.showToast('コンテキストを追加しました', 'success');
-        }
+            return 'コンテキストを追加しました';
+        });
+        this.showToast(message, 'success', this.createUndoAction());
 
         await this.renderFolders('context');
         await this.renderTagFilters('context');
@@ -1490,14 +2587,42 @@ class CognishelfApp {
         return items.filter(item => item.folder === folderId);
     }
 
+    getActiveProjectId() {
+        return this.projectManager ? this.projectManager.activeProjectId : null;
+    }
+
+    filterByProject(items) {
+        const projectId = this.getActiveProjectId();
+        if (!projectId) return items;
+        return items.filter(item => item.pmConfig && item.pmConfig.projectId === projectId);
+    }
+
+    async getScopedItems(type) {
+        if (type === 'prompt') {
+            return this.filterByProject(await this.promptsManager.getAll());
+        }
+
+        // コンテキストは旧バージョンを除いた最新版のみを対象とする
+        return this.filterByProject(getLatestVersions(await this.contextsManager.getAll()));
+    }
+
+    async getScopedFolders(type) {
+        const folders = await this.getFolders(type);
+        if (!this.getActiveProjectId()) return folders;
+
+        // フォルダはプロジェクト横断で共有されるため、プロジェクト内アイテムが使用中のものだけ表示
+        const items = await this.getScopedItems(type);
+        const usedFolderIds = new Set(items.map(item => item.folder).filter(folderId => folderId));
+        return folders.filter(folder => usedFolderIds.has(folder.id));
+    }
+
     async renderTagFilters(type) {
-        const containerId = type === 'prompt' ? 'prompt-tags' : 'context-tags';
+        const containerId = type === 'prompt' ? 'prompt-tag-filters' : 'context-tag-filters';
         const container = document.getElementById(containerId);
 
         if (!container) return;
 
-        const manager = type === 'prompt' ? this.promptsManager : this.contextsManager;
-        const items = await manager.getAll();
+        const items = await this.getScopedItems(type);
 
         const tagCounts = new Map();
         let untaggedCount = 0;
@@ -1594,7 +2719,7 @@ class CognishelfApp {
     }
 
     async renderFolders(type) {
-        const folders = await this.getFolders(type);
+        const folders = await this.getScopedFolders(type);
         const containerId = type === 'prompt' ? 'prompt-folders' : 'context-folders';
         const container = document.getElementById(containerId);
 
@@ -1608,6 +2733,21 @@ class CognishelfApp {
                 <li class="folder-item ${isActive ? 'active' : ''}" data-folder-id="${folder.id}">
                     <span class="folder-icon">📁</span>
                     <span class="folder-name">${this.escapeHtml(folder.name)}</span>
+                    <button class="folder-delete-btn" data-folder-id="${folder.id}" title="フォルダを削除">&times;</button>
+                </li>
+            `;
+        }).join('');
+
+        const smartFolders = await this.smartFolderManager.getSmartFolders(type);
+        const smartFolderItems = smartFolders.map(folder => {
+            const folderKey = `${SMART_FOLDER_PREFIX}${folder.id}`;
+            return `
+                <li class="folder-item ${currentFolder === folderKey ? 'active' : ''}" data-folder-id="${folderKey}" title="${this.escapeHtml(this.describeSmartFolder(folder))}">
+                    <span class="folder-icon">🔎</span>
+                    <span class="folder-name">${this.escapeHtml(folder.name)}</span>
+                    <span class="tag-count" data-smart-folder-count="${folder.id}"></span>
+                    <button class="folder-delete-btn folder-edit-btn" data-smart-folder-id="${folder.id}" title="スマートフォルダを編集">✎</button>
+                    <button class="folder-delete-btn" data-smart-folder-id="${folder.id}" title="スマートフォルダを削除">&times;</button>
                 </li>
             `;
         }).join('');
@@ -1622,8 +2762,35 @@ class CognishelfApp {
                 <span class="folder-name">未分類</span>
             </li>
             ${folderItems}
+            <li class="folder-divider">スマートフォルダ</li>
+            ${smartFolderItems}
+            <li class="smart-folder-create">+ スマートフォルダを作成</li>
         `;
 
+        // フォルダ削除ボタン
+        container.querySelectorAll('.folder-delete-btn[data-folder-id]').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.deleteFolder(btn.dataset.folderId, type);
+            });
+        });
+
+        // スマートフォルダの編集・削除・作成
+        container.querySelectorAll('.folder-delete-btn[data-smart-folder-id]').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                if (btn.classList.contains('folder-edit-btn')) {
+                    this.openSmartFolderModal(type, btn.dataset.smartFolderId);
+                } else {
+                    this.deleteSmartFolder(btn.dataset.smartFolderId, type);
+                }
+            });
+        });
+
+        container.querySelector('.smart-folder-create').addEventListener('click', () => {
+            this.openSmartFolderModal(type);
+        });
+
         // フォルダクリックイベント
         container.querySelectorAll('.folder-item').forEach(item => {
             item.addEventListener('click', () => {
@@ -1639,603 +2806,2145 @@ class CognishelfApp {
                 }
             });
         });
-    }
 
-    async groupItems(items, type, grouping) {
-        switch (grouping) {
-            case 'folder':
-                return this.groupByFolder(items, type);
-            case 'tag':
-                return this.groupByTag(items);
-            case 'category':
-                return this.groupByCategory(items);
-            default:
-                return [];
-        }
+        await this.updateSmartFolderCounts(type);
     }
 
-    async groupByFolder(items, type) {
-        const folders = await this.getFolders(type);
-        const folderMap = new Map(folders.map(folder => [folder.id, folder.name]));
-        const groups = new Map();
+    // ========================================
+    // スマートフォルダ
+    // ========================================
 
-        for (const item of items) {
-            let key = 'uncategorized';
-            let label = '未分類';
+    isSmartFolderKey(folderId) {
+        return typeof folderId === 'string' && folderId.startsWith(SMART_FOLDER_PREFIX);
+    }
 
-            if (item.folder) {
-                if (folderMap.has(item.folder)) {
-                    key = item.folder;
-                    label = folderMap.get(item.folder);
-                } else {
-                    key = 'missing-folder';
-                    label = 'フォルダ未設定';
-                }
-            }
+    async filterBySmartFolder(items, type, folderKey) {
+        const folder = await this.smartFoldersStorage.findById(folderKey.slice(SMART_FOLDER_PREFIX.length));
+        if (!folder) return items;
 
-            if (!groups.has(key)) {
-                groups.set(key, { key, label, items: [] });
-            }
+        return await this.smartFolderManager.evaluate(folder, items, { folders: await this.getFolders(type) });
+    }
 
-            groups.get(key).items.push(item);
-        }
+    /**
+     * サイドバーのスマートフォルダの件数を最新のデータで再計算
+     * @param {string} type - 'prompt' | 'context'
+     */
+    async updateSmartFolderCounts(type) {
+        const container = document.getElementById(type === 'prompt' ? 'prompt-folders' : 'context-folders');
+        const countElements = container ? container.querySelectorAll('[data-smart-folder-count]') : [];
+        if (countElements.length === 0) return;
 
-        const sorted = Array.from(groups.values());
-        sorted.sort((a, b) => {
-            if (a.key === 'uncategorized') return 1;
-            if (b.key === 'uncategorized') return -1;
-            return a.label.localeCompare(b.label, 'ja');
+        const counts = await this.smartFolderManager.countAll(type, await this.getScopedItems(type), {
+            folders: await this.getFolders(type)
         });
+        countElements.forEach(element => {
+            element.textContent = counts.get(element.dataset.smartFolderCount) ?? 0;
+        });
+    }
 
-        return sorted;
+    describeSmartFolder(folder) {
+        const { filters } = folder;
+        const conditions = [];
+        if (folder.query) conditions.push(`検索: ${folder.query}`);
+        if (filters.tags.length > 0) conditions.push(`タグ: ${filters.tags.join(', ')}`);
+        if (filters.phase) conditions.push(`フェーズ: ${filters.phase}`);
+        if (filters.priority) conditions.push(`優先度: ${filters.priority}`);
+        if (filters.status) conditions.push(`ステータス: ${filters.status}`);
+        if (filters.dueDate.range === 'custom') {
+            conditions.push(`期限: ${filters.dueDate.from || ''}〜${filters.dueDate.to || ''}`);
+        } else if (filters.dueDate.range) {
+            conditions.push(`期限: ${DUE_DATE_RANGES[filters.dueDate.range]}`);
+        }
+        return conditions.join(' / ') || '条件なし';
     }
 
-    groupByTag(items) {
-        const groups = new Map();
-        const untagged = [];
+    async openSmartFolderModal(type, folderId = null) {
+        const modal = document.getElementById('smart-folder-modal');
+        const form = document.getElementById('smart-folder-form');
+        const folder = folderId ? await this.smartFoldersStorage.findById(folderId) : null;
+        if (folderId && !folder) return;
 
-        for (const item of items) {
-            const tags = Array.isArray(item.tags)
-                ? item.tags.map(tag => typeof tag === 'string' ? tag.trim() : '').filter(tag => tag)
-                : [];
+        form.reset();
+        this.editingSmartFolder = { id: folder ? folder.id : null, type };
 
-            if (tags.length === 0) {
-                untagged.push(item);
-                continue;
-            }
+        document.getElementById('smart-folder-modal-title').textContent = folder
+            ? 'スマートフォルダを編集'
+            : `スマートフォルダを作成 (${type === 'prompt' ? 'プロンプト' : 'コンテキスト'})`;
 
-            for (const tag of tags) {
-                if (!groups.has(tag)) {
-                    groups.set(tag, { key: tag, label: tag, items: [] });
-                }
-                groups.get(tag).items.push(item);
-            }
-        }
+        const dueRangeSelect = document.getElementById('smart-folder-due-range');
+        dueRangeSelect.innerHTML = `
+            <option value="">指定なし</option>
+            ${Object.entries(DUE_DATE_RANGES).map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+        `;
 
-        const sorted = Array.from(groups.values()).sort((a, b) => a.label.localeCompare(b.label, 'ja'));
-        if (untagged.length > 0) {
-            sorted.push({ key: UNTAGGED_FILTER, label: 'タグなし', items: untagged });
+        // フェーズ・優先度・ステータス・期限はプロンプトのみが持つ
+        document.getElementById('smart-folder-prompt-filters').style.display = type === 'prompt' ? 'block' : 'none';
+
+        const filters = folder ? folder.filters : null;
+        await this.renderProjectOptions('smart-folder-project', filters ? filters.projectId : '', '指定なし');
+        if (folder) {
+            document.getElementById('smart-folder-name').value = folder.name;
+            document.getElementById('smart-folder-query').value = folder.query;
+            document.getElementById('smart-folder-tags').value = filters.tags.join(', ');
+            document.getElementById('smart-folder-phase').value = filters.phase;
+            document.getElementById('smart-folder-priority').value = filters.priority;
+            document.getElementById('smart-folder-status').value = filters.status;
+            dueRangeSelect.value = filters.dueDate.range;
+            document.getElementById('smart-folder-due-from').value = filters.dueDate.from;
+            document.getElementById('smart-folder-due-to').value = filters.dueDate.to;
         }
-        return sorted;
+        this.toggleSmartFolderCustomRange();
+
+        modal.classList.add('active');
+        document.getElementById('smart-folder-name').focus();
     }
 
-    groupByCategory(items) {
-        const groups = new Map();
-        const uncategorized = [];
+    toggleSmartFolderCustomRange() {
+        const isCustom = document.getElementById('smart-folder-due-range').value === 'custom';
+        document.getElementById('smart-folder-due-custom').style.display = isCustom ? 'block' : 'none';
+    }
 
-        for (const item of items) {
-            const category = typeof item.category === 'string' ? item.category.trim() : '';
-            if (!category) {
-                uncategorized.push(item);
-                continue;
+    async saveSmartFolder() {
+        if (!this.editingSmartFolder) return;
+
+        const { id, type } = this.editingSmartFolder;
+        const isPrompt = type === 'prompt';
+        const value = elementId => document.getElementById(elementId).value;
+        const data = {
+            name: value('smart-folder-name'),
+            type,
+            query: value('smart-folder-query'),
+            filters: {
+                tags: value('smart-folder-tags').split(',').map(tag => tag.trim()).filter(tag => tag),
+                projectId: value('smart-folder-project'),
+                phase: isPrompt ? value('smart-folder-phase') : '',
+                priority: isPrompt ? value('smart-folder-priority') : '',
+                status: isPrompt ? value('smart-folder-status') : '',
+                dueDate: {
+                    range: isPrompt ? value('smart-folder-due-range') : '',
+                    from: value('smart-folder-due-from'),
+                    to: value('smart-folder-due-to')
+                }
             }
+        };
 
-            if (!groups.has(category)) {
-                groups.set(category, { key: category, label: category, items: [] });
+        try {
+            const folder = await this.undoManager.untracked(() => id
+                ? this.smartFolderManager.updateSmartFolder(id, data)
+                : this.smartFolderManager.createSmartFolder(data));
+
+            this.closeAllModals();
+            if (isPrompt) {
+                this.currentPromptFolder = `${SMART_FOLDER_PREFIX}${folder.id}`;
+            } else {
+                this.currentContextFolder = `${SMART_FOLDER_PREFIX}${folder.id}`;
             }
-            groups.get(category).items.push(item);
+            await this.refreshItemType(type);
+            this.showToast(id ? 'スマートフォルダを更新しました' : 'スマートフォルダを作成しました', 'success');
+        } catch (error) {
+            console.error('Failed to save smart folder:', error);
+            this.showToast('スマートフォルダの保存に失敗しました', 'error');
         }
-
-        const sorted = Array.from(groups.values()).sort((a, b) => a.label.localeCompare(b.label, 'ja'));
-        if (uncategorized.length > 0) {
-            sorted.push({ key: '__no_category__', label: 'カテゴリ未設定', items: uncategorized });
-        }
-
-        return sorted;
     }
 
-    renderGroupedItems(groups, type) {
-        if (!groups || groups.length === 0) {
-            return '';
+    async deleteSmartFolder(folderId, type) {
+        const folder = await this.smartFoldersStorage.findById(folderId);
+        if (!folder) return;
+
+        if (!confirm(`スマートフォルダ「${folder.name}」を削除しますか?\n(アイテムは削除されません)`)) {
+            return;
         }
 
-        return groups.map(group => {
-            const cards = group.items.map(item => type === 'prompt'
-                ? this.createPromptCard(item)
-                : this.createContextCard(item)).join('');
-            const label = this.escapeHtml(group.label);
+        try {
+            await this.undoManager.run('スマートフォルダの削除', () => this.smartFolderManager.deleteSmartFolder(folderId));
 
-            return `
-                <section class="group-section">
-                    <div class="group-header">
-                        <span class="group-title">${label}</span>
-                        <span class="group-count">${group.items.length}</span>
-                    </div>
-                    <div class="group-grid">
-                        ${cards}
-                    </div>
-                </section>
-            `;
-        }).join('');
+            const folderKey = `${SMART_FOLDER_PREFIX}${folderId}`;
+            if (type === 'prompt' && this.currentPromptFolder === folderKey) {
+                this.currentPromptFolder = null;
+            }
+            if (type === 'context' && this.currentContextFolder === folderKey) {
+                this.currentContextFolder = null;
+            }
+
+            await this.refreshItemType(type);
+            this.showToast('スマートフォルダを削除しました', 'success', this.createUndoAction());
+        } catch (error) {
+            console.error('Failed to delete smart folder:', error);
+            this.showToast('スマートフォルダの削除に失敗しました', 'error');
+        }
     }
 
-    attachCardEventListeners(type) {
-        // カードクリックでプレビュー
-        document.querySelectorAll(`.card[data-type="${type}"]`).forEach(card => {
-            card.addEventListener('click', (e) => {
-                // ボタンクリック時はプレビューを開かない
-                if (e.target.closest('button')) {
-                    return;
-                }
-                const id = card.dataset.id;
-                this.openPreviewModal(id, type);
-            });
-        });
+    async deleteFolder(folderId, type) {
+        const folder = await this.foldersManager.findById(folderId);
+        if (!folder) return;
 
-        // コピーボタン
-        document.querySelectorAll(`.copy-btn[data-type="${type}"]`).forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                e.stopPropagation();
-                const id = btn.dataset.id;
-                this.copyToClipboard(id, type);
-            });
-        });
-    }
+        if (!confirm(`フォルダ「${folder.name}」をゴミ箱に移動しますか?\n(フォルダ内のアイテムは未分類になります)`)) {
+            return;
+        }
 
-    async copyToClipboard(id, type) {
-        const manager = type === 'prompt' ? this.promptsManager : this.contextsManager;
-        const item = await manager.findById(id);
+        try {
+            // フォルダ内アイテムの所属解除も含めて1つの操作として記録
+            await this.undoManager.run('フォルダの削除', () => this.trashManager.moveToTrash('folder', folderId));
 
-        if (item) {
-            navigator.clipboard.writeText(item.content)
-                .then(() => {
-                    this.showToast('クリップボードにコピーしました', 'success');
-                })
-                .catch(() => {
-                    this.showToast('コピーに失敗しました', 'error');
-                });
+            if (type === 'prompt' && this.currentPromptFolder === folderId) {
+                this.currentPromptFolder = null;
+            }
+            if (type === 'context' && this.currentContextFolder === folderId) {
+                this.currentContextFolder = null;
+            }
+
+            await this.refreshItemType(type);
+            this.showToast('フォルダをゴミ箱に移動しました', 'success', this.createUndoAction());
+        } catch (error) {
+            console.error('Failed to delete folder:', error);
+            this.showToast('フォルダの削除に失敗しました', 'error');
         }
     }
 
-    async deleteItem(id, type) {
-        if (!confirm('本当に削除しますか?')) {
+    async refreshItemType(type) {
+        if (type === 'template') {
+            await window.templateManager?.rebuildSearchIndex();
+            await this.renderTemplates();
             return;
         }
 
-        const manager = type === 'prompt' ? this.promptsManager : this.contextsManager;
-        const success = await manager.delete(id);
-
-        if (success) {
-            this.showToast('削除しました', 'success');
-            if (type === 'prompt') {
-                await this.renderTagFilters('prompt');
-                await this.renderPrompts();
-            } else {
-                await this.renderTagFilters('context');
-                await this.renderContexts();
-            }
+        await this.renderFolders(type);
+        await this.renderTagFilters(type);
+        if (type === 'prompt') {
+            await this.renderPrompts();
         } else {
-            this.showToast('削除に失敗しました', 'error');
+            await this.renderContexts();
         }
     }
 
-    async openPreviewModal(id, type) {
-        const manager = type === 'prompt' ? this.promptsManager : this.contextsManager;
-        const item = await manager.findById(id);
+    // ========================================
+    // ゴミ箱
+    // ========================================
 
-        if (!item) return;
+    async renderTrash() {
+        const list = document.getElementById('trash-list');
+        if (!list) return;
 
-        this.previewItem = id;
-        this.previewType = type;
+        document.getElementById('trash-retention-days').value = this.trashManager.retentionDays;
 
-        const modal = document.getElementById('preview-modal');
-        const titleEl = document.getElementById('preview-title');
-        const metaEl = document.getElementById('preview-meta');
-        const contentEl = document.getElementById('preview-content');
+        const entries = await this.trashManager.getEntries();
+        document.getElementById('empty-trash-btn').disabled = entries.length === 0;
 
-        // タイトル設定
-        titleEl.textContent = item.title;
+        if (entries.length === 0) {
+            list.innerHTML = this.renderEmptyState('🗑️', 'ゴミ箱は空です', '削除したプロンプト・コンテキスト・フォルダ・テンプレートはここに一時保管されます');
+            return;
+        }
 
-        // メタ情報
-        const metaInfo = [];
-        metaInfo.push(`作成日: ${this.formatDate(item.createdAt)}`);
+        list.innerHTML = entries.map(entry => {
+            const name = entry.item.title || entry.item.name || '(無題)';
+            const daysRemaining = Math.max(this.trashManager.getDaysRemaining(entry), 0);
+            const memberNote = entry.itemType === 'folder' && entry.folderMembers.length > 0
+                ? `<span>所属アイテム ${entry.folderMembers.length} 件</span>`
+                : '';
+            return `
+                <div class="trash-item">
+                    <div class="trash-info">
+                        <span class="trash-type trash-type-${entry.itemType}">${TRASH_ITEM_LABELS[entry.itemType] || entry.itemType}</span>
+                        <span class="trash-name">${this.escapeHtml(name)}</span>
+                        <div class="trash-meta">
+                            <span>削除: ${this.formatDate(entry.deletedAt)}</span>
+                            <span>あと ${daysRemaining} 日で自動削除</span>
+                            ${memberNote}
+                        </div>
+                    </div>
+                    <div class="trash-actions">
+                        <button class="btn btn-small btn-secondary restore-trash-btn" data-id="${entry.id}">復元</button>
+                        <button class="btn btn-small btn-danger purge-trash-btn" data-id="${entry.id}">完全に削除</button>
+                    </div>
+                </div>
+            `;
+        }).join('');
 
-        if (type === 'prompt') {
-            const promptTags = Array.isArray(item.tags)
-                ? Array.from(new Set(item.tags.map(tag => typeof tag === 'string' ? tag.trim() : '').filter(tag => tag)))
-                : [];
-            if (promptTags.length > 0) {
-                metaInfo.push(`タグ: ${promptTags.join(', ')}`);
-            }
-        }
+        list.querySelectorAll('.restore-trash-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.restoreFromTrash(btn.dataset.id));
+        });
 
-        if (type === 'context') {
-            if (item.category) {
-                metaInfo.push(`カテゴリ: ${item.category}`);
-            }
-            const contextTags = Array.isArray(item.tags)
-                ? Array.from(new Set(item.tags.map(tag => typeof tag === 'string' ? tag.trim() : '').filter(tag => tag)))
-                : [];
-            if (contextTags.length > 0) {
-                metaInfo.push(`タグ: ${contextTags.join(', ')}`);
+        list.querySelectorAll('.purge-trash-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.purgeFromTrash(btn.dataset.id));
+        });
+    }
+
+    async restoreFromTrash(entryId) {
+        try {
+            const entry = await this.undoManager.untracked(() => this.trashManager.restore(entryId));
+
+            if (entry.itemType === 'folder') {
+                await this.refreshItemType(entry.item.type);
+            } else {
+                await this.refreshItemType(entry.itemType);
             }
+            await this.renderTrash();
+
+            this.showToast(`${TRASH_ITEM_LABELS[entry.itemType]}を復元しました`, 'success');
+        } catch (error) {
+            console.error('Failed to restore from trash:', error);
+            this.showToast('復元に失敗しました', 'error');
         }
+    }
 
-        if (item.folder) {
-            const folder = await this.foldersManager.findById(item.folder);
-            if (folder) {
-                metaInfo.push(`フォルダ: ${folder.name}`);
-            }
+    async purgeFromTrash(entryId) {
+        if (!confirm('完全に削除しますか? この操作は元に戻せません')) {
+            return;
         }
 
-        metaEl.innerHTML = metaInfo.map(info => `<span>${this.escapeHtml(info)}</span>`).join('');
+        try {
+            await this.undoManager.untracked(() => this.trashManager.purge(entryId));
+            await this.renderTrash();
+            this.showToast('完全に削除しました', 'success');
+        } catch (error) {
+            console.error('Failed to purge from trash:', error);
+            this.showToast('完全な削除に失敗しました', 'error');
+        }
+    }
 
-        // コンテンツ（Markdownレンダリング）
-        contentEl.innerHTML = this.renderMarkdown(item.content);
+    async emptyTrash() {
+        if (!confirm('ゴミ箱を空にしますか? この操作は元に戻せません')) {
+            return;
+        }
 
-        modal.classList.add('active');
+        try {
+            const count = await this.undoManager.untracked(() => this.trashManager.emptyTrash());
+            await this.renderTrash();
+            this.showToast(`${count}件を完全に削除しました`, 'success');
+        } catch (error) {
+            console.error('Failed to empty trash:', error);
+            this.showToast('ゴミ箱を空にできませんでした', 'error');
+        }
     }
 
-    closeAllModals() {
-        document.querySelectorAll('.modal').forEach(modal => {
-            modal.classList.remove('active');
-        });
-        this.editingItem = null;
-        this.editingType = null;
-        this.previewItem = null;
-        this.previewType = null;
+    async saveTrashRetention() {
+        try {
+            const days = parseInt(document.getElementById('trash-retention-days').value, 10);
+            await this.trashManager.setRetentionDays(days);
+            await this.renderTrash();
+            this.showToast(`保持期間を${days}日に設定しました`, 'success');
+        } catch (error) {
+            console.error('Failed to update trash retention:', error);
+            this.showToast('保持期間は1以上の整数で指定してください', 'error');
+        }
     }
 
-    showToast(message, type = 'success') {
-        const toast = document.createElement('div');
-        toast.className = `toast ${type}`;
-        toast.textContent = message;
-        document.body.appendChild(toast);
+    // ========================================
+    // 設定: 検索辞書
+    // ========================================
 
-        setTimeout(() => {
-            toast.style.animation = 'slideInRight 0.3s ease reverse';
-            setTimeout(() => {
-                toast.remove();
-            }, 300);
-        }, 3000);
-    }
+    async renderDictionary() {
+        const list = document.getElementById('synonym-list');
+        if (!list) return;
 
-    renderEmptyState(icon, title, description) {
-        return `
-            <div class="empty-state">
-                <h3>${title}</h3>
-                <p>${description}</p>
-            </div>
-        `;
-    }
+        const [groups, stopwords] = await Promise.all([
+            this.dictionaryManager.getSynonymGroups(),
+            this.dictionaryManager.getStopwords()
+        ]);
 
-    escapeHtml(text) {
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
-    }
+        document.getElementById('custom-stopwords').value = stopwords.join('\n');
 
-    renderMarkdown(text) {
-        if (typeof marked === 'undefined') {
-            // marked.jsが読み込まれていない場合はエスケープのみ
-            return this.escapeHtml(text);
+        if (groups.length === 0) {
+            list.innerHTML = '<li class="synonym-empty">同義語は登録されていません</li>';
+            return;
         }
 
-        // marked.jsの設定: XSS対策とシンプルなレンダリング
-        marked.setOptions({
-            breaks: true,        // 改行を<br>に変換
-            gfm: true,           // GitHub Flavored Markdown
-            headerIds: false,    // ヘッダーIDを無効化
-            mangle: false        // メールアドレスの難読化を無効化
+        list.innerHTML = groups.map(group => `
+            <li class="synonym-item" data-id="${group.id}">
+                <input type="text" class="synonym-terms-input" value="${this.escapeHtml(group.terms.join(', '))}" aria-label="同義語">
+                <div class="synonym-actions">
+                    <button class="btn btn-small btn-secondary save-synonym-btn" data-id="${group.id}">保存</button>
+                    <button class="btn btn-small btn-danger delete-synonym-btn" data-id="${group.id}">削除</button>
+                </div>
+            </li>
+        `).join('');
+
+        list.querySelectorAll('.save-synonym-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const input = btn.closest('.synonym-item').querySelector('.synonym-terms-input');
+                this.updateSynonymGroup(btn.dataset.id, input.value);
+            });
+        });
+
+        list.querySelectorAll('.delete-synonym-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.deleteSynonymGroup(btn.dataset.id));
         });
+    }
 
+    async addSynonymGroup() {
+        const input = document.getElementById('synonym-new-terms');
         try {
-            return marked.parse(text);
-        } catch (e) {
-            console.error('Markdown parsing error:', e);
-            return this.escapeHtml(text);
+            await this.dictionaryManager.addSynonymGroup(input.value);
+            input.value = '';
+            await this.renderDictionary();
+            await this.refreshSearchResults();
+            this.showToast('同義語を追加しました', 'success');
+        } catch (error) {
+            console.error('Failed to add synonym group:', error);
+            this.showToast('同義語はカンマ区切りで2語以上入力してください', 'error');
         }
     }
 
-    formatDate(dateString) {
-        const date = new Date(dateString);
-        const now = new Date();
-        const diff = now - date;
-        const days = Math.floor(diff / (1000 * 60 * 60 * 24));
-
-        if (days === 0) {
-            return '今日';
-        } else if (days === 1) {
-            return '昨日';
-        } else if (days < 7) {
-            return `${days}日前`;
-        } else {
-            return date.toLocaleDateString('ja-JP', {
-                year: 'numeric',
-                month: 'short',
-                day: 'numeric'
-            });
+    async updateSynonymGroup(groupId, terms) {
+        try {
+            await this.dictionaryManager.updateSynonymGroup(groupId, terms);
+            await this.renderDictionary();
+            await this.refreshSearchResults();
+            this.showToast('同義語を更新しました', 'success');
+        } catch (error) {
+            console.error('Failed to update synonym group:', error);
+            this.showToast('同義語はカンマ区切りで2語以上入力してください', 'error');
         }
     }
 
-    // ========================================
-    // Phase 2: テンプレート管理メソッド
-    // ========================================
-
-    async renderTemplates() {
-        const grid = document.getElementById('templates-grid');
-        if (!grid) return;
+    async deleteSynonymGroup(groupId) {
+        await this.dictionaryManager.deleteSynonymGroup(groupId);
+        await this.renderDictionary();
+        await this.refreshSearchResults();
+        this.showToast('同義語を削除しました', 'success');
+    }
 
+    async saveStopwords() {
         try {
-            const templates = await window.templateManager.getAllTemplates();
-            this.renderTemplatesList(templates);
+            const words = await this.dictionaryManager.setStopwords(document.getElementById('custom-stopwords').value);
+            await this.rebuildSearchIndexes();
+            await this.renderDictionary();
+            this.showToast(`ストップワードを保存しました (${words.length}語)`, 'success');
         } catch (error) {
-            console.error('Failed to render templates:', error);
-            grid.innerHTML = '<p class="no-items">テンプレートの読み込みに失敗しました</p>';
+            console.error('Failed to save stopwords:', error);
+            this.showToast('ストップワードの保存に失敗しました', 'error');
         }
     }
 
-    renderTemplatesList(templates) {
-        const grid = document.getElementById('templates-grid');
-        if (!grid) return;
+    async exportDictionary() {
+        try {
+            const json = await this.dictionaryManager.exportDictionary();
+            const blob = new Blob([json], { type: 'application/json' });
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = 'cognishelf-search-dictionary.json';
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+            URL.revokeObjectURL(url);
 
-        if (templates.length === 0) {
-            grid.innerHTML = '<p class="no-items">テンプレートがありません</p>';
-            return;
+            this.showToast('検索辞書をエクスポートしました', 'success');
+        } catch (error) {
+            console.error('Failed to export dictionary:', error);
+            this.showToast('検索辞書のエクスポートに失敗しました', 'error');
         }
+    }
 
-        grid.innerHTML = templates.map(template => this.createTemplateCard(template)).join('');
-        this.attachTemplateEventListeners();
+    async importDictionary(file) {
+        try {
+            const result = await this.dictionaryManager.importDictionary(await file.text());
+            if (result.stopwords > 0) {
+                await this.rebuildSearchIndexes();
+            } else {
+                await this.refreshSearchResults();
+            }
+            await this.renderDictionary();
+            this.showToast(`検索辞書をインポートしました (同義語 ${result.synonyms} 件, ストップワード ${result.stopwords} 語)`, 'success');
+        } catch (error) {
+            console.error('Failed to import dictionary:', error);
+            this.showToast('検索辞書のインポートに失敗しました。ファイル形式を確認してください', 'error');
+        }
     }
 
-    createTemplateCard(template) {
-        const cardClass = template.author === 'system' ? 'template-card system-template' : 'template-card custom-template';
+    // ========================================
+    // 設定: 重複の検出と統合
+    // ========================================
 
-        return `
-            <div class="${cardClass}" data-template-id="${template.id}">
-                <div class="template-card-header">
-                    <span class="template-category">${this.escapeHtml(template.category)}</span>
-                    <h3>${this.escapeHtml(template.name)}</h3>
-                </div>
-                <p class="template-description">${this.escapeHtml(template.description)}</p>
-                ${template.tags && template.tags.length > 0 ? `
-                    <div class="template-tags">
-                        ${template.tags.map(tag => `<span class="template-tag">${this.escapeHtml(tag)}</span>`).join('')}
+    async scanDuplicates() {
+        const container = document.getElementById('duplicate-results');
+        if (!container) return;
+
+        try {
+            this.duplicateClusters = [
+                ...await this.duplicateManager.scan('prompt'),
+                ...await this.duplicateManager.scan('context')
+            ];
+            await this.renderDuplicateClusters();
+        } catch (error) {
+            console.error('Failed to scan duplicates:', error);
+            this.showToast('重複の検出に失敗しました', 'error');
+        }
+    }
+
+    async renderDuplicateClusters() {
+        const container = document.getElementById('duplicate-results');
+        if (!container) return;
+
+        if (this.duplicateClusters.length === 0) {
+            container.innerHTML = '<p class="duplicate-empty">重複・類似アイテムは見つかりませんでした</p>';
+            return;
+        }
+
+        const folders = await this.foldersManager.getAll();
+        const folderNames = new Map(folders.map(folder => [folder.id, folder.name]));
+
+        container.innerHTML = this.duplicateClusters.map((cluster, index) => {
+            const canonical = this.duplicateManager.pickCanonical(cluster.items);
+            const kindLabel = cluster.kind === 'exact'
+                ? '完全一致'
+                : `類似 ${Math.round(cluster.similarity * 100)}%`;
+
+            return `
+                <div class="duplicate-cluster">
+                    <div class="duplicate-cluster-header">
+                        <span class="global-search-badge global-search-badge-${cluster.type}">${GLOBAL_SEARCH_TYPES[cluster.type]}</span>
+                        <span class="duplicate-kind duplicate-kind-${cluster.kind}">${kindLabel}</span>
+                        <span class="duplicate-count">${cluster.items.length}件</span>
+                        <button type="button" class="btn btn-primary btn-small merge-duplicates-btn" data-index="${index}">統合</button>
                     </div>
-                ` : ''}
-                <div class="template-meta">
-                    <div class="template-meta-item">
-                        <span>📊</span>
-                        <span>${template.usageCount || 0}回使用</span>
+                    <div class="duplicate-columns">
+                        ${cluster.items.map(item => this.renderDuplicateColumn(item, index, item.id === canonical.id, folderNames)).join('')}
                     </div>
-                    ${template.rating > 0 ? `
-                        <div class="template-meta-item">
-                            <span>⭐</span>
-                            <span>${template.rating.toFixed(1)}</span>
-                        </div>
-                    ` : ''}
-                </div>
-                <div class="template-actions">
-                    <button class="btn btn-primary apply-template-btn">適用</button>
-                    <button class="btn btn-secondary preview-template-btn">プレビュー</button>
-                    <button class="btn btn-secondary copy-template-btn" title="テンプレートをコピー">📋</button>
                 </div>
+            `;
+        }).join('');
+
+        container.querySelectorAll('.merge-duplicates-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.mergeDuplicateCluster(Number(btn.dataset.index)));
+        });
+    }
+
+    renderDuplicateColumn(item, clusterIndex, isCanonical, folderNames) {
+        const tags = Array.isArray(item.tags) ? item.tags : [];
+        const meta = [
+            `更新: ${new Date(item.updatedAt).toLocaleString('ja-JP')}`,
+            `フォルダ: ${folderNames.get(item.folder) || 'なし'}`
+        ];
+        if (item.pmConfig?.stats) {
+            meta.push(`利用 ${item.pmConfig.stats.usageCount || 0}回`);
+        }
+
+        return `
+            <div class="duplicate-column ${isCanonical ? 'canonical' : ''}">
+                <label class="duplicate-keep">
+                    <input type="radio" name="duplicate-canonical-${clusterIndex}" value="${item.id}" ${isCanonical ? 'checked' : ''}>
+                    これを残す
+                </label>
+                <div class="duplicate-title">${this.escapeHtml(item.title)}</div>
+                <div class="duplicate-meta">${meta.map(text => this.escapeHtml(text)).join(' · ')}</div>
+                ${tags.length > 0 ? `<div class="tags">${tags.map(tag => `<span class="tag">${this.escapeHtml(tag)}</span>`).join('')}</div>` : ''}
+                <pre class="duplicate-content">${this.escapeHtml(item.content)}</pre>
             </div>
         `;
     }
 
-    attachTemplateEventListeners() {
-        // 適用ボタン
-        document.querySelectorAll('.apply-template-btn').forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                e.stopPropagation();
-                const card = e.target.closest('.template-card');
-                const templateId = card.dataset.templateId;
-                this.openTemplateApplyModal(templateId);
-            });
+    async mergeDuplicateCluster(index) {
+        const cluster = this.duplicateClusters[index];
+        const selected = document.querySelector(`input[name="duplicate-canonical-${index}"]:checked`);
+        if (!cluster || !selected) return;
+
+        const canonicalId = selected.value;
+        const duplicateIds = cluster.items.map(item => item.id).filter(id => id !== canonicalId);
+        if (!confirm(`${duplicateIds.length}件を選択したアイテムに統合し、ゴミ箱に移動しますか?`)) {
+            return;
+        }
+
+        try {
+            await this.undoManager.run('重複の統合', () => this.duplicateManager.merge(cluster.type, canonicalId, duplicateIds));
+            this.showToast(`${duplicateIds.length}件を統合しました`, 'success', this.createUndoAction());
+            await this.refreshItemType(cluster.type);
+            await this.scanDuplicates();
+        } catch (error) {
+            console.error('Failed to merge duplicates:', error);
+            this.showToast('統合に失敗しました', 'error');
+        }
+    }
+
+    /**
+     * トークン化の設定変更後に全検索インデックスを作り直す
+     */
+    async rebuildSearchIndexes() {
+        await this.searchManager.rebuildAll();
+        if (window.templateManager) {
+            await window.templateManager.rebuildSearchIndex();
+        }
+        await this.refreshSearchResults();
+    }
+
+    /**
+     * 検索中の一覧を再描画 (辞書の変更を検索結果に反映)
+     */
+    async refreshSearchResults() {
+        if (this.promptSearchQuery) {
+            await this.renderPrompts();
+        }
+        if (this.contextSearchQuery) {
+            await this.renderContexts();
+        }
+    }
+
+    async groupItems(items, type, grouping) {
+        switch (grouping) {
+            case 'folder':
+                return this.groupByFolder(items, type);
+            case 'tag':
+                return this.groupByTag(items);
+            case 'category':
+                return this.groupByCategory(items);
+            default:
+                return [];
+        }
+    }
+
+    async groupByFolder(items, type) {
+        const folders = await this.getFolders(type);
+        const folderMap = new Map(folders.map(folder => [folder.id, folder.name]));
+        const groups = new Map();
+
+        for (const item of items) {
+            let key = 'uncategorized';
+            let label = '未分類';
+
+            if (item.folder) {
+                if (folderMap.has(item.folder)) {
+                    key = item.folder;
+                    label = folderMap.get(item.folder);
+                } else {
+                    key = 'missing-folder';
+                    label = 'フォルダ未設定';
+                }
+            }
+
+            if (!groups.has(key)) {
+                groups.set(key, { key, label, items: [] });
+            }
+
+            groups.get(key).items.push(item);
+        }
+
+        const sorted = Array.from(groups.values());
+        sorted.sort((a, b) => {
+            if (a.key === 'uncategorized') return 1;
+            if (b.key === 'uncategorized') return -1;
+            return a.label.localeCompare(b.label, 'ja');
         });
 
-        // プレビューボタン
-        document.querySelectorAll('.preview-template-btn').forEach(btn => {
-            btn.addEventListener('click', async (e) => {
-                e.stopPropagation();
-                const card = e.target.closest('.template-card');
-                const templateId = card.dataset.templateId;
-                await this.previewTemplate(templateId);
+        return sorted;
+    }
+
+    groupByTag(items) {
+        const groups = new Map();
+        const untagged = [];
+
+        for (const item of items) {
+            const tags = Array.isArray(item.tags)
+                ? item.tags.map(tag => typeof tag === 'string' ? tag.trim() : '').filter(tag => tag)
+                : [];
+
+            if (tags.length === 0) {
+                untagged.push(item);
+                continue;
+            }
+
+            for (const tag of tags) {
+                if (!groups.has(tag)) {
+                    groups.set(tag, { key: tag, label: tag, items: [] });
+                }
+                groups.get(tag).items.push(item);
+            }
+        }
+
+        const sorted = Array.from(groups.values()).sort((a, b) => a.label.localeCompare(b.label, 'ja'));
+        if (untagged.length > 0) {
+            sorted.push({ key: UNTAGGED_FILTER, label: 'タグなし', items: untagged });
+        }
+        return sorted;
+    }
+
+    groupByCategory(items) {
+        const groups = new Map();
+        const uncategorized = [];
+
+        for (const item of items) {
+            const category = typeof item.category === 'string' ? item.category.trim() : '';
+            if (!category) {
+                uncategorized.push(item);
+                continue;
+            }
+
+            if (!groups.has(category)) {
+                groups.set(category, { key: category, label: category, items: [] });
+            }
+            groups.get(category).items.push(item);
+        }
+
+        const sorted = Array.from(groups.values()).sort((a, b) => a.label.localeCompare(b.label, 'ja'));
+        if (uncategorized.length > 0) {
+            sorted.push({ key: '__no_category__', label: 'カテゴリ未設定', items: uncategorized });
+        }
+
+        return sorted;
+    }
+
+    renderGroupedItems(groups, type) {
+        if (!groups || groups.length === 0) {
+            return '';
+        }
+
+        return groups.map(group => {
+            const cards = group.items.map(item => type === 'prompt'
+                ? this.createPromptCard(item)
+                : this.createContextCard(item)).join('');
+            const label = this.escapeHtml(group.label);
+
+            return `
+                <section class="group-section">
+                    <div class="group-header">
+                        <span class="group-title">${label}</span>
+                        <span class="group-count">${group.items.length}</span>
+                    </div>
+                    <div class="group-grid">
+                        ${cards}
+                    </div>
+                </section>
+            `;
+        }).join('');
+    }
+
+    attachCardEventListeners(type) {
+        // カードクリックでプレビュー
+        document.querySelectorAll(`.card[data-type="${type}"]`).forEach(card => {
+            card.addEventListener('click', (e) => {
+                // ボタンクリック時はプレビューを開かない
+                if (e.target.closest('button')) {
+                    return;
+                }
+                const id = card.dataset.id;
+                this.openPreviewModal(id, type);
             });
         });
 
         // コピーボタン
-        document.querySelectorAll('.copy-template-btn').forEach(btn => {
-            btn.addEventListener('click', async (e) => {
+        document.querySelectorAll(`.copy-btn[data-type="${type}"]`).forEach(btn => {
+            btn.addEventListener('click', (e) => {
                 e.stopPropagation();
-                const card = e.target.closest('.template-card');
-                const templateId = card.dataset.templateId;
-                await this.copyTemplateToClipboard(templateId);
+                const id = btn.dataset.id;
+                this.copyToClipboard(id, type);
             });
         });
     }
 
-    async copyTemplateToClipboard(templateId) {
+    async copyToClipboard(id, type) {
+        const manager = type === 'prompt' ? this.promptsManager : this.contextsManager;
+        const item = await manager.findById(id);
+
+        if (item) {
+            navigator.clipboard.writeText(item.content)
+                .then(() => {
+                    this.showToast('クリップボードにコピーしました', 'success');
+                })
+                .catch(() => {
+                    this.showToast('コピーに失敗しました', 'error');
+                });
+        }
+    }
+
+    async deleteItem(id, type) {
+        if (!confirm('ゴミ箱に移動しますか?')) {
+            return;
+        }
+
+        let success = false;
+        try {
+            const label = type === 'prompt' ? 'プロンプトの削除' : 'コンテキストの削除';
+            success = Boolean(await this.undoManager.run(label, async () => {
+                // コンテキストは旧版が最新版として再表示されないよう、バージョンチェーンごと移動する
+                const targetIds = type === 'context'
+                    ? getVersionChain(await this.contextsManager.getAll(), id).map(version => version.id)
+                    : [id];
+
+                let moved = null;
+                for (const targetId of targetIds) {
+                    moved = await this.trashManager.moveToTrash(type, targetId);
+                }
+                return moved;
+            }));
+        } catch (error) {
+            console.error('Failed to move item to trash:', error);
+        }
+
+        if (success) {
+            this.showToast('ゴミ箱に移動しました', 'success', this.createUndoAction());
+            if (type === 'prompt') {
+                await this.renderTagFilters('prompt');
+                await this.renderPrompts();
+            } else {
+                await this.renderTagFilters('context');
+                await this.renderContexts();
+            }
+        } else {
+            this.showToast('削除に失敗しました', 'error');
+        }
+    }
+
+    async openPreviewModal(id, type) {
+        const manager = type === 'prompt' ? this.promptsManager : this.contextsManager;
+        const item = await manager.findById(id);
+
+        if (!item) return;
+
+        this.previewItem = id;
+        this.previewType = type;
+
+        const modal = document.getElementById('preview-modal');
+        const titleEl = document.getElementById('preview-title');
+        const metaEl = document.getElementById('preview-meta');
+        const contentEl = document.getElementById('preview-content');
+
+        // タイトル設定
+        titleEl.textContent = item.title;
+
+        // メタ情報
+        const metaInfo = [];
+        metaInfo.push(`作成日: ${this.formatDate(item.createdAt)}`);
+
+        if (type === 'prompt') {
+            const promptTags = Array.isArray(item.tags)
+                ? Array.from(new Set(item.tags.map(tag => typeof tag === 'string' ? tag.trim() : '').filter(tag => tag)))
+                : [];
+            if (promptTags.length > 0) {
+                metaInfo.push(`タグ: ${promptTags.join(', ')}`);
+            }
+        }
+
+        if (type === 'context') {
+            if (item.category) {
+                metaInfo.push(`カテゴリ: ${item.category}`);
+            }
+            const contextTags = Array.isArray(item.tags)
+                ? Array.from(new Set(item.tags.map(tag => typeof tag === 'string' ? tag.trim() : '').filter(tag => tag)))
+                : [];
+            if (contextTags.length > 0) {
+                metaInfo.push(`タグ: ${contextTags.join(', ')}`);
+            }
+        }
+
+        if (item.folder) {
+            const folder = await this.foldersManager.findById(item.folder);
+            if (folder) {
+                metaInfo.push(`フォルダ: ${folder.name}`);
+            }
+        }
+
+        if (item.pmConfig && item.pmConfig.projectId) {
+            const project = await this.projectManager.getProject(item.pmConfig.projectId);
+            const projectName = project ? project.name : item.pmConfig.projectName;
+            if (projectName) {
+                metaInfo.push(`プロジェクト: ${projectName}`);
+            }
+        } else if (item.pmConfig && item.pmConfig.projectName) {
+            metaInfo.push(`プロジェクト: ${item.pmConfig.projectName}`);
+        }
+
+        metaEl.innerHTML = metaInfo.map(info => `<span>${this.escapeHtml(info)}</span>`).join('');
+
+        // コンテンツ（Markdownレンダリング）
+        contentEl.innerHTML = this.renderMarkdown(item.content);
+        this.highlightPreviewMatches(type);
+
+        // コンテキストのバージョン履歴
+        if (type === 'context') {
+            await this.renderContextVersions(item);
+        } else {
+            const versionsEl = document.getElementById('preview-versions');
+            if (versionsEl) versionsEl.innerHTML = '';
+        }
+
+        await this.renderSimilarItems(type, item.id);
+
+        modal.classList.add('active');
+    }
+
+    /**
+     * プレビューに「似ているアイテム」を表示
+     * コンテキストは最新版のみを対象とし、表示中のコンテキストの他バージョンは除く
+     * @param {string} type - 'prompt' | 'context' | 'template'
+     * @param {string} id - 表示中のアイテムID
+     */
+    async renderSimilarItems(type, id) {
+        const container = document.getElementById('preview-similar');
+        if (!container) return;
+
+        const contexts = await this.contextsManager.getAll();
+        const latestContextIds = new Set(getLatestVersions(contexts).map(context => context.id));
+        const ownVersionIds = type === 'context'
+            ? new Set(getVersionChain(contexts, id).map(context => context.id))
+            : new Set();
+
+        const similar = this.searchManager.findSimilar(type, id, {
+            filter: candidate => candidate.type !== 'context' ||
+                (latestContextIds.has(candidate.id) && !ownVersionIds.has(candidate.id))
+        });
+
+        const managers = {
+            prompt: this.promptsManager,
+            context: this.contextsManager,
+            template: this.templatesManager
+        };
+        const entries = [];
+        for (const result of similar) {
+            const item = await managers[result.type].findById(result.id);
+            if (item) entries.push({ ...result, item });
+        }
+
+        if (entries.length === 0) {
+            container.innerHTML = '';
+            return;
+        }
+
+        container.innerHTML = `
+            <h3 class="preview-versions-title">似ているアイテム</h3>
+            <ul class="similar-list">
+                ${entries.map(entry => `
+                    <li class="similar-item" data-type="${entry.type}" data-id="${entry.item.id}">
+                        <span class="global-search-badge global-search-badge-${entry.type}">${GLOBAL_SEARCH_TYPES[entry.type]}</span>
+                        <span class="similar-title">${this.escapeHtml(this.getGlobalSearchDisplay(entry).title)}</span>
+                        <span class="similar-score" title="類似度">${Math.round(entry.score * 100)}%</span>
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+
+        container.querySelectorAll('.similar-item').forEach(element => {
+            element.addEventListener('click', () => {
+                this.closeAllModals();
+                if (element.dataset.type === 'template') {
+                    this.previewTemplate(element.dataset.id);
+                } else {
+                    this.openPreviewModal(element.dataset.id, element.dataset.type);
+                }
+            });
+        });
+    }
+
+    async renderContextVersions(context) {
+        const container = document.getElementById('preview-versions');
+        if (!container) return;
+
+        const chain = getVersionChain(await this.contextsManager.getAll(), context.id);
+        if (chain.length <= 1) {
+            container.innerHTML = '';
+            return;
+        }
+
+        const headId = chain[0].id;
+
+        container.innerHTML = `
+            <h3 class="preview-versions-title">バージョン履歴 (${chain.length})</h3>
+            <ol class="version-timeline">
+                ${chain.map(version => `
+                    <li class="version-item ${version.id === context.id ? 'current' : ''}">
+                        <div class="version-info">
+                            <span class="version-label">v${this.escapeHtml(version.pmConfig?.version || '1.0')}</span>
+                            ${version.id === headId ? '<span class="version-latest">最新</span>' : ''}
+                            <span class="version-date">${this.formatDate(version.createdAt)}</span>
+                            <span class="version-title">${this.escapeHtml(version.title)}</span>
+                        </div>
+                        <div class="version-actions">
+                            ${version.id !== context.id ? `<button class="btn btn-small btn-secondary view-version-btn" data-id="${version.id}">表示</button>` : ''}
+                            ${version.id !== context.id ? `<button class="btn btn-small btn-secondary diff-version-btn" data-id="${version.id}">差分</button>` : ''}
+                            ${version.id !== headId ? `<button class="btn btn-small restore-version-btn" data-id="${version.id}">復元</button>` : ''}
+                        </div>
+                    </li>
+                `).join('')}
+            </ol>
+        `;
+
+        container.querySelectorAll('.view-version-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.openPreviewModal(btn.dataset.id, 'context');
+            });
+        });
+
+        container.querySelectorAll('.diff-version-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.closeAllModals();
+                this.openDiffModal(context.id, 'context', btn.dataset.id);
+            });
+        });
+
+        container.querySelectorAll('.restore-version-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.restoreContextVersion(btn.dataset.id);
+            });
+        });
+    }
+
+    async restoreContextVersion(versionId) {
+        try {
+            const contexts = await this.contextsManager.getAll();
+            const version = contexts.find(context => context.id === versionId);
+            if (!version) {
+                this.showToast('バージョンが見つかりません', 'error');
+                return;
+            }
+
+            // 旧版の内容で最新版の後ろに新しい版を追加する (履歴は書き換えない)
+            const head = getVersionChain(contexts, versionId)[0];
+            const restored = createNewVersion({
+                ...head,
+                title: version.title,
+                category: version.category,
+                tags: version.tags,
+                folder: version.folder,
+                pmConfig: { ...head.pmConfig }
+            }, version.content);
+            const added = await this.undoManager.untracked(() => this.contextsManager.add(restored));
+
+            await this.renderFolders('context');
+            await this.renderTagFilters('context');
+            await this.renderContexts();
+            await this.openPreviewModal(added.id, 'context');
+
+            this.showToast(`v${version.pmConfig?.version || '1.0'} の内容を v${restored.pmConfig.version} として復元しました`, 'success');
+        } catch (error) {
+            console.error('Failed to restore context version:', error);
+            this.showToast('バージョンの復元に失敗しました', 'error');
+        }
+    }
+
+    /**
+     * 差分モーダルを開く
+     * @param {string} id - 比較先 (変更後) のアイテムID
+     * @param {string} type - 'prompt' | 'context'
+     * @param {string} baseId - 比較元 (変更前) のアイテムID。省略時は直前のバージョン
+     */
+    async openDiffModal(id, type, baseId = null) {
+        const manager = type === 'prompt' ? this.promptsManager : this.contextsManager;
+        const item = await manager.findById(id);
+        if (!item) return;
+
+        this.diffItem = { id, type };
+
+        const typeLabel = type === 'prompt' ? 'プロンプト' : 'コンテキスト';
+        document.getElementById('diff-title').textContent = `差分を比較: ${item.title}`;
+
+        // 比較元の候補: 過去のバージョン + 同種の他アイテム + 貼り付けテキスト
+        const allItems = await manager.getAll();
+        const versions = type === 'context'
+            ? getVersionChain(allItems, id).filter(version => version.id !== id)
+            : [];
+        const versionIds = new Set(versions.map(version => version.id));
+        const others = (await this.getScopedItems(type))
+            .filter(other => other.id !== id && !versionIds.has(other.id))
+            .sort((a, b) => a.title.localeCompare(b.title, 'ja'));
+
+        const select = document.getElementById('diff-base-select');
+        select.innerHTML = `
+            <option value="">貼り付けたテキストと比較</option>
+            ${versions.length > 0 ? `
+                <optgroup label="バージョン履歴">
+                    ${versions.map(version => `<option value="${version.id}">v${this.escapeHtml(version.pmConfig?.version || '1.0')} - ${this.escapeHtml(version.title)} (${this.formatDate(version.createdAt)})</option>`).join('')}
+                </optgroup>
+            ` : ''}
+            ${others.length > 0 ? `
+                <optgroup label="他の${typeLabel}">
+                    ${others.map(other => `<option value="${other.id}">${this.escapeHtml(other.title)}</option>`).join('')}
+                </optgroup>
+            ` : ''}
+        `;
+
+        const previousVersionId = item.pmConfig?.previousVersionId;
+        select.value = baseId || (versionIds.has(previousVersionId) ? previousVersionId : '');
+
+        document.getElementById('diff-paste-text').value = '';
+        await this.renderDiff();
+
+        document.getElementById('diff-modal').classList.add('active');
+    }
+
+    async renderDiff() {
+        if (!this.diffItem) return;
+
+        const { id, type } = this.diffItem;
+        const manager = type === 'prompt' ? this.promptsManager : this.contextsManager;
+        const item = await manager.findById(id);
+        if (!item) return;
+
+        const baseId = document.getElementById('diff-base-select').value;
+        const pasteGroup = document.getElementById('diff-paste-group');
+        const summaryEl = document.getElementById('diff-summary');
+        const viewEl = document.getElementById('diff-view');
+
+        // コンテキストはバージョン番号を添えて表示
+        const labelOf = (target) => type === 'context' && target.pmConfig?.version
+            ? `${target.title} (v${target.pmConfig.version})`
+            : target.title;
+
+        let baseText;
+        let baseLabel;
+        if (baseId) {
+            pasteGroup.style.display = 'none';
+            const base = await manager.findById(baseId);
+            if (!base) {
+                this.showToast('比較元が見つかりません', 'error');
+                return;
+            }
+            baseText = base.content;
+            baseLabel = labelOf(base);
+        } else {
+            pasteGroup.style.display = 'block';
+            baseText = document.getElementById('diff-paste-text').value;
+            baseLabel = '貼り付けたテキスト';
+            if (!baseText) {
+                summaryEl.innerHTML = '';
+                viewEl.innerHTML = '<p class="diff-empty-message">比較元のテキストを貼り付けて「比較」を押してください</p>';
+                return;
+            }
+        }
+
+        const { rows, stats } = buildSideBySideDiff(baseText, item.content);
+
+        summaryEl.innerHTML = stats.added === 0 && stats.removed === 0
+            ? '<span>差分はありません</span>'
+            : `
+                <span class="diff-stat-added">+${stats.added} 行</span>
+                <span class="diff-stat-removed">-${stats.removed} 行</span>
+                <span>変更なし ${stats.unchanged} 行</span>
+            `;
+
+        const renderCell = (cell) => {
+            if (!cell) {
+                return '<td class="diff-line-number"></td><td class="diff-line diff-filler"></td>';
+            }
+            const text = cell.segments.map(segment => {
+                const value = this.escapeHtml(segment.value);
+                if (segment.type === 'delete') return `<del>${value}</del>`;
+                if (segment.type === 'insert') return `<ins>${value}</ins>`;
+                return value;
+            }).join('');
+            return `<td class="diff-line-number">${cell.lineNumber}</td><td class="diff-line diff-${cell.type}">${text}</td>`;
+        };
+
+        viewEl.innerHTML = `
+            <table class="diff-table">
+                <thead>
+                    <tr>
+                        <th colspan="2">${this.escapeHtml(baseLabel)}</th>
+                        <th colspan="2">${this.escapeHtml(labelOf(item))}</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${rows.map(row => `<tr>${renderCell(row.left)}${renderCell(row.right)}</tr>`).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    closeAllModals() {
+        document.querySelectorAll('.modal').forEach(modal => {
+            modal.classList.remove('active');
+        });
+        this.editingItem = null;
+        this.editingType = null;
+        this.editingProject = null;
+        this.editingSmartFolder = null;
+        this.editingTemplate = null;
+        this.previewItem = null;
+        this.previewType = null;
+        this.diffItem = null;
+    }
+
+    showToast(message, type = 'success', action = null) {
+        const toast = document.createElement('div');
+        toast.className = `toast ${type}`;
+        toast.textContent = message;
+
+        // 「元に戻す」などの操作ボタン
+        if (action) {
+            const actionBtn = document.createElement('button');
+            actionBtn.className = 'toast-action';
+            actionBtn.textContent = action.label;
+            actionBtn.addEventListener('click', () => {
+                toast.remove();
+                action.handler();
+            });
+            toast.appendChild(actionBtn);
+        }
+
+        document.body.appendChild(toast);
+
+        setTimeout(() => {
+            toast.style.animation = 'slideInRight 0.3s ease reverse';
+            setTimeout(() => {
+                toast.remove();
+            }, 300);
+        }, 3000);
+    }
+
+    renderEmptyState(icon, title, description) {
+        return `
+            <div class="empty-state">
+                <h3>${title}</h3>
+                <p>${description}</p>
+            </div>
+        `;
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    renderMarkdown(text) {
+        if (typeof marked === 'undefined') {
+            // marked.jsが読み込まれていない場合はエスケープのみ
+            return this.escapeHtml(text);
+        }
+
+        // marked.jsの設定: XSS対策とシンプルなレンダリング
+        marked.setOptions({
+            breaks: true,        // 改行を<br>に変換
+            gfm: true,           // GitHub Flavored Markdown
+            headerIds: false,    // ヘッダーIDを無効化
+            mangle: false        // メールアドレスの難読化を無効化
+        });
+
+        try {
+            return marked.parse(text);
+        } catch (e) {
+            console.error('Markdown parsing error:', e);
+            return this.escapeHtml(text);
+        }
+    }
+
+    formatDate(dateString) {
+        const date = new Date(dateString);
+        const now = new Date();
+        const diff = now - date;
+        const days = Math.floor(diff / (1000 * 60 * 60 * 24));
+
+        if (days === 0) {
+            return '今日';
+        } else if (days === 1) {
+            return '昨日';
+        } else if (days < 7) {
+            return `${days}日前`;
+        } else {
+            return date.toLocaleDateString('ja-JP', {
+                year: 'numeric',
+                month: 'short',
+                day: 'numeric'
+            });
+        }
+    }
+
+    // ========================================
+    // Phase 2: テンプレート管理メソッド
+    // ========================================
+
+    async renderTemplates() {
+        const grid = document.getElementById('templates-grid');
+        if (!grid) return;
+
+        try {
+            const templates = await window.templateManager.getAllTemplates();
+            this.renderTemplatesList(templates);
+        } catch (error) {
+            console.error('Failed to render templates:', error);
+            grid.innerHTML = '<p class="no-items">テンプレートの読み込みに失敗しました</p>';
+        }
+    }
+
+    /**
+     * 入力が止まってからテンプレートを検索 (実行中の古い検索は取り消す)
+     */
+    scheduleTemplateSearch() {
+        clearTimeout(this.templateSearchTimer);
+        this.templateSearchController?.abort();
+
+        this.templateSearchTimer = setTimeout(() => {
+            this.searchTemplates(this.templateSearchQuery);
+        }, TEMPLATE_SEARCH_DEBOUNCE_MS);
+    }
+
+    async searchTemplates(query) {
+        const controller = new AbortController();
+        this.templateSearchController = controller;
+
+        try {
+            const templates = await window.templateManager.searchTemplates(query, { signal: controller.signal });
+            this.renderTemplatesList(templates);
+        } catch (error) {
+            // 新しい入力で取り消された検索は結果を捨てる
+            if (error.name === 'AbortError') return;
+            console.error('Failed to search templates:', error);
+            this.showToast('テンプレートの検索に失敗しました', 'error');
+        }
+    }
+
+    renderTemplatesList(templates) {
+        const grid = document.getElementById('templates-grid');
+        if (!grid) return;
+
+        if (templates.length === 0) {
+            grid.innerHTML = '<p class="no-items">テンプレートがありません</p>';
+            return;
+        }
+
+        grid.innerHTML = templates.map(template => this.createTemplateCard(template)).join('');
+        this.attachTemplateEventListeners();
+    }
+
+    createTemplateCard(template) {
+        const cardClass = template.author === 'system' ? 'template-card system-template' : 'template-card custom-template';
+
+        // 検索中はテンプレート本文の一致箇所周辺も表示
+        const terms = this.getSearchHighlightTerms('template');
+        const snippet = this.renderSearchSnippet(
+            [template.promptTemplate, template.contextTemplate].filter(Boolean).join('\n\n'),
+            terms
+        );
+
+        return `
+            <div class="${cardClass}" data-template-id="${template.id}">
+                <div class="template-card-header">
+                    <span class="template-category">${this.escapeHtml(template.category)}</span>
+                    <h3>${this.highlightText(template.name, terms)}</h3>
+                </div>
+                <p class="template-description">${this.highlightText(template.description, terms)}</p>
+                ${snippet}
+                ${template.tags && template.tags.length > 0 ? `
+                    <div class="template-tags">
+                        ${template.tags.map(tag => `<span class="template-tag">${this.escapeHtml(tag)}</span>`).join('')}
+                    </div>
+                ` : ''}
+                <div class="template-meta">
+                    <div class="template-meta-item">
+                        <span>📊</span>
+                        <span>${template.usageCount || 0}回使用</span>
+                    </div>
+                    ${template.rating > 0 ? `
+                        <div class="template-meta-item">
+                            <span>⭐</span>
+                            <span>${template.rating.toFixed(1)}</span>
+                        </div>
+                    ` : ''}
+                </div>
+                <div class="template-actions">
+                    <button class="btn btn-primary apply-template-btn">適用</button>
+                    <button class="btn btn-secondary preview-template-btn">プレビュー</button>
+                    ${template.isCustom ? '<button class="btn btn-secondary edit-template-btn">編集</button>' : ''}
+                    <button class="btn btn-secondary copy-template-btn" title="テンプレートをコピー">📋</button>
+                </div>
+            </div>
+        `;
+    }
+
+    attachTemplateEventListeners() {
+        // 適用ボタン
+        document.querySelectorAll('.apply-template-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                const card = e.target.closest('.template-card');
+                const templateId = card.dataset.templateId;
+                this.openTemplateApplyModal(templateId);
+            });
+        });
+
+        // プレビューボタン
+        document.querySelectorAll('.preview-template-btn').forEach(btn => {
+            btn.addEventListener('click', async (e) => {
+                e.stopPropagation();
+                const card = e.target.closest('.template-card');
+                const templateId = card.dataset.templateId;
+                await this.previewTemplate(templateId);
+            });
+        });
+
+        // 編集ボタン (カスタムテンプレートのみ)
+        document.querySelectorAll('.edit-template-btn').forEach(btn => {
+            btn.addEventListener('click', async (e) => {
+                e.stopPropagation();
+                const card = e.target.closest('.template-card');
+                await this.openTemplateEditor(card.dataset.templateId);
+            });
+        });
+
+        // コピーボタン
+        document.querySelectorAll('.copy-template-btn').forEach(btn => {
+            btn.addEventListener('click', async (e) => {
+                e.stopPropagation();
+                const card = e.target.closest('.template-card');
+                const templateId = card.dataset.templateId;
+                await this.copyTemplateToClipboard(templateId);
+            });
+        });
+    }
+
+    async copyTemplateToClipboard(templateId) {
+        try {
+            const template = await window.templateManager.storage.findById(templateId);
+            if (!template) {
+                this.showToast('テンプレートが見つかりません', 'error');
+                return;
+            }
+
+            // テンプレートの内容をクリップボードにコピー
+            const textToCopy = `${template.name}\n\n${template.promptTemplate}${template.contextTemplate ? `\n\n---\n\n${template.contextTemplate}` : ''}`;
+            await navigator.clipboard.writeText(textToCopy);
+            this.showToast('テンプレートをクリップボードにコピーしました', 'success');
+        } catch (error) {
+            console.error('Failed to copy template:', error);
+            this.showToast('コピーに失敗しました', 'error');
+        }
+    }
+
+    async openTemplateApplyModal(templateId) {
+        const template = await window.templateManager.storage.findById(templateId);
+        if (!template) {
+            this.showToast('テンプレートが見つかりません', 'error');
+            return;
+        }
+
+        const modal = document.getElementById('template-apply-modal');
+        const title = document.getElementById('template-apply-title');
+        const container = document.getElementById('template-variables-container');
+
+        title.textContent = `${template.name} を適用`;
+
+        // アクティブプロジェクトの値・前回の入力値・既定値で埋めた変数入力フォームを生成
+        const project = await this.projectManager.getActiveProject();
+        const initialValues = window.templateManager.getInitialValues(template, project);
+        const projectValues = window.templateManager.getProjectValues(template.variables, project);
+        container.innerHTML = template.variables.map(variable => {
+            const inputId = `template-variable-${variable.name}`;
+            const value = this.escapeHtml(initialValues[variable.name] || '');
+            const required = variable.required ? '<span class="required">*</span>' : '';
+            const attributes = [
+                `id="${inputId}"`,
+                `name="${variable.name}"`,
+                variable.required ? 'required' : '',
+                variable.placeholder ? `placeholder="${this.escapeHtml(variable.placeholder)}"` : ''
+            ].filter(Boolean).join(' ');
+
+            let inputHtml = '';
+            switch (variable.type) {
+                case 'textarea':
+                    inputHtml = `<textarea ${attributes}>${value}</textarea>`;
+                    break;
+                case 'select':
+                    inputHtml = `
+                        <select ${attributes}>
+                            ${variable.required ? '' : '<option value="">(未選択)</option>'}
+                            ${variable.options.map(opt => `<option value="${this.escapeHtml(opt)}" ${opt === initialValues[variable.name] ? 'selected' : ''}>${this.escapeHtml(opt)}</option>`).join('')}
+                        </select>
+                    `;
+                    break;
+                case 'date':
+                case 'datetime':
+                    inputHtml = `<input type="${variable.type === 'datetime' ? 'datetime-local' : 'date'}" ${attributes} value="${value}">`;
+                    break;
+                default:
+                    inputHtml = `<input type="text" ${attributes} value="${value}">`;
+            }
+
+            return `
+                <div class="variable-input-group" data-variable="${variable.name}">
+                    <label for="${inputId}">${this.escapeHtml(variable.label)}${required}</label>
+                    ${variable.name in projectValues ? `<span class="variable-source">プロジェクト「${this.escapeHtml(project.name)}」から入力</span>` : ''}
+                    ${inputHtml}
+                    ${variable.placeholder ? `<span class="variable-placeholder">${this.escapeHtml(variable.placeholder)}</span>` : ''}
+                    <span class="variable-error" role="alert"></span>
+                </div>
+            `;
+        }).join('');
+
+        // 入力し直したらエラー表示を消す
+        container.querySelectorAll('input, textarea, select').forEach(input => {
+            const clearError = () => this.showTemplateVariableErrors({ [input.name]: null });
+            input.addEventListener('input', clearError);
+            input.addEventListener('change', clearError);
+        });
+
+        modal.classList.add('active');
+
+        // フォーム送信処理 (ブラウザ標準の検証ではなく、各入力欄の下にエラーを表示する)
+        const form = document.getElementById('template-apply-form');
+        form.noValidate = true;
+        form.onsubmit = async (e) => {
+            e.preventDefault();
+            const variableValues = Object.fromEntries(new FormData(form).entries());
+            const validation = validateVariableValues(template.variables, variableValues);
+            if (!validation.valid) {
+                this.showTemplateVariableErrors(validation.errors);
+                return;
+            }
+
+            if (await this.applyTemplateToPrompt(templateId, variableValues)) {
+                this.closeAllModals();
+            }
+        };
+    }
+
+    /**
+     * 変数入力欄のエラー表示を更新 (値がnullの変数はエラー表示を消す)
+     * @param {Object} errors - 変数名 → エラーメッセージ
+     */
+    showTemplateVariableErrors(errors) {
+        const container = document.getElementById('template-variables-container');
+        let firstInvalid = null;
+
+        Object.entries(errors).forEach(([name, message]) => {
+            const group = container.querySelector(`.variable-input-group[data-variable="${name}"]`);
+            if (!group) return;
+
+            group.classList.toggle('invalid', Boolean(message));
+            group.querySelector('.variable-error').textContent = message || '';
+            const input = group.querySelector('input, textarea, select');
+            input.setAttribute('aria-invalid', message ? 'true' : 'false');
+            if (message && !firstInvalid) {
+                firstInvalid = input;
+            }
+        });
+
+        firstInvalid?.focus();
+    }
+
+    async applyTemplateToPrompt(templateId, variableValues) {
+        try {
+            // テンプレートを適用
+            const project = await this.projectManager.getActiveProject();
+            const result = await window.templateManager.applyTemplate(templateId, variableValues, { project });
+
+            // プロンプトモーダルを開いて適用
+            this.openPromptModal();
+
+            // プロンプト内容を設定
+            document.getElementById('prompt-title').value = result.templateName;
+            document.getElementById('prompt-content').value = result.prompt;
+
+            // タグも設定
+            if (result.tags && result.tags.length > 0) {
+                document.getElementById('prompt-tags').value = result.tags.join(', ');
+            }
+
+            this.showToast('テンプレートを適用しました', 'success');
+            return true;
+        } catch (error) {
+            console.error('Failed to apply template:', error);
+            const message = error.name === 'TemplateSyntaxError'
+                ? `テンプレートの構文エラー (${error.line}行${error.column}列): ${error.message}`
+                : 'テンプレートの適用に失敗しました';
+            this.showToast(message, 'error');
+            return false;
+        }
+    }
+
+    async previewTemplate(templateId) {
+        const template = await window.templateManager.storage.findById(templateId);
+        if (!template) return;
+
+        const modal = document.getElementById('preview-modal');
+        const title = document.getElementById('preview-title');
+        const meta = document.getElementById('preview-meta');
+        const content = document.getElementById('preview-content');
+
+        title.textContent = template.name;
+
+        meta.innerHTML = `
+            <div class="meta-item"><strong>カテゴリ:</strong> ${this.escapeHtml(template.category)}</div>
+            <div class="meta-item"><strong>タグ:</strong> ${template.tags ? template.tags.map(t => this.escapeHtml(t)).join(', ') : 'なし'}</div>
+            <div class="meta-item"><strong>使用回数:</strong> ${template.usageCount || 0}回</div>
+            <div class="meta-item"><strong>種別:</strong> ${template.author === 'system' ? '公式テンプレート' : 'カスタムテンプレート'}</div>
+        `;
+
+        // テンプレート本文をプレビュー
+        const previewText = `## プロンプトテンプレート\n\n${template.promptTemplate}\n\n${template.contextTemplate ? `## コンテキストテンプレート\n\n${template.contextTemplate}` : ''}`;
+        content.innerHTML = marked.parse(previewText);
+        this.highlightPreviewMatches('template');
+
+        document.getElementById('preview-versions').innerHTML = '';
+        await this.renderSimilarItems('template', template.id);
+
+        // モーダルフッターのボタンをテンプレート用に変更
+        const footer = modal.querySelector('.modal-footer');
+        footer.innerHTML = `
+            <button class="btn btn-success" id="preview-apply-template-btn">適用</button>
+            ${template.isCustom ? '<button class="btn btn-secondary" id="preview-edit-template-btn">編集</button>' : ''}
+            ${template.isCustom ? '<button class="btn btn-danger" id="preview-delete-template-btn">削除</button>' : ''}
+            <button class="btn btn-secondary cancel-btn">閉じる</button>
+        `;
+
+        // 適用ボタンのイベント
+        const applyBtn = document.getElementById('preview-apply-template-btn');
+        if (applyBtn) {
+            applyBtn.onclick = () => {
+                this.closeAllModals();
+                this.openTemplateApplyModal(templateId);
+            };
+        }
+
+        // 編集ボタンのイベント（カスタムテンプレートのみ）
+        const editBtn = document.getElementById('preview-edit-template-btn');
+        if (editBtn) {
+            editBtn.onclick = () => {
+                this.closeAllModals();
+                this.openTemplateEditor(templateId);
+            };
+        }
+
+        // 削除ボタンのイベント（カスタムテンプレートのみ）
+        const deleteBtn = document.getElementById('preview-delete-template-btn');
+        if (deleteBtn) {
+            deleteBtn.onclick = async () => {
+                if (confirm('このテンプレートをゴミ箱に移動してもよろしいですか？')) {
+                    try {
+                        await window.templateManager.deleteTemplate(templateId);
+                        this.closeAllModals();
+                        await this.renderTemplates();
+                        this.showToast('テンプレートをゴミ箱に移動しました', 'success');
+                    } catch (error) {
+                        console.error('Failed to delete template:', error);
+                        this.showToast('テンプレートの削除に失敗しました', 'error');
+                    }
+                }
+            };
+        }
+
+        // 閉じるボタンのイベント
+        const cancelBtns = footer.querySelectorAll('.cancel-btn');
+        cancelBtns.forEach(btn => {
+            btn.onclick = () => this.closeAllModals();
+        });
+
+        modal.classList.add('active');
+    }
+
+    // ========================================
+    // Phase 2: カスタムテンプレートエディタ
+    // ========================================
+
+    /**
+     * テンプレートエディタを開く
+     * @param {string|null} templateId - 編集するカスタムテンプレートのID (nullなら新規作成)
+     */
+    async openTemplateEditor(templateId = null) {
+        let template = null;
+        if (templateId) {
+            template = await window.templateManager.storage.findById(templateId);
+            if (!template) {
+                this.showToast('テンプレートが見つかりません', 'error');
+                return;
+            }
+            if (!template.isCustom) {
+                this.showToast('公式テンプレートは編集できません', 'error');
+                return;
+            }
+        }
+
+        const form = document.getElementById('template-editor-form');
+        form.reset();
+        this.editingTemplate = template ? template.id : null;
+        this.templateEditorVariables = new Map((template?.variables || []).map(variable => [variable.name, { ...variable }]));
+        this.templateEditorProject = await this.projectManager.getActiveProject();
+
+        document.getElementById('template-editor-title').textContent = template ? 'カスタムテンプレートを編集' : 'カスタムテンプレートを作成';
+        document.getElementById('template-editor-category').innerHTML = Object.values(TEMPLATE_CATEGORIES)
+            .map(category => `<option value="${this.escapeHtml(category)}">${this.escapeHtml(category)}</option>`)
+            .join('');
+        document.getElementById('template-variable-sources').innerHTML = [
+            ...Object.entries(PROJECT_VARIABLE_SOURCES),
+            [`${TEAM_ROLE_SOURCE_PREFIX}PM`, '役割を指定したメンバー (例: PM)']
+        ].map(([source, label]) => `<option value="${this.escapeHtml(source)}">${this.escapeHtml(label)}</option>`).join('');
+
+        if (template) {
+            document.getElementById('template-editor-name').value = template.name;
+            document.getElementById('template-editor-category').value = template.category;
+            document.getElementById('template-editor-tags').value = (template.tags || []).join(', ');
+            document.getElementById('template-editor-phases').value = (template.phases || []).join(', ');
+            document.getElementById('template-editor-description').value = template.description || '';
+            document.getElementById('template-editor-prompt').value = template.promptTemplate;
+            document.getElementById('template-editor-context').value = template.contextTemplate || '';
+        }
+
+        // 既存の変数行を消してから作り直す
+        document.getElementById('template-variable-rows').innerHTML = '';
+        this.syncTemplateEditorVariables();
+        this.updateTemplateEditor();
+
+        document.getElementById('template-editor-modal').classList.add('active');
+        document.getElementById('template-editor-name').focus();
+    }
+
+    /**
+     * テンプレート本文から変数を抽出し、変数テーブルの行を作り直す
+     * 構文エラーの間は直前の行を残す (エラーはバリデーション結果に表示)
+     */
+    syncTemplateEditorVariables() {
+        let names;
+        try {
+            names = [...new Set([
+                ...extractVariables(document.getElementById('template-editor-prompt').value),
+                ...extractVariables(document.getElementById('template-editor-context').value)
+            ])];
+        } catch (error) {
+            if (error.name === 'TemplateSyntaxError') return;
+            throw error;
+        }
+
+        const tbody = document.getElementById('template-variable-rows');
+        const currentNames = [...tbody.querySelectorAll('tr')].map(row => row.dataset.variable);
+        if (names.join('\u0000') === currentNames.join('\u0000') && tbody.children.length > 0) return;
+
+        if (names.length === 0) {
+            tbody.innerHTML = '<tr class="template-variable-empty"><td colspan="7">変数はありません ({{変数名}} で追加できます)</td></tr>';
+            return;
+        }
+
+        tbody.innerHTML = names.map(name => this.renderTemplateVariableRow(this.getTemplateEditorVariable(name))).join('');
+    }
+
+    /**
+     * 変数定義を取得 (初めて使われた変数は既定の定義を作成)
+     * @param {string} name - 変数名
+     * @returns {Object} 変数定義
+     */
+    getTemplateEditorVariable(name) {
+        if (!this.templateEditorVariables.has(name)) {
+            // 日付などの自動入力される変数は任意にしておく
+            this.templateEditorVariables.set(name, createVariable(name, name, VARIABLE_TYPES.TEXT, {
+                required: !AUTO_VARIABLE_NAMES.includes(name)
+            }));
+        }
+        return this.templateEditorVariables.get(name);
+    }
+
+    /**
+     * 変数テーブルの行のHTMLを作成
+     * @param {Object} variable - 変数定義
+     * @returns {string} HTML
+     */
+    renderTemplateVariableRow(variable) {
+        const name = this.escapeHtml(variable.name);
+        const typeOptions = Object.values(VARIABLE_TYPES)
+            .map(type => `<option value="${type}" ${type === variable.type ? 'selected' : ''}>${VARIABLE_TYPE_LABELS[type]}</option>`)
+            .join('');
+        const isSelect = variable.type === VARIABLE_TYPES.SELECT;
+        // 入力値は属性に埋め込むため、引用符もエスケープする
+        const attr = value => this.escapeHtml(value).replace(/"/g, '&quot;');
+
+        return `
+            <tr data-variable="${name}">
+                <td><code>${name}</code></td>
+                <td><input type="text" data-field="label" value="${attr(variable.label)}" aria-label="${name} のラベル"></td>
+                <td><select data-field="type" aria-label="${name} の型">${typeOptions}</select></td>
+                <td><input type="text" data-field="defaultValue" value="${attr(variable.defaultValue || '')}" aria-label="${name} の既定値"></td>
+                <td><input type="checkbox" data-field="required" ${variable.required ? 'checked' : ''} aria-label="${name} を必須にする"></td>
+                <td><input type="text" data-field="options" value="${attr((variable.options || []).join(', '))}" ${isSelect ? '' : 'disabled'} aria-label="${name} の選択肢"></td>
+                <td><input type="text" data-field="source" list="template-variable-sources" value="${attr(variable.source || '')}" aria-label="${name} の自動入力の参照元"></td>
+            </tr>
+        `;
+    }
+
+    /**
+     * 変数テーブルの入力を変数定義に反映
+     * @param {HTMLElement} input - 変更された入力欄
+     */
+    updateTemplateEditorVariable(input) {
+        const row = input.closest('tr');
+        const field = input.dataset.field;
+        if (!row || !field) return;
+
+        const variable = this.getTemplateEditorVariable(row.dataset.variable);
+        switch (field) {
+            case 'required':
+                variable.required = input.checked;
+                break;
+            case 'options':
+                variable.options = input.value.split(',').map(option => option.trim()).filter(option => option);
+                break;
+            case 'type':
+                variable.type = input.value;
+                row.querySelector('[data-field="options"]').disabled = input.value !== VARIABLE_TYPES.SELECT;
+                break;
+            default:
+                variable[field] = input.value.trim();
+        }
+    }
+
+    /**
+     * エディタの入力内容からテンプレートデータを作成
+     * @returns {Object} テンプレートデータ
+     */
+    collectTemplateEditorData() {
+        const splitList = value => value.split(',').map(item => item.trim()).filter(item => item);
+        const names = [...document.querySelectorAll('#template-variable-rows tr[data-variable]')].map(row => row.dataset.variable);
+
+        return {
+            name: document.getElementById('template-editor-name').value.trim(),
+            category: document.getElementById('template-editor-category').value,
+            tags: splitList(document.getElementById('template-editor-tags').value),
+            phases: splitList(document.getElementById('template-editor-phases').value),
+            description: document.getElementById('template-editor-description').value.trim(),
+            promptTemplate: document.getElementById('template-editor-prompt').value,
+            contextTemplate: document.getElementById('template-editor-context').value,
+            variables: names.map(name => {
+                const variable = this.getTemplateEditorVariable(name);
+                return {
+                    ...variable,
+                    label: variable.label || name,
+                    options: variable.type === VARIABLE_TYPES.SELECT ? variable.options : []
+                };
+            })
+        };
+    }
+
+    /**
+     * バリデーション結果とプレビューを更新
+     * @returns {boolean} 保存できる内容か
+     */
+    updateTemplateEditor() {
+        const data = this.collectTemplateEditorData();
+        const { valid, errors } = validateTemplate(data);
+
+        document.getElementById('template-editor-errors').innerHTML = errors
+            .map(error => `<li>${this.escapeHtml(error)}</li>`)
+            .join('');
+        document.getElementById('template-editor-save').disabled = !valid;
+
+        this.renderTemplateEditorPreview(data);
+        return valid;
+    }
+
+    /**
+     * 変数型に合ったサンプル値を作成
+     * @param {Object} variable - 変数定義
+     * @returns {string} サンプル値
+     */
+    getTemplateSampleValue(variable) {
+        if (variable.defaultValue) return variable.defaultValue;
+        // 日付などは適用時と同じく自動入力の値を使う
+        if (AUTO_VARIABLE_NAMES.includes(variable.name)) return '';
+
+        const now = new Date();
+        switch (variable.type) {
+            case VARIABLE_TYPES.DATE:
+                return formatDate(now);
+            case VARIABLE_TYPES.DATETIME:
+                return `${formatDate(now)}T${formatTime(now)}`;
+            case VARIABLE_TYPES.SELECT:
+                return variable.options[0] || '';
+            case VARIABLE_TYPES.TEXTAREA:
+                return `${variable.label}の例1\n${variable.label}の例2`;
+            default:
+                return `${variable.label}の例`;
+        }
+    }
+
+    /**
+     * サンプル値 (アクティブプロジェクトがあればその値) でテンプレートを展開してプレビュー
+     * @param {Object} data - テンプレートデータ
+     */
+    renderTemplateEditorPreview(data) {
+        const preview = document.getElementById('template-editor-preview');
+        if (!data.promptTemplate.trim()) {
+            preview.innerHTML = '<p class="no-items">プロンプトテンプレートを入力するとプレビューが表示されます</p>';
+            return;
+        }
+
+        const manager = window.templateManager;
+        const sampleValues = Object.fromEntries(data.variables.map(variable => [variable.name, this.getTemplateSampleValue(variable)]));
+        const values = manager.addAutoVariables({
+            ...sampleValues,
+            ...manager.getProjectValues(data.variables, this.templateEditorProject)
+        }, this.templateEditorProject);
+
+        try {
+            const prompt = manager.replaceVariables(data.promptTemplate, values);
+            const context = data.contextTemplate.trim() ? manager.replaceVariables(data.contextTemplate, values) : '';
+            preview.innerHTML = this.renderMarkdown(context ? `${prompt}\n\n---\n\n${context}` : prompt);
+        } catch (error) {
+            if (error.name !== 'TemplateSyntaxError') throw error;
+            preview.innerHTML = `<p class="template-editor-preview-error">構文エラー (${error.line}行${error.column}列): ${this.escapeHtml(error.message)}</p>`;
+        }
+    }
+
+    /**
+     * エディタの内容でカスタムテンプレートを作成・更新
+     */
+    async saveTemplateEditor() {
+        if (!this.updateTemplateEditor()) {
+            this.showToast('入力内容にエラーがあります', 'error');
+            return;
+        }
+
+        const data = this.collectTemplateEditorData();
+        try {
+            if (this.editingTemplate) {
+                await window.templateManager.updateTemplate(this.editingTemplate, data);
+                this.showToast('テンプレートを更新しました', 'success');
+            } else {
+                await window.templateManager.createCustomTemplate(data);
+                this.showToast('テンプレートを作成しました', 'success');
+            }
+
+            this.closeAllModals();
+            await this.renderTemplates();
+        } catch (error) {
+            console.error('Failed to save template:', error);
+            this.showToast('テンプレートの保存に失敗しました', 'error');
+        }
+    }
+
+    // ========================================
+    // Phase 3: プロジェクト管理
+    // ========================================
+
+    async renderProjectSelector() {
+        const select = document.getElementById('active-project-select');
+        if (!select) return;
+
+        const projects = await this.projectManager.getAllProjects();
+        const activeId = this.projectManager.activeProjectId;
+
+        select.innerHTML = `
+            <option value="">すべてのプロジェクト</option>
+            ${projects.map(project => `
+                <option value="${project.id}">${this.escapeHtml(project.name)}</option>
+            `).join('')}
+        `;
+        select.value = activeId || '';
+    }
+
+    async switchProject(projectId) {
         try {
-            const template = await window.templateManager.storage.findById(templateId);
-            if (!template) {
-                this.showToast('テンプレートが見つかりません', 'error');
-                return;
-            }
+            const project = await this.projectManager.setActiveProject(projectId);
+            await this.renderProjectSelector();
+            await this.refreshProjectScope();
 
-            // テンプレートの内容をクリップボードにコピー
-            const textToCopy = `${template.name}\n\n${template.promptTemplate}${template.contextTemplate ? `\n\n---\n\n${template.contextTemplate}` : ''}`;
-            await navigator.clipboard.writeText(textToCopy);
-            this.showToast('テンプレートをクリップボードにコピーしました', 'success');
+            if (project) {
+                this.showToast(`プロジェクト「${project.name}」に切り替えました`, 'success');
+            } else {
+                this.showToast('すべてのプロジェクトを表示しています', 'success');
+            }
         } catch (error) {
-            console.error('Failed to copy template:', error);
-            this.showToast('コピーに失敗しました', 'error');
+            console.error('Failed to switch project:', error);
+            this.showToast('プロジェクトの切り替えに失敗しました', 'error');
+            await this.renderProjectSelector();
         }
     }
 
-    async openTemplateApplyModal(templateId) {
-        const template = await window.templateManager.storage.findById(templateId);
-        if (!template) {
-            this.showToast('テンプレートが見つかりません', 'error');
+    async refreshProjectScope() {
+        // 別プロジェクトのフォルダが選択されたまま残らないようリセット
+        this.currentPromptFolder = null;
+        this.currentContextFolder = null;
+
+        await this.renderFolders('prompt');
+        await this.renderFolders('context');
+        await this.renderTagFilters('prompt');
+        await this.renderTagFilters('context');
+        await this.renderPrompts();
+        await this.renderContexts();
+
+        if (this.currentTab === 'dashboard') {
+            await this.renderDashboard();
+        }
+    }
+
+    async renderProjectOptions(selectId, selectedId = '', emptyLabel = 'プロジェクトなし') {
+        const select = document.getElementById(selectId);
+        if (!select) return;
+
+        const projects = await this.projectManager.getAllProjects();
+        select.innerHTML = `
+            <option value="">${emptyLabel}</option>
+            ${projects.map(project => `
+                <option value="${project.id}">${this.escapeHtml(project.name)}</option>
+            `).join('')}
+        `;
+        select.value = projects.some(project => project.id === selectedId) ? selectedId : '';
+    }
+
+    async applyProjectToPmConfig(pmConfig, projectId) {
+        if (projectId) {
+            const project = await this.projectManager.getProject(projectId);
+            pmConfig.projectId = projectId;
+            pmConfig.projectName = project ? project.name : pmConfig.projectName;
             return;
         }
 
-        const modal = document.getElementById('template-apply-modal');
-        const title = document.getElementById('template-apply-title');
-        const container = document.getElementById('template-variables-container');
+        // 明示的にプロジェクトを外した場合のみ名前もクリア (旧データの自由入力名は保持)
+        if (pmConfig.projectId) {
+            pmConfig.projectName = '';
+        }
+        pmConfig.projectId = null;
+    }
 
-        title.textContent = `${template.name} を適用`;
+    async openProjectModal(projectId = null) {
+        const modal = document.getElementById('project-modal');
+        const title = document.getElementById('project-modal-title');
+        const form = document.getElementById('project-form');
 
-        // 変数入力フォームを生成
-        container.innerHTML = template.variables.map(variable => {
-            const required = variable.required ? '<span class="required">*</span>' : '';
-            const placeholder = variable.placeholder ? `placeholder="${this.escapeHtml(variable.placeholder)}"` : '';
+        form.reset();
+        this.editingProject = null;
 
-            let inputHtml = '';
-            switch (variable.type) {
-                case 'textarea':
-                    inputHtml = `<textarea name="${variable.name}" ${placeholder}></textarea>`;
-                    break;
-                case 'select':
-                    inputHtml = `
-                        <select name="${variable.name}">
-                            ${variable.options.map(opt => `<option value="${this.escapeHtml(opt)}">${this.escapeHtml(opt)}</option>`).join('')}
-                        </select>
-                    `;
-                    break;
-                case 'date':
-                case 'datetime':
-                    inputHtml = `<input type="${variable.type === 'datetime' ? 'datetime-local' : 'date'}" name="${variable.name}">`;
-                    break;
-                default:
-                    inputHtml = `<input type="text" name="${variable.name}" ${placeholder}>`;
+        if (projectId) {
+            const project = await this.projectManager.getProject(projectId);
+            if (!project) {
+                this.showToast('プロジェクトが見つかりません', 'error');
+                return;
             }
 
-            return `
-                <div class="variable-input-group">
-                    <label>${this.escapeHtml(variable.label)}${required}</label>
-                    ${inputHtml}
-                    ${variable.placeholder ? `<span class="variable-placeholder">${this.escapeHtml(variable.placeholder)}</span>` : ''}
-                </div>
-            `;
-        }).join('');
+            title.textContent = 'プロジェクトを編集';
+            document.getElementById('project-name').value = project.name;
+            document.getElementById('project-description').value = project.description || '';
+            document.getElementById('project-status').value = project.status || 'active';
+            document.getElementById('project-priority').value = project.priority || 'medium';
+            document.getElementById('project-start-date').value = this.toDateInputValue(project.startDate);
+            document.getElementById('project-end-date').value = this.toDateInputValue(project.endDate);
+            document.getElementById('project-phase').value = project.currentPhase || '企画';
+            document.getElementById('project-team').value = (project.team || [])
+                .map(member => member.role ? `${member.name}(${member.role})` : member.name)
+                .join(', ');
+
+            this.editingProject = projectId;
+        } else {
+            title.textContent = '新規プロジェクト';
+            document.getElementById('project-start-date').value = this.toDateInputValue(new Date().toISOString());
+        }
 
         modal.classList.add('active');
-
-        // フォーム送信処理
-        const form = document.getElementById('template-apply-form');
-        form.onsubmit = async (e) => {
-            e.preventDefault();
-            await this.applyTemplateToPrompt(templateId, new FormData(form));
-            this.closeAllModals();
-        };
     }
 
-    async applyTemplateToPrompt(templateId, formData) {
-        try {
-            // FormDataから変数値を取得
-            const variableValues = {};
-            for (const [key, value] of formData.entries()) {
-                variableValues[key] = value;
-            }
-
-            // テンプレートを適用
-            const result = await window.templateManager.applyTemplate(templateId, variableValues);
-
-            // プロンプトモーダルを開いて適用
-            this.openPromptModal();
+    async saveProject() {
+        const form = document.getElementById('project-form');
+        const formProject = projectFromFormData(new FormData(form));
+
+        const projectData = {
+            name: formProject.name.trim(),
+            description: formProject.description.trim(),
+            status: formProject.status,
+            priority: formProject.priority,
+            startDate: formProject.startDate,
+            endDate: formProject.endDate,
+            currentPhase: formProject.currentPhase,
+            team: formProject.team
+        };
 
-            // プロンプト内容を設定
-            document.getElementById('prompt-title').value = result.templateName;
-            document.getElementById('prompt-content').value = result.prompt;
+        if (!projectData.name) {
+            this.showToast('プロジェクト名は必須です', 'error');
+            return;
+        }
 
-            // タグも設定
-            if (result.tags && result.tags.length > 0) {
-                document.getElementById('prompt-tags').value = result.tags.join(', ');
+        try {
+            if (this.editingProject) {
+                await this.projectManager.updateProject(this.editingProject, projectData);
+                this.showToast('プロジェクトを更新しました', 'success');
+            } else {
+                const project = await this.projectManager.createProject(projectData);
+                await this.projectManager.setActiveProject(project.id);
+                this.showToast('プロジェクトを追加しました', 'success');
             }
 
-            this.showToast('テンプレートを適用しました', 'success');
+            await this.renderProjectSelector();
+            await this.refreshProjectScope();
+            this.closeAllModals();
         } catch (error) {
-            console.error('Failed to apply template:', error);
-            this.showToast('テンプレートの適用に失敗しました', 'error');
+            console.error('Failed to save project:', error);
+            this.showToast('プロジェクトの保存に失敗しました', 'error');
         }
     }
 
-    async previewTemplate(templateId) {
-        const template = await window.templateManager.storage.findById(templateId);
-        if (!template) return;
+    async openProjectsListModal() {
+        const modal = document.getElementById('projects-list-modal');
+        await this.renderProjectsList();
+        modal.classList.add('active');
+    }
 
-        const modal = document.getElementById('preview-modal');
-        const title = document.getElementById('preview-title');
-        const meta = document.getElementById('preview-meta');
-        const content = document.getElementById('preview-content');
+    async renderProjectsList() {
+        const list = document.getElementById('projects-list');
+        if (!list) return;
 
-        title.textContent = template.name;
+        const query = document.getElementById('projects-search')?.value || '';
+        const status = document.getElementById('projects-status-filter')?.value || 'all';
+        const projects = await this.projectManager.searchProjects(query, status);
+        const activeId = this.projectManager.activeProjectId;
 
-        meta.innerHTML = `
-            <div class="meta-item"><strong>カテゴリ:</strong> ${this.escapeHtml(template.category)}</div>
-            <div class="meta-item"><strong>タグ:</strong> ${template.tags ? template.tags.map(t => this.escapeHtml(t)).join(', ') : 'なし'}</div>
-            <div class="meta-item"><strong>使用回数:</strong> ${template.usageCount || 0}回</div>
-            <div class="meta-item"><strong>種別:</strong> ${template.author === 'system' ? '公式テンプレート' : 'カスタムテンプレート'}</div>
-        `;
+        if (projects.length === 0) {
+            list.innerHTML = this.renderEmptyState('', 'プロジェクトがありません', '「+ 新規」からプロジェクトを追加してください');
+            return;
+        }
 
-        // テンプレート本文をプレビュー
-        const previewText = `## プロンプトテンプレート\n\n${template.promptTemplate}\n\n${template.contextTemplate ? `## コンテキストテンプレート\n\n${template.contextTemplate}` : ''}`;
-        content.innerHTML = marked.parse(previewText);
+        list.innerHTML = projects.map(project => `
+            <div class="project-item ${project.id === activeId ? 'active' : ''}" data-project-id="${project.id}">
+                <div class="project-item-main">
+                    <div class="project-item-header">
+                        <h3 class="project-item-title">${this.escapeHtml(project.name)}</h3>
+                        <span class="status-badge status-${project.status}">${PROJECT_STATUSES[project.status] || project.status}</span>
+                        <span class="priority-badge priority-${project.priority}">${PROJECT_PRIORITIES[project.priority] || project.priority}</span>
+                    </div>
+                    <p class="project-item-description">${this.escapeHtml(project.description || '')}</p>
+                    <div class="project-item-meta">
+                        <span>フェーズ: ${this.escapeHtml(project.currentPhase || '未設定')}</span>
+                        <span>開始: ${this.toDateInputValue(project.startDate) || '未設定'}</span>
+                        ${project.endDate ? `<span>終了予定: ${this.toDateInputValue(project.endDate)}</span>` : ''}
+                        ${project.team && project.team.length > 0 ? `<span>メンバー: ${project.team.length}名</span>` : ''}
+                    </div>
+                </div>
+                <div class="project-item-actions">
+                    <button class="btn btn-small select-project-btn" data-project-id="${project.id}">選択</button>
+                    <button class="btn btn-small btn-secondary edit-project-btn" data-project-id="${project.id}">編集</button>
+                    <button class="btn btn-small btn-danger delete-project-btn" data-project-id="${project.id}">削除</button>
+                </div>
+            </div>
+        `).join('');
 
-        // モーダルフッターのボタンをテンプレート用に変更
-        const footer = modal.querySelector('.modal-footer');
-        footer.innerHTML = `
-            <button class="btn btn-success" id="preview-apply-template-btn">適用</button>
-            ${template.author === 'custom' ? '<button class="btn btn-danger" id="preview-delete-template-btn">削除</button>' : ''}
-            <button class="btn btn-secondary cancel-btn">閉じる</button>
-        `;
+        list.querySelectorAll('.select-project-btn').forEach(btn => {
+            btn.addEventListener('click', async (e) => {
+                e.stopPropagation();
+                this.closeAllModals();
+                await this.switchProject(btn.dataset.projectId);
+            });
+        });
 
-        // 適用ボタンのイベント
-        const applyBtn = document.getElementById('preview-apply-template-btn');
-        if (applyBtn) {
-            applyBtn.onclick = () => {
+        list.querySelectorAll('.edit-project-btn').forEach(btn => {
+            btn.addEventListener('click', async (e) => {
+                e.stopPropagation();
                 this.closeAllModals();
-                this.openTemplateApplyModal(templateId);
-            };
-        }
+                await this.openProjectModal(btn.dataset.projectId);
+            });
+        });
 
-        // 削除ボタンのイベント（カスタムテンプレートのみ）
-        const deleteBtn = document.getElementById('preview-delete-template-btn');
-        if (deleteBtn) {
-            deleteBtn.onclick = async () => {
-                if (confirm('このテンプレートを削除してもよろしいですか？')) {
-                    try {
-                        await window.templateManager.deleteTemplate(templateId);
-                        this.closeAllModals();
-                        await this.renderTemplates();
-                        this.showToast('テンプレートを削除しました', 'success');
-                    } catch (error) {
-                        console.error('Failed to delete template:', error);
-                        this.showToast('テンプレートの削除に失敗しました', 'error');
-                    }
-                }
-            };
+        list.querySelectorAll('.delete-project-btn').forEach(btn => {
+            btn.addEventListener('click', async (e) => {
+                e.stopPropagation();
+                await this.deleteProject(btn.dataset.projectId);
+            });
+        });
+    }
+
+    async deleteProject(projectId) {
+        if (!confirm('このプロジェクトを削除してもよろしいですか?')) {
+            return;
         }
 
-        // 閉じるボタンのイベント
-        const cancelBtns = footer.querySelectorAll('.cancel-btn');
-        cancelBtns.forEach(btn => {
-            btn.onclick = () => this.closeAllModals();
-        });
+        try {
+            const wasActive = this.getActiveProjectId() === projectId;
+            await this.projectManager.deleteProject(projectId);
+            await this.renderProjectSelector();
+            await this.renderProjectsList();
+            if (wasActive) {
+                await this.refreshProjectScope();
+            }
+            this.showToast('プロジェクトを削除しました', 'success');
+        } catch (error) {
+            console.error('Failed to delete project:', error);
+            this.showToast('プロジェクトの削除に失敗しました', 'error');
+        }
+    }
 
-        modal.classList.add('active');
+    toDateInputValue(dateString) {
+        if (!dateString) return '';
+        // ISO 8601文字列・YYYY-MM-DDのどちらでも日付部分のみ返す
+        return dateString.split('T')[0];
     }
 
     // ========================================
@@ -2245,10 +4954,13 @@ class CognishelfApp {
     async renderDashboard() {
         console.log('📊 Rendering dashboard...');
 
-        // 統計情報を取得
-        const prompts = await this.promptsManager.getAll();
-        const contexts = await this.contextsManager.getAll();
-        const folders = await this.foldersManager.getAll();
+        // 統計情報を取得 (アクティブプロジェクトで絞り込み)
+        const prompts = await this.getScopedItems('prompt');
+        const contexts = await this.getScopedItems('context');
+        const folders = [
+            ...await this.getScopedFolders('prompt'),
+            ...await this.getScopedFolders('context')
+        ];
 
         console.log('Dashboard data:', {
             prompts: prompts.length,
@@ -2267,25 +4979,218 @@ class CognishelfApp {
         if (foldersStat) foldersStat.textContent = folders.length;
         if (totalStat) totalStat.textContent = prompts.length + contexts.length;
 
-        // プロジェクト情報を表示（簡易版）
+        // プロジェクト情報を表示
         const projectInfo = document.getElementById('dashboard-project-info');
         if (projectInfo) {
-            projectInfo.innerHTML = `
-                <h2>Cognishelf ダッシュボード</h2>
-                <p>プロンプトとコンテキストの統計情報</p>
-            `;
+            const project = await this.projectManager.getActiveProject();
+            if (project) {
+                projectInfo.innerHTML = this.renderProjectInfo(project);
+                this.attachPhaseStepperListeners(projectInfo, project);
+                await this.renderPhaseSuggestions(project);
+            } else {
+                projectInfo.innerHTML = `
+                    <h2>Cognishelf ダッシュボード</h2>
+                    <p>すべてのプロジェクトのプロンプトとコンテキストの統計情報</p>
+                `;
+            }
         }
 
         // 最近の更新を表示
         await this.renderRecentActivity();
     }
 
+    renderProjectInfo(project) {
+        const team = Array.isArray(project.team) ? project.team : [];
+        const teamText = team.length > 0
+            ? team.map(member => member.role ? `${member.name}(${member.role})` : member.name).join(', ')
+            : '未設定';
+
+        return `
+            <h2>${this.escapeHtml(project.name)}</h2>
+            <p>${this.escapeHtml(project.description || '')}</p>
+            <div class="project-meta">
+                <div class="meta-item">
+                    <div class="meta-label">ステータス</div>
+                    <div class="meta-value">
+                        <span class="status-badge status-${project.status}">${PROJECT_STATUSES[project.status] || project.status}</span>
+                    </div>
+                </div>
+                <div class="meta-item">
+                    <div class="meta-label">優先度</div>
+                    <div class="meta-value">
+                        <span class="priority-badge priority-${project.priority}">${PROJECT_PRIORITIES[project.priority] || project.priority}</span>
+                    </div>
+                </div>
+                <div class="meta-item">
+                    <div class="meta-label">フェーズ</div>
+                    <div class="meta-value">${this.escapeHtml(project.currentPhase || '未設定')}</div>
+                </div>
+                <div class="meta-item">
+                    <div class="meta-label">期間</div>
+                    <div class="meta-value">${this.toDateInputValue(project.startDate) || '未設定'} 〜 ${this.toDateInputValue(project.endDate) || '未設定'}</div>
+                </div>
+                <div class="meta-item">
+                    <div class="meta-label">チーム</div>
+                    <div class="meta-value">${this.escapeHtml(teamText)}</div>
+                </div>
+            </div>
+            ${this.renderPhaseStepper(project)}
+            <div id="phase-suggestions" class="phase-suggestions"></div>
+        `;
+    }
+
+    // ========================================
+    // Phase 3: フェーズワークフロー
+    // ========================================
+
+    renderPhaseStepper(project) {
+        const phases = getProjectPhases(project);
+        const currentIndex = phases.indexOf(project.currentPhase);
+
+        const steps = phases.map((phase, index) => {
+            const enteredAt = getPhaseEnteredAt(project, phase);
+            let stateClass = '';
+            if (index === currentIndex) {
+                stateClass = 'current';
+            } else if (index < currentIndex) {
+                stateClass = 'done';
+            }
+
+            return `
+                <li class="phase-step ${stateClass}" data-phase="${this.escapeHtml(phase)}" title="「${this.escapeHtml(phase)}」へ移行">
+                    <span class="phase-step-index">${index + 1}</span>
+                    <span class="phase-step-name">${this.escapeHtml(phase)}</span>
+                    <span class="phase-step-date">${enteredAt ? this.toDateInputValue(enteredAt) : ''}</span>
+                </li>
+            `;
+        }).join('');
+
+        const isLastPhase = currentIndex === phases.length - 1;
+
+        return `
+            <div class="phase-stepper-container">
+                <ol class="phase-stepper">${steps}</ol>
+                <button class="btn btn-primary btn-small" id="advance-phase-btn" ${isLastPhase ? 'disabled' : ''}>次のフェーズへ</button>
+            </div>
+        `;
+    }
+
+    attachPhaseStepperListeners(container, project) {
+        container.querySelectorAll('.phase-step').forEach(step => {
+            step.addEventListener('click', () => {
+                if (step.dataset.phase !== project.currentPhase) {
+                    this.changeProjectPhase(project.id, step.dataset.phase);
+                }
+            });
+        });
+
+        const advanceBtn = container.querySelector('#advance-phase-btn');
+        if (advanceBtn) {
+            advanceBtn.addEventListener('click', async () => {
+                const phases = getProjectPhases(project);
+                const nextPhase = phases[phases.indexOf(project.currentPhase) + 1];
+                if (nextPhase) {
+                    await this.changeProjectPhase(project.id, nextPhase);
+                }
+            });
+        }
+    }
+
+    async changeProjectPhase(projectId, phase) {
+        try {
+            const project = await this.projectManager.changePhase(projectId, phase);
+            const suggestions = await this.getPhaseSuggestions(project);
+
+            if (this.currentTab === 'dashboard') {
+                await this.renderDashboard();
+            }
+
+            const total = suggestions.prompts.length + suggestions.templates.length;
+            const message = total > 0
+                ? `「${phase}」フェーズに移行しました (おすすめ: プロンプト${suggestions.prompts.length}件, テンプレート${suggestions.templates.length}件)`
+                : `「${phase}」フェーズに移行しました`;
+            this.showToast(message, 'success');
+        } catch (error) {
+            console.error('Failed to change phase:', error);
+            this.showToast('フェーズの変更に失敗しました', 'error');
+        }
+    }
+
+    async getPhaseSuggestions(project) {
+        const phase = project.currentPhase;
+
+        // プロジェクト固有のプロンプトと、プロジェクト未割当の共通プロンプトを対象とする
+        const prompts = (await this.promptsManager.getAll()).filter(prompt => {
+            const pm = prompt.pmConfig;
+            if (!pm || pm.phase !== phase) return false;
+            return !pm.projectId || pm.projectId === project.id;
+        });
+
+        const templates = window.templateManager
+            ? await window.templateManager.getTemplatesByPhase(phase)
+            : [];
+
+        return { prompts, templates };
+    }
+
+    async renderPhaseSuggestions(project) {
+        const container = document.getElementById('phase-suggestions');
+        if (!container) return;
+
+        const { prompts, templates } = await this.getPhaseSuggestions(project);
+        const phase = this.escapeHtml(project.currentPhase);
+
+        if (prompts.length === 0 && templates.length === 0) {
+            container.innerHTML = `
+                <h3>「${phase}」フェーズのおすすめ</h3>
+                <p class="phase-suggestions-empty">このフェーズに設定されたプロンプト・テンプレートはありません。プロンプトのPM設定でフェーズを指定できます。</p>
+            `;
+            return;
+        }
+
+        container.innerHTML = `
+            <h3>「${phase}」フェーズのおすすめ</h3>
+            <div class="phase-suggestions-grid">
+                ${prompts.map(prompt => `
+                    <div class="recent-item">
+                        <div class="recent-item-info">
+                            <h4>${this.escapeHtml(prompt.title)}</h4>
+                            <div class="recent-item-meta">プロンプト</div>
+                        </div>
+                        <button class="btn btn-small suggestion-prompt-btn" data-id="${prompt.id}">表示</button>
+                    </div>
+                `).join('')}
+                ${templates.map(template => `
+                    <div class="recent-item">
+                        <div class="recent-item-info">
+                            <h4>${this.escapeHtml(template.name)}</h4>
+                            <div class="recent-item-meta">テンプレート • ${this.escapeHtml(template.category)}</div>
+                        </div>
+                        <button class="btn btn-small btn-primary suggestion-template-btn" data-template-id="${template.id}">適用</button>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+
+        container.querySelectorAll('.suggestion-prompt-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.openPreviewModal(btn.dataset.id, 'prompt');
+            });
+        });
+
+        container.querySelectorAll('.suggestion-template-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.openTemplateApplyModal(btn.dataset.templateId);
+            });
+        });
+    }
+
     async renderRecentActivity() {
         const recentList = document.getElementById('recent-items-list');
         if (!recentList) return;
 
-        const prompts = await this.promptsManager.getAll();
-        const contexts = await this.contextsManager.getAll();
+        const prompts = await this.getScopedItems('prompt');
+        const contexts = await this.getScopedItems('context');
 
         const allItems = [
             ...prompts.map(p => ({ ...p, type: 'prompt' })),
@@ -3,6 +3,7 @@ import { openDB } from 'idb';
 import { marked } from 'marked';
 import { CognishelfApp } from './app.js';
 import { TemplateManager } from './managers/TemplateManager.js';
+import { SearchWorkerClient } from './workers/SearchWorkerClient.js';
 import '../styles.css';
 
 // グローバルに公開(既存コードとの互換性のため)
@@ -14,9 +15,14 @@ document.addEventListener('DOMContentLoaded', async () => {
   window.app = new CognishelfApp();
   await window.app.init();
 
-  // Phase 2: TemplateManager初期化
+  // Phase 2: TemplateManager初期化 (インデックス構築・検索は Web Worker で実行)
   if (window.app.templatesManager) {
-    window.templateManager = new TemplateManager(window.app.templatesManager);
+    window.templateManager = new TemplateManager(
+      window.app.templatesManager,
+      window.app.trashManager,
+      window.app.searchIndexStore,
+      new SearchWorkerClient()
+    );
     await window.templateManager.init();
     await window.app.renderTemplates();
     console.log('TemplateManager initialized');
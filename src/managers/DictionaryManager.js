@@ -0,0 +1,194 @@
+/**
+ * DictionaryManager - 検索辞書 (同義語・ストップワード) 管理クラス
+ * 辞書を searchDictionary ストアに保存し、トークナイザに反映する
+ */
+
+import { setSynonymGroups, setCustomStopwords } from '../utils/tokenizer.js';
+
+/**
+ * エクスポート形式のバージョン
+ */
+export const DICTIONARY_FORMAT_VERSION = 1;
+
+/**
+ * ストップワード一覧を保存するレコードのID
+ */
+const STOPWORDS_RECORD_ID = 'stopwords';
+
+/**
+ * 区切り文字 (カンマ・読点・改行) で区切られた語の一覧を配列にする
+ * @param {string|Array<string>} value - 語の一覧
+ * @returns {Array<string>} 重複・空文字を除いた語
+ */
+export function parseTermList(value) {
+  const terms = Array.isArray(value) ? value : String(value || '').split(/[,，、\n]/);
+  return Array.from(new Set(terms
+    .map(term => typeof term === 'string' ? term.trim() : '')
+    .filter(term => term)));
+}
+
+/**
+ * 検索辞書管理クラス
+ */
+export class DictionaryManager {
+  /**
+   * @param {Object} storageManager - searchDictionary ストアのストレージマネージャー
+   */
+  constructor(storageManager) {
+    this.storage = storageManager;
+  }
+
+  /**
+   * 保存済みの辞書をトークナイザに反映
+   */
+  async init() {
+    await this.apply();
+  }
+
+  /**
+   * 同義語グループ一覧を取得 (登録順)
+   * @returns {Promise<Array>} [{ id, kind: 'synonym', terms, createdAt }]
+   */
+  async getSynonymGroups() {
+    const entries = await this.storage.getAll();
+    return entries
+      .filter(entry => entry.kind === 'synonym')
+      .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+  }
+
+  /**
+   * 同義語グループを追加
+   * @param {string|Array<string>} terms - 同じ意味として扱う語
+   * @returns {Promise<Object>} 追加したグループ
+   * @throws {Error} 語が2つ未満の場合
+   */
+  async addSynonymGroup(terms) {
+    const parsed = this.validateSynonymTerms(terms);
+    const group = await this.storage.add({ kind: 'synonym', terms: parsed });
+    await this.apply();
+    return group;
+  }
+
+  /**
+   * 同義語グループを更新
+   * @param {string} groupId - グループID
+   * @param {string|Array<string>} terms - 同じ意味として扱う語
+   * @returns {Promise<Object|null>} 更新後のグループ
+   * @throws {Error} 語が2つ未満の場合
+   */
+  async updateSynonymGroup(groupId, terms) {
+    const parsed = this.validateSynonymTerms(terms);
+    const group = await this.storage.update(groupId, { terms: parsed });
+    await this.apply();
+    return group;
+  }
+
+  /**
+   * 同義語グループを削除
+   * @param {string} groupId - グループID
+   * @returns {Promise<boolean>} 削除成功
+   */
+  async deleteSynonymGroup(groupId) {
+    const deleted = await this.storage.delete(groupId);
+    await this.apply();
+    return deleted;
+  }
+
+  /**
+   * 同義語グループの語を検証
+   * @param {string|Array<string>} terms - 語の一覧
+   * @returns {Array<string>} 検証済みの語
+   * @throws {Error} 語が2つ未満の場合
+   */
+  validateSynonymTerms(terms) {
+    const parsed = parseTermList(terms);
+    if (parsed.length < 2) {
+      throw new Error('Synonym group requires at least two terms');
+    }
+    return parsed;
+  }
+
+  /**
+   * ユーザー定義のストップワードを取得
+   * @returns {Promise<Array<string>>} ストップワード
+   */
+  async getStopwords() {
+    const record = await this.storage.findById(STOPWORDS_RECORD_ID);
+    return record ? record.words : [];
+  }
+
+  /**
+   * ユーザー定義のストップワードを保存
+   * 検索インデックスの再構築が必要になる
+   * @param {string|Array<string>} words - ストップワード
+   * @returns {Promise<Array<string>>} 保存したストップワード
+   */
+  async setStopwords(words) {
+    const parsed = parseTermList(words);
+    await this.storage.put({ id: STOPWORDS_RECORD_ID, kind: 'stopwords', words: parsed });
+    await this.apply();
+    return parsed;
+  }
+
+  /**
+   * 辞書をJSON文字列としてエクスポート
+   * @returns {Promise<string>} JSON文字列
+   */
+  async exportDictionary() {
+    const groups = await this.getSynonymGroups();
+    return JSON.stringify({
+      version: DICTIONARY_FORMAT_VERSION,
+      exportedAt: new Date().toISOString(),
+      synonyms: groups.map(group => group.terms),
+      stopwords: await this.getStopwords()
+    }, null, 2);
+  }
+
+  /**
+   * JSON文字列から辞書をインポート (既存の辞書に追加)
+   * 既存のグループと同じ語の組み合わせは追加しない
+   * @param {string} jsonString - JSON文字列
+   * @returns {Promise<Object>} { synonyms: 追加したグループ数, stopwords: 追加したストップワード数 }
+   * @throws {Error} JSON形式が不正な場合
+   */
+  async importDictionary(jsonString) {
+    const data = JSON.parse(jsonString);
+    if (!data || typeof data !== 'object' || (!Array.isArray(data.synonyms) && !Array.isArray(data.stopwords))) {
+      throw new Error('Invalid dictionary format');
+    }
+
+    const toKey = terms => [...terms].sort().join('\u0000');
+    const existingKeys = new Set((await this.getSynonymGroups()).map(group => toKey(group.terms)));
+
+    let addedSynonyms = 0;
+    for (const terms of data.synonyms || []) {
+      const parsed = parseTermList(Array.isArray(terms) ? terms : []);
+      if (parsed.length < 2 || existingKeys.has(toKey(parsed))) continue;
+
+      await this.storage.add({ kind: 'synonym', terms: parsed });
+      existingKeys.add(toKey(parsed));
+      addedSynonyms++;
+    }
+
+    const currentStopwords = await this.getStopwords();
+    const mergedStopwords = parseTermList([...currentStopwords, ...parseTermList(data.stopwords || [])]);
+    if (mergedStopwords.length !== currentStopwords.length) {
+      await this.storage.put({ id: STOPWORDS_RECORD_ID, kind: 'stopwords', words: mergedStopwords });
+    }
+
+    await this.apply();
+    return {
+      synonyms: addedSynonyms,
+      stopwords: mergedStopwords.length - currentStopwords.length
+    };
+  }
+
+  /**
+   * 辞書の内容をトークナイザに反映
+   */
+  async apply() {
+    const groups = await this.getSynonymGroups();
+    setSynonymGroups(groups.map(group => group.terms));
+    setCustomStopwords(await this.getStopwords());
+  }
+}
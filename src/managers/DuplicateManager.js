@@ -0,0 +1,235 @@
+/**
+ * DuplicateManager - 重複・類似アイテムの検出と統合
+ * インポートの繰り返しやコピー編集で増えたプロンプト・コンテキストをまとめ、1件の正本に統合する
+ */
+
+import { findDuplicateClusters, DEFAULT_SIMILARITY_THRESHOLD } from '../utils/duplicates.js';
+import { getLatestVersions, getVersionChain } from '../models/PMContext.js';
+
+/**
+ * 配列を重複なく結合 (先に現れたものを優先)
+ * @param {Array} values - 値の配列
+ * @param {Function} keyOf - 同一判定に使うキーの取得関数
+ * @returns {Array} 結合した配列
+ */
+function uniqueBy(values, keyOf = value => value) {
+  const seen = new Set();
+  return values.filter(value => {
+    const key = keyOf(value);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * 日時文字列の新しい方を返す
+ * @param {string|null} a - ISO日時
+ * @param {string|null} b - ISO日時
+ * @returns {string|null}
+ */
+function latestDate(a, b) {
+  if (!a) return b || null;
+  if (!b) return a;
+  return new Date(a) >= new Date(b) ? a : b;
+}
+
+/**
+ * 正本に重複アイテムの情報を統合した更新内容を作成
+ * 本文・タイトルは正本のものを残し、タグ・フォルダ・PM設定 (利用統計など) をまとめる
+ * @param {Object} canonical - 正本として残すアイテム
+ * @param {Array<Object>} duplicates - 統合する重複アイテム
+ * @returns {Object} 正本への更新内容
+ */
+export function mergeDuplicateItems(canonical, duplicates) {
+  const all = [canonical, ...duplicates];
+  const firstValue = (getValue) => all.map(getValue).find(value => value) || null;
+
+  const updates = {
+    tags: uniqueBy(all.flatMap(item => Array.isArray(item.tags) ? item.tags : [])),
+    folder: firstValue(item => item.folder),
+    createdAt: all
+      .map(item => item.createdAt)
+      .filter(Boolean)
+      .reduce((earliest, date) => (new Date(date) < new Date(earliest) ? date : earliest), canonical.createdAt)
+  };
+
+  if ('category' in canonical) {
+    updates.category = firstValue(item => item.category) || '';
+  }
+
+  if (canonical.pmConfig) {
+    const configs = all.map(item => item.pmConfig || {});
+    const pmConfig = { ...canonical.pmConfig };
+
+    // プロジェクトが未設定なら重複側のものを引き継ぐ
+    const projectSource = configs.find(config => config.projectId);
+    if (!pmConfig.projectId && projectSource) {
+      pmConfig.projectId = projectSource.projectId;
+      pmConfig.projectName = projectSource.projectName || '';
+    }
+
+    if (Array.isArray(pmConfig.stakeholders)) {
+      pmConfig.stakeholders = uniqueBy(
+        configs.flatMap(config => config.stakeholders || []),
+        stakeholder => `${stakeholder.name}\u0000${stakeholder.role}`
+      );
+    }
+
+    if (Array.isArray(pmConfig.relatedDocs)) {
+      pmConfig.relatedDocs = uniqueBy(
+        configs.flatMap(config => config.relatedDocs || []),
+        doc => doc.url || doc.title
+      );
+    }
+
+    if (Array.isArray(pmConfig.relatedPrompts)) {
+      pmConfig.relatedPrompts = uniqueBy(configs.flatMap(config => config.relatedPrompts || []));
+    }
+
+    if (pmConfig.stats) {
+      const stats = configs.map(config => config.stats || {});
+      pmConfig.stats = {
+        ...pmConfig.stats,
+        usageCount: stats.reduce((sum, stat) => sum + (stat.usageCount || 0), 0),
+        lastUsed: stats.reduce((latest, stat) => latestDate(latest, stat.lastUsed), null),
+        effectiveness: Math.max(...stats.map(stat => stat.effectiveness || 0))
+      };
+    }
+
+    updates.pmConfig = pmConfig;
+  }
+
+  return updates;
+}
+
+/**
+ * 重複検出・統合クラス
+ */
+export class DuplicateManager {
+  /**
+   * @param {Object} stores - 種別ごとのストレージマネージャー { prompt, context }
+   * @param {Object} trashManager - 統合した重複アイテムの退避先 (TrashManager)
+   */
+  constructor(stores, trashManager) {
+    this.stores = stores;
+    this.trashManager = trashManager;
+  }
+
+  /**
+   * 種別に対応するストレージマネージャーを取得
+   * @param {string} type - 'prompt' | 'context'
+   * @returns {Object} ストレージマネージャー
+   * @throws {Error} 未対応の種別の場合
+   */
+  getStore(type) {
+    const store = this.stores[type];
+    if (!store) {
+      throw new Error(`Unsupported duplicate item type: ${type}`);
+    }
+    return store;
+  }
+
+  /**
+   * 重複・類似アイテムを検出
+   * コンテキストは最新版のみを対象とする
+   * @param {string} type - 'prompt' | 'context'
+   * @param {Object} options - { threshold: 類似とみなす推定 Jaccard 係数 }
+   * @returns {Promise<Array<Object>>} [{ type, kind, similarity, items }]
+   */
+  async scan(type, options = {}) {
+    const { threshold = DEFAULT_SIMILARITY_THRESHOLD } = options;
+    const allItems = await this.getStore(type).getAll();
+    const items = type === 'context' ? getLatestVersions(allItems) : allItems;
+    const byId = new Map(items.map(item => [item.id, item]));
+
+    return findDuplicateClusters(items, { threshold }).map(cluster => ({
+      type,
+      kind: cluster.kind,
+      similarity: cluster.similarity,
+      items: cluster.ids.map(id => byId.get(id))
+    }));
+  }
+
+  /**
+   * 正本として残す候補を選ぶ (利用回数が多く、更新が新しいもの)
+   * @param {Array<Object>} items - クラスタ内のアイテム
+   * @returns {Object} 正本の候補
+   */
+  pickCanonical(items) {
+    const usageOf = item => item.pmConfig?.stats?.usageCount || 0;
+    return items.reduce((best, item) => {
+      if (usageOf(item) !== usageOf(best)) {
+        return usageOf(item) > usageOf(best) ? item : best;
+      }
+      return new Date(item.updatedAt) > new Date(best.updatedAt) ? item : best;
+    });
+  }
+
+  /**
+   * 重複アイテムを正本に統合し、重複側をゴミ箱へ移動
+   * プロンプトの場合は、コンテキストの関連プロンプトの参照も正本に付け替える
+   * @param {string} type - 'prompt' | 'context'
+   * @param {string} canonicalId - 正本として残すアイテムID
+   * @param {Array<string>} duplicateIds - 統合するアイテムID
+   * @returns {Promise<Object>} 更新された正本
+   * @throws {Error} アイテムが存在しない場合
+   */
+  async merge(type, canonicalId, duplicateIds) {
+    const store = this.getStore(type);
+    const canonical = await store.findById(canonicalId);
+    if (!canonical) {
+      throw new Error(`Item not found: ${canonicalId}`);
+    }
+
+    const ids = duplicateIds.filter(id => id !== canonicalId);
+    const duplicates = [];
+    for (const id of ids) {
+      const item = await store.findById(id);
+      if (!item) {
+        throw new Error(`Item not found: ${id}`);
+      }
+      duplicates.push(item);
+    }
+
+    const merged = await store.update(canonicalId, mergeDuplicateItems(canonical, duplicates));
+
+    if (type === 'prompt') {
+      await this.replacePromptReferences(ids, canonicalId);
+    }
+
+    for (const duplicate of duplicates) {
+      // コンテキストは旧版が最新版として残らないよう、バージョンチェーンごと退避する
+      const targets = type === 'context'
+        ? getVersionChain(await store.getAll(), duplicate.id)
+        : [duplicate];
+      for (const target of targets) {
+        await this.trashManager.moveToTrash(type, target.id);
+      }
+    }
+
+    return merged;
+  }
+
+  /**
+   * コンテキストの関連プロンプトの参照を付け替える
+   * @param {Array<string>} fromIds - 統合されたプロンプトID
+   * @param {string} toId - 正本のプロンプトID
+   */
+  async replacePromptReferences(fromIds, toId) {
+    const contextStore = this.stores.context;
+    if (!contextStore) return;
+
+    for (const context of await contextStore.getAll()) {
+      const related = context.pmConfig?.relatedPrompts || [];
+      if (!related.some(id => fromIds.includes(id))) continue;
+
+      await contextStore.update(context.id, {
+        pmConfig: {
+          ...context.pmConfig,
+          relatedPrompts: uniqueBy(related.map(id => (fromIds.includes(id) ? toId : id)))
+        }
+      });
+    }
+  }
+}
@@ -0,0 +1,257 @@
+/**
+ * ProjectManager - プロジェクト管理クラス
+ * Phase 3: プロジェクト管理
+ */
+
+import {
+  createProject,
+  addTeamMember,
+  advancePhase,
+  setPhase,
+  validateProject
+} from '../models/Project.js';
+
+/**
+ * アクティブプロジェクトIDを保存するLocalStorageキー
+ */
+const ACTIVE_PROJECT_KEY = 'cognishelf-active-project';
+
+/**
+ * プロジェクト管理クラス
+ */
+export class ProjectManager {
+  constructor(storageManager) {
+    this.storage = storageManager;
+    this.isInitialized = false;
+
+    // 選択中のプロジェクトID (null = 未選択)
+    this.activeProjectId = null;
+  }
+
+  /**
+   * 初期化 - 前回選択していたプロジェクトを復元
+   */
+  async init() {
+    if (this.isInitialized) return;
+
+    const savedId = localStorage.getItem(ACTIVE_PROJECT_KEY);
+    if (savedId) {
+      const project = await this.storage.findById(savedId);
+      if (project) {
+        this.activeProjectId = savedId;
+      } else {
+        // 削除済みプロジェクトが保存されていた場合は選択解除
+        localStorage.removeItem(ACTIVE_PROJECT_KEY);
+      }
+    }
+
+    this.isInitialized = true;
+  }
+
+  /**
+   * すべてのプロジェクトを取得 (名前順)
+   * @returns {Promise<Array>} プロジェクト配列
+   */
+  async getAllProjects() {
+    const projects = await this.storage.getAll();
+    return projects.sort((a, b) => a.name.localeCompare(b.name, 'ja'));
+  }
+
+  /**
+   * プロジェクトを取得
+   * @param {string} projectId - プロジェクトID
+   * @returns {Promise<Object|undefined>} プロジェクト
+   */
+  async getProject(projectId) {
+    return await this.storage.findById(projectId);
+  }
+
+  /**
+   * プロジェクトを検索
+   * @param {string} query - 検索クエリ (名前・説明の部分一致)
+   * @param {string} status - ステータス ('all' で全件)
+   * @returns {Promise<Array>} マッチしたプロジェクト配列
+   */
+  async searchProjects(query = '', status = 'all') {
+    let projects = await this.getAllProjects();
+
+    if (status && status !== 'all') {
+      projects = projects.filter(p => p.status === status);
+    }
+
+    const lowerQuery = query.trim().toLowerCase();
+    if (lowerQuery) {
+      projects = projects.filter(p =>
+        p.name.toLowerCase().includes(lowerQuery) ||
+        (p.description && p.description.toLowerCase().includes(lowerQuery))
+      );
+    }
+
+    return projects;
+  }
+
+  /**
+   * プロジェクトを作成
+   * @param {Object} projectData - プロジェクトデータ
+   * @returns {Promise<Object>} 作成されたプロジェクト
+   * @throws {Error} バリデーションエラー時
+   */
+  async createProject(projectData) {
+    const project = createProject(projectData);
+
+    const validation = validateProject(project);
+    if (!validation.valid) {
+      throw new Error(`Project validation failed: ${validation.errors.join(', ')}`);
+    }
+
+    return await this.storage.add(project);
+  }
+
+  /**
+   * プロジェクトを更新
+   * @param {string} projectId - プロジェクトID
+   * @param {Object} updates - 更新内容
+   * @returns {Promise<Object>} 更新されたプロジェクト
+   * @throws {Error} プロジェクトが存在しない、またはバリデーションエラー時
+   */
+  async updateProject(projectId, updates) {
+    const project = await this.storage.findById(projectId);
+    if (!project) {
+      throw new Error(`Project not found: ${projectId}`);
+    }
+
+    const { currentPhase, ...otherUpdates } = updates;
+    const updatedProject = {
+      ...project,
+      ...otherUpdates,
+      id: projectId
+    };
+
+    // フェーズ変更は履歴に記録するためsetPhase経由で反映
+    if (currentPhase && currentPhase !== project.currentPhase) {
+      setPhase(updatedProject, currentPhase);
+    }
+
+    const validation = validateProject(updatedProject);
+    if (!validation.valid) {
+      throw new Error(`Project validation failed: ${validation.errors.join(', ')}`);
+    }
+
+    return await this.storage.update(projectId, updatedProject);
+  }
+
+  /**
+   * プロジェクトを削除
+   * @param {string} projectId - プロジェクトID
+   * @returns {Promise<boolean>} 削除成功
+   */
+  async deleteProject(projectId) {
+    const project = await this.storage.findById(projectId);
+    if (!project) {
+      throw new Error(`Project not found: ${projectId}`);
+    }
+
+    const result = await this.storage.delete(projectId);
+
+    if (this.activeProjectId === projectId) {
+      this.setActiveProjectId(null);
+    }
+
+    return result;
+  }
+
+  /**
+   * チームメンバーを追加
+   * @param {string} projectId - プロジェクトID
+   * @param {string} name - 名前
+   * @param {string} role - 役割
+   * @param {string} email - メールアドレス
+   * @returns {Promise<Object>} 更新されたプロジェクト
+   */
+  async addTeamMember(projectId, name, role, email = '') {
+    const project = await this.storage.findById(projectId);
+    if (!project) {
+      throw new Error(`Project not found: ${projectId}`);
+    }
+
+    const updatedProject = addTeamMember(project, name, role, email);
+    return await this.storage.update(projectId, updatedProject);
+  }
+
+  /**
+   * フェーズを次へ進める
+   * @param {string} projectId - プロジェクトID
+   * @returns {Promise<Object>} 更新されたプロジェクト
+   */
+  async advancePhase(projectId) {
+    const project = await this.storage.findById(projectId);
+    if (!project) {
+      throw new Error(`Project not found: ${projectId}`);
+    }
+
+    const updatedProject = advancePhase(project);
+    return await this.storage.update(projectId, updatedProject);
+  }
+
+  /**
+   * 指定フェーズへ移行
+   * @param {string} projectId - プロジェクトID
+   * @param {string} phase - 移行先フェーズ
+   * @returns {Promise<Object>} 更新されたプロジェクト
+   */
+  async changePhase(projectId, phase) {
+    const project = await this.storage.findById(projectId);
+    if (!project) {
+      throw new Error(`Project not found: ${projectId}`);
+    }
+
+    const updatedProject = setPhase(project, phase);
+    return await this.storage.update(projectId, updatedProject);
+  }
+
+  /**
+   * アクティブプロジェクトを取得
+   * @returns {Promise<Object|null>} アクティブプロジェクト (未選択時はnull)
+   */
+  async getActiveProject() {
+    if (!this.activeProjectId) return null;
+
+    const project = await this.storage.findById(this.activeProjectId);
+    return project || null;
+  }
+
+  /**
+   * アクティブプロジェクトを設定
+   * @param {string|null} projectId - プロジェクトID (nullで選択解除)
+   * @returns {Promise<Object|null>} アクティブプロジェクト
+   * @throws {Error} プロジェクトが存在しない場合
+   */
+  async setActiveProject(projectId) {
+    if (!projectId) {
+      this.setActiveProjectId(null);
+      return null;
+    }
+
+    const project = await this.storage.findById(projectId);
+    if (!project) {
+      throw new Error(`Project not found: ${projectId}`);
+    }
+
+    this.setActiveProjectId(projectId);
+    return project;
+  }
+
+  /**
+   * アクティブプロジェクトIDを保存
+   * @param {string|null} projectId - プロジェクトID
+   */
+  setActiveProjectId(projectId) {
+    this.activeProjectId = projectId;
+
+    if (projectId) {
+      localStorage.setItem(ACTIVE_PROJECT_KEY, projectId);
+    } else {
+      localStorage.removeItem(ACTIVE_PROJECT_KEY);
+    }
+  }
+}
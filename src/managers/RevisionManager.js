@@ -0,0 +1,203 @@
+/**
+ * RevisionManager - 更新履歴 (リビジョン) 管理クラス
+ * プロンプト・テンプレートの更新前スナップショットを revisions ストアに記録する
+ */
+
+/**
+ * 保持設定を保存するLocalStorageキー
+ */
+const REVISION_SETTINGS_KEY = 'cognishelf-revision-settings';
+
+/**
+ * 保持設定の既定値
+ * mode: 'count' = 最新N件を保持, 'days' = N日以内を保持
+ */
+export const DEFAULT_REVISION_SETTINGS = {
+  mode: 'count',
+  limit: 20
+};
+
+/**
+ * 変更有無の判定から除外するフィールド (利用統計などの自動更新項目)
+ */
+const UNTRACKED_FIELDS = ['updatedAt', 'usageCount', 'rating'];
+
+/**
+ * 比較用に自動更新項目を取り除いたコピーを作成
+ * @param {Object} item - アイテム
+ * @returns {Object} 比較用オブジェクト
+ */
+function toComparable(item) {
+  const comparable = { ...item };
+  UNTRACKED_FIELDS.forEach(field => delete comparable[field]);
+
+  if (comparable.pmConfig && comparable.pmConfig.stats) {
+    const { stats, ...pmConfig } = comparable.pmConfig;
+    comparable.pmConfig = pmConfig;
+  }
+
+  return comparable;
+}
+
+/**
+ * 利用統計以外に変更があるかを判定
+ * @param {Object} previous - 更新前
+ * @param {Object} next - 更新後
+ * @returns {boolean} 変更あり
+ */
+export function hasTrackedChanges(previous, next) {
+  return JSON.stringify(toComparable(previous)) !== JSON.stringify(toComparable(next));
+}
+
+/**
+ * リビジョン管理クラス
+ */
+export class RevisionManager {
+  constructor(storageManager) {
+    this.storage = storageManager;
+    this.settings = this.loadSettings();
+  }
+
+  /**
+   * ストレージマネージャーの更新を記録対象にする
+   * @param {Object} manager - IndexedDBManager / StorageManager
+   * @param {string} itemType - アイテム種別 ('prompt' | 'template')
+   */
+  track(manager, itemType) {
+    manager.revisionLog = {
+      record: (previous, next) => this.record(itemType, previous, next)
+    };
+  }
+
+  /**
+   * 更新前のスナップショットを記録 (アイテムの保存に成功した後に呼ばれる)
+   * @param {string} itemType - アイテム種別
+   * @param {Object} previous - 更新前のアイテム
+   * @param {Object} next - 更新後のアイテム
+   * @returns {Promise<Object|null>} 記録したリビジョン (変更なしの場合はnull)
+   */
+  async record(itemType, previous, next) {
+    if (!previous || !hasTrackedChanges(previous, next)) return null;
+
+    const revision = await this.storage.add({
+      itemId: previous.id,
+      itemType,
+      snapshot: JSON.parse(JSON.stringify(previous))
+    });
+
+    await this.pruneRevisions(previous.id);
+    return revision;
+  }
+
+  /**
+   * アイテムのリビジョン一覧を取得 (新しい順)
+   * @param {string} itemId - アイテムID
+   * @returns {Promise<Array>} リビジョン配列
+   */
+  async getRevisions(itemId) {
+    // IndexedDBManagerの itemId インデックスを使用 (LocalStorage版は全件から絞り込み)
+    const revisions = typeof this.storage.findByItemId === 'function'
+      ? await this.storage.findByItemId(itemId)
+      : (await this.storage.getAll()).filter(revision => revision.itemId === itemId);
+    return revisions
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  }
+
+  /**
+   * リビジョンを取得
+   * @param {string} revisionId - リビジョンID
+   * @returns {Promise<Object|undefined>} リビジョン
+   */
+  async getRevision(revisionId) {
+    return await this.storage.findById(revisionId);
+  }
+
+  /**
+   * 保持設定に従って古いリビジョンを削除
+   * @param {string} itemId - アイテムID
+   * @returns {Promise<number>} 削除件数
+   */
+  async pruneRevisions(itemId) {
+    const revisions = await this.getRevisions(itemId);
+    const { mode, limit } = this.settings;
+
+    let expired;
+    if (mode === 'days') {
+      const threshold = Date.now() - limit * 24 * 60 * 60 * 1000;
+      expired = revisions.filter(revision => new Date(revision.createdAt).getTime() < threshold);
+    } else {
+      expired = revisions.slice(limit);
+    }
+
+    for (const revision of expired) {
+      await this.storage.delete(revision.id);
+    }
+
+    return expired.length;
+  }
+
+  /**
+   * 全アイテムのリビジョンに保持設定を適用
+   * @returns {Promise<number>} 削除件数
+   */
+  async pruneAll() {
+    const revisions = await this.storage.getAll();
+    const itemIds = new Set(revisions.map(revision => revision.itemId));
+
+    let removed = 0;
+    for (const itemId of itemIds) {
+      removed += await this.pruneRevisions(itemId);
+    }
+
+    return removed;
+  }
+
+  /**
+   * 保持設定を取得
+   * @returns {Object} { mode, limit }
+   */
+  getSettings() {
+    return { ...this.settings };
+  }
+
+  /**
+   * 保持設定を更新し、既存リビジョンにも適用
+   * @param {Object} settings - { mode: 'count'|'days', limit: number }
+   * @returns {Promise<Object>} 更新後の設定
+   * @throws {Error} 設定値が不正な場合
+   */
+  async updateSettings(settings) {
+    const mode = settings.mode || this.settings.mode;
+    const limit = Number(settings.limit ?? this.settings.limit);
+
+    if (mode !== 'count' && mode !== 'days') {
+      throw new Error(`Invalid retention mode: ${mode}`);
+    }
+    if (!Number.isInteger(limit) || limit < 1) {
+      throw new Error(`Invalid retention limit: ${settings.limit}`);
+    }
+
+    this.settings = { mode, limit };
+    localStorage.setItem(REVISION_SETTINGS_KEY, JSON.stringify(this.settings));
+
+    await this.pruneAll();
+    return this.getSettings();
+  }
+
+  /**
+   * 保存済みの保持設定を読み込み
+   * @returns {Object} 保持設定
+   */
+  loadSettings() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(REVISION_SETTINGS_KEY));
+      if (saved && (saved.mode === 'count' || saved.mode === 'days') && saved.limit > 0) {
+        return { mode: saved.mode, limit: saved.limit };
+      }
+    } catch (error) {
+      console.warn('Failed to load revision settings:', error);
+    }
+
+    return { ...DEFAULT_REVISION_SETTINGS };
+  }
+}
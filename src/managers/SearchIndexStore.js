@@ -0,0 +1,252 @@
+/**
+ * SearchIndexStore - 検索インデックスの永続化
+ * InvertedIndex のスナップショットと差分ログを IndexedDB に保存し、
+ * 起動時の再構築を省略する
+ * インデックスの操作はすべて await するため、Web Worker 上のインデックス (RemoteIndex) も扱える
+ */
+
+import { getCustomStopwords } from '../utils/tokenizer.js';
+
+/**
+ * インデックス形式のバージョン
+ * トークナイザやインデックス構造を変更した場合は上げる (保存済みインデックスは再構築される)
+ */
+export const INDEX_FORMAT_VERSION = 5;
+
+/**
+ * 差分ログがこの件数を超えたら読み込み時にスナップショットへまとめる
+ */
+const COMPACT_THRESHOLD = 100;
+
+/**
+ * 文字列のハッシュ値 (FNV-1a 32bit)
+ * @param {string} text - 入力文字列
+ * @returns {string} 16進ハッシュ
+ */
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * ドキュメント群のチェックサム (インデックス対象フィールドのみを対象とする)
+ * 利用回数など検索に関係しない更新では変化しない
+ * @param {Array<Object>} documents - ドキュメント配列
+ * @param {Array<string>} fields - インデックス対象フィールド
+ * @returns {string} チェックサム
+ */
+export function computeChecksum(documents, fields) {
+  const entries = documents
+    .filter(doc => doc && doc.id)
+    .map(doc => `${doc.id}\u0000${JSON.stringify(fields.map(field => doc[field] ?? null))}`)
+    .sort();
+
+  return `${entries.length}-${hashString(entries.join('\u0001'))}`;
+}
+
+/**
+ * インデックス対象以外でスナップショット・差分ログに残すフィールド
+ * Worker 上の検索構文 (phase:) はインデックス内のドキュメントで絞り込むため
+ */
+const QUERY_FILTER_FIELDS = ['phases'];
+
+/**
+ * ドキュメントからインデックス対象フィールド (と絞り込み用フィールド) だけを取り出す
+ * 本文以外の項目 (使用回数など) は保存せず、検索結果はストレージのアイテムに置き換えて使う
+ * @param {Object} document - ドキュメント
+ * @param {Array<string>} fields - インデックス対象フィールド
+ * @returns {Object} { id, ...インデックス対象フィールド }
+ */
+export function pickIndexedFields(document, fields) {
+  const picked = { id: document.id };
+  [...fields, ...QUERY_FILTER_FIELDS].forEach(field => {
+    if (document[field] !== undefined) {
+      picked[field] = document[field];
+    }
+  });
+  return picked;
+}
+
+/**
+ * インデックス対象フィールド (と絞り込み用フィールド) が変更されたか
+ * @param {Object} before - 変更前のドキュメント
+ * @param {Object} after - 変更後のドキュメント
+ * @param {Array<string>} fields - インデックス対象フィールド
+ * @returns {boolean}
+ */
+export function hasIndexedChanges(before, after, fields) {
+  return [...fields, ...QUERY_FILTER_FIELDS].some(field => JSON.stringify(before[field] ?? null) !== JSON.stringify(after[field] ?? null));
+}
+
+/**
+ * 検索インデックス永続化クラス
+ */
+export class SearchIndexStore {
+  /**
+   * @param {Object} snapshotStorage - スナップショット用ストレージ (searchIndexes)
+   * @param {Object} patchStorage - 差分ログ用ストレージ (searchIndexPatches)
+   */
+  constructor(snapshotStorage, patchStorage) {
+    this.snapshots = snapshotStorage;
+    this.patches = patchStorage;
+    this.sequence = 0;
+  }
+
+  /**
+   * 保存済みインデックスを読み込み、古ければ再構築する
+   * @param {string} name - インデックス名
+   * @param {InvertedIndex|RemoteIndex} index - 読み込み先のインデックス
+   * @param {Array<Object>} items - 現在のストレージの内容
+   * @param {Array<string>} fields - インデックス対象フィールド
+   * @returns {Promise<string>} 'loaded' | 'rebuilt'
+   */
+  async load(name, index, items, fields) {
+    try {
+      const snapshot = await this.snapshots.findById(name);
+      const isCompatible = snapshot &&
+        snapshot.formatVersion === INDEX_FORMAT_VERSION &&
+        JSON.stringify(snapshot.fields) === JSON.stringify(fields) &&
+        JSON.stringify(snapshot.stopwords || []) === JSON.stringify(getCustomStopwords());
+
+      if (isCompatible) {
+        await index.import(snapshot.data);
+
+        // 差分ログにはインデックス対象フィールドしかないため、現在のアイテムがあればそれで登録する
+        const itemsById = new Map(items.filter(item => item && item.id).map(item => [item.id, item]));
+        const patches = await this.getPatches(name);
+        for (const patch of patches) {
+          await this.applyPatch(index, patch, fields, itemsById.get(patch.docId));
+        }
+
+        const indexedDocuments = await index.getDocuments();
+        if (computeChecksum(indexedDocuments, fields) === computeChecksum(items, fields)) {
+          if (patches.length > COMPACT_THRESHOLD) {
+            await this.save(name, index, fields);
+          }
+          return 'loaded';
+        }
+
+        console.log(`Search index "${name}" is stale, rebuilding...`);
+      }
+    } catch (error) {
+      console.warn(`Failed to load search index "${name}":`, error);
+    }
+
+    await index.clear();
+    await index.bulkAdd(items, fields);
+    await this.save(name, index, fields);
+    return 'rebuilt';
+  }
+
+  /**
+   * インデックス全体をスナップショットとして保存し、差分ログを破棄
+   * @param {string} name - インデックス名
+   * @param {InvertedIndex|RemoteIndex} index - インデックス
+   * @param {Array<string>} fields - インデックス対象フィールド
+   */
+  async save(name, index, fields) {
+    try {
+      const documents = await index.getDocuments();
+      const data = await index.export();
+      // ストレージと重複する本文以外の項目は保存しない
+      data.documents = data.documents.map(({ id, document }) => ({ id, document: pickIndexedFields(document, fields) }));
+
+      await this.snapshots.put({
+        id: name,
+        formatVersion: INDEX_FORMAT_VERSION,
+        fields,
+        // ユーザー定義のストップワードが変わった場合は再構築する
+        stopwords: getCustomStopwords(),
+        checksum: computeChecksum(documents, fields),
+        data,
+        savedAt: new Date().toISOString()
+      });
+
+      const patches = await this.getPatches(name);
+      for (const patch of patches) {
+        await this.patches.delete(patch.id);
+      }
+    } catch (error) {
+      // 保存に失敗しても次回起動時に再構築されるだけなので継続する
+      console.warn(`Failed to save search index "${name}":`, error);
+    }
+  }
+
+  /**
+   * ドキュメントの追加・更新を差分ログに記録 (インデックス対象フィールドのみ)
+   * 利用回数の更新など、インデックス対象フィールドが変わらない更新は記録しない
+   * @param {string} name - インデックス名
+   * @param {Object} document - 追加・更新後のドキュメント
+   * @param {Array<string>} fields - インデックス対象フィールド
+   * @param {Object|null} previous - 更新前のドキュメント (追加時はnull)
+   */
+  async recordUpsert(name, document, fields, previous = null) {
+    if (previous && !hasIndexedChanges(previous, document, fields)) return;
+    await this.recordPatch(name, { op: 'upsert', docId: document.id, document: pickIndexedFields(document, fields) });
+  }
+
+  /**
+   * ドキュメントの削除を差分ログに記録
+   * @param {string} name - インデックス名
+   * @param {string} docId - ドキュメントID
+   */
+  async recordRemove(name, docId) {
+    await this.recordPatch(name, { op: 'remove', docId, document: null });
+  }
+
+  /**
+   * 差分ログに追記
+   * @param {string} name - インデックス名
+   * @param {Object} patch - { op, docId, document }
+   */
+  async recordPatch(name, patch) {
+    this.sequence += 1;
+    try {
+      await this.patches.put({
+        id: `${name}:${Date.now()}:${this.sequence}`,
+        indexName: name,
+        sequence: this.sequence,
+        recordedAt: new Date().toISOString(),
+        ...patch
+      });
+    } catch (error) {
+      console.warn(`Failed to record search index patch for "${name}":`, error);
+    }
+  }
+
+  /**
+   * インデックスの差分ログを記録順に取得
+   * @param {string} name - インデックス名
+   * @returns {Promise<Array>} 差分ログ
+   */
+  async getPatches(name) {
+    const patches = (await this.patches.getAll()).filter(patch => patch.indexName === name);
+    patches.sort((a, b) => a.recordedAt.localeCompare(b.recordedAt) || a.sequence - b.sequence);
+
+    // 以降の連番は既存ログの後ろに続ける
+    patches.forEach(patch => {
+      this.sequence = Math.max(this.sequence, patch.sequence);
+    });
+
+    return patches;
+  }
+
+  /**
+   * 差分をインデックスに適用
+   * @param {InvertedIndex|RemoteIndex} index - インデックス
+   * @param {Object} patch - 差分
+   * @param {Array<string>} fields - インデックス対象フィールド
+   * @param {Object} [item] - 現在のアイテム (あれば差分ログの内容の代わりに登録する)
+   */
+  async applyPatch(index, patch, fields, item) {
+    if (patch.op === 'remove') {
+      await index.removeDocument(patch.docId);
+    } else {
+      await index.updateDocument(patch.docId, item || patch.document, fields);
+    }
+  }
+}
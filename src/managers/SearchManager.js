@@ -0,0 +1,496 @@
+/**
+ * SearchManager - プロンプト・コンテキストの全文検索
+ * 種別ごとに転置インデックスを保持し、ストレージの変更に追従させる
+ * テンプレート・プロジェクトも含めた横断検索 (Ctrl+K) 用のインデックスも保持する
+ */
+
+import { InvertedIndex } from '../utils/InvertedIndex.js';
+import { normalizeText, tokenizeQuery } from '../utils/tokenizer.js';
+import { parseQuery } from '../utils/queryParser.js';
+
+/**
+ * 検索モード
+ */
+export const SEARCH_MODES = {
+  AND: 'and',
+  OR: 'or',
+  PREFIX: 'prefix',
+  FUZZY: 'fuzzy'
+};
+
+/**
+ * 種別ごとのインデックス対象フィールド
+ */
+export const SEARCH_FIELDS = {
+  prompt: ['title', 'content', 'tags'],
+  context: ['title', 'content', 'category', 'tags']
+};
+
+/**
+ * 横断検索インデックスの対象フィールド
+ */
+const GLOBAL_SEARCH_FIELDS = ['title', 'description', 'category', 'tags', 'content'];
+
+/**
+ * 横断検索の種別ごとに、アイテムを共通のフィールドへ対応付ける
+ */
+const GLOBAL_DOCUMENT_MAPPERS = {
+  prompt: item => ({ title: item.title, content: item.content, tags: item.tags }),
+  context: item => ({ title: item.title, content: item.content, category: item.category, tags: item.tags }),
+  template: item => ({
+    title: item.name,
+    description: item.description,
+    category: item.category,
+    tags: item.tags,
+    content: [item.promptTemplate, item.contextTemplate].filter(Boolean).join('\n\n')
+  }),
+  project: item => ({
+    title: item.name,
+    description: item.description,
+    category: item.currentPhase,
+    tags: (item.team || []).map(member => member.name).filter(Boolean)
+  })
+};
+
+/**
+ * 横断検索インデックスのドキュメントID
+ * @param {string} type - 種別
+ * @param {string} id - アイテムID
+ * @returns {string} ドキュメントID
+ */
+function toGlobalId(type, id) {
+  return `${type}:${id}`;
+}
+
+/**
+ * アイテムのフィールド値を比較用の文字列にする
+ * @param {Object} item - アイテム
+ * @param {Array<string>} fields - 対象フィールド
+ * @returns {string} 正規化済みテキスト
+ */
+function getSearchableText(item, fields) {
+  return normalizeText(fields
+    .map(field => Array.isArray(item[field]) ? item[field].join(' ') : item[field] || '')
+    .join(' '));
+}
+
+/**
+ * フィールド指定の条件に一致するアイテムIDを取得
+ * tag / folder / category はストレージのインデックスを使い、それ以外はメモリ上で絞り込む
+ * @param {Object} node - { field, value }
+ * @param {Object} context - executeQuery のコンテキスト
+ * @returns {Promise<Set<string>>} アイテムID
+ */
+async function findFieldMatches(node, context) {
+  const { storage, items, folders = [] } = context;
+  const { field, value } = node;
+  const ids = (matches) => new Set(matches.map(item => item.id));
+
+  switch (field) {
+    case 'tag':
+      if (typeof storage?.findByTag === 'function') {
+        return ids(await storage.findByTag(value));
+      }
+      return ids(items.filter(item => Array.isArray(item.tags) && item.tags.includes(value)));
+
+    case 'folder': {
+      // フォルダ名 (またはID) からフォルダIDを解決
+      const folderIds = folders
+        .filter(folder => folder.name === value || folder.id === value)
+        .map(folder => folder.id);
+      const matched = new Set();
+      for (const folderId of folderIds) {
+        const members = typeof storage?.findByFolder === 'function'
+          ? await storage.findByFolder(folderId)
+          : items.filter(item => item.folder === folderId);
+        members.forEach(item => matched.add(item.id));
+      }
+      return matched;
+    }
+
+    case 'category':
+      if (typeof storage?.findByCategory === 'function') {
+        return ids(await storage.findByCategory(value));
+      }
+      return ids(items.filter(item => item.category === value));
+
+    case 'phase':
+      // プロンプトは pmConfig.phase、テンプレートは対象フェーズ (phases)
+      return ids(items.filter(item =>
+        item.pmConfig?.phase === value || (Array.isArray(item.phases) && item.phases.includes(value))
+      ));
+
+    case 'status':
+      return ids(items.filter(item => item.pmConfig?.status === value));
+
+    default:
+      return new Set();
+  }
+}
+
+/**
+ * 全文検索語に一致するアイテムとスコアを取得
+ * @param {string} term - 検索語
+ * @param {Object} context - executeQuery のコンテキスト
+ * @returns {Map<string, number>} アイテムID → スコア
+ */
+function findTermMatches(term, context) {
+  const { index, items, fields, mode = SEARCH_MODES.AND } = context;
+
+  if (mode === SEARCH_MODES.PREFIX) {
+    return new Map(index.searchPrefix(term, { limit: Infinity }).map(doc => [doc.id, 1]));
+  }
+
+  if (tokenizeQuery(term).length > 0) {
+    const search = mode === SEARCH_MODES.OR ? index.searchOr.bind(index) : index.search.bind(index);
+    const fuzzy = mode === SEARCH_MODES.FUZZY;
+    return new Map(search(term, { limit: Infinity, minScore: 0, includeScore: true, fuzzy })
+      .map(result => [result.document.id, result.score]));
+  }
+
+  // 1文字の語などトークン化できない場合は部分一致
+  const normalizedTerm = normalizeText(term);
+  return new Map(items
+    .filter(item => getSearchableText(item, fields).includes(normalizedTerm))
+    .map(item => [item.id, 1]));
+}
+
+/**
+ * クエリASTを評価し、一致したアイテムのスコアを返す
+ * 結果は context.items に含まれるアイテムに限られる
+ * @param {Object} node - クエリAST (parseQuery の戻り値)
+ * @param {Object} context - { index, storage, items, fields, folders, mode }
+ * @returns {Promise<Map<string, number>>} アイテムID → スコア (フィールド条件のみの一致は0)
+ */
+export async function executeQuery(node, context) {
+  const universe = new Set(context.items.map(item => item.id));
+  const restrict = (matches) => new Map([...matches].filter(([id]) => universe.has(id)));
+
+  switch (node.type) {
+    case 'and': {
+      let result = new Map([...universe].map(id => [id, 0]));
+      for (const child of node.children) {
+        const matches = await executeQuery(child, context);
+        result = new Map([...result]
+          .filter(([id]) => matches.has(id))
+          .map(([id, score]) => [id, score + matches.get(id)]));
+      }
+      return result;
+    }
+
+    case 'or': {
+      const result = new Map();
+      for (const child of node.children) {
+        for (const [id, score] of await executeQuery(child, context)) {
+          result.set(id, (result.get(id) || 0) + score);
+        }
+      }
+      return result;
+    }
+
+    case 'not': {
+      const excluded = await executeQuery(node.child, context);
+      return new Map([...universe].filter(id => !excluded.has(id)).map(id => [id, 0]));
+    }
+
+    case 'term':
+      return restrict(findTermMatches(node.value, context));
+
+    case 'phrase': {
+      // 全文検索のスコアを使いつつ、語順どおりに含むものだけを残す
+      const phrase = normalizeText(node.value);
+      const scores = tokenizeQuery(node.value).length > 0
+        ? findTermMatches(node.value, { ...context, mode: SEARCH_MODES.AND })
+        : new Map();
+      return new Map(context.items
+        .filter(item => getSearchableText(item, context.fields).includes(phrase))
+        .map(item => [item.id, scores.get(item.id) || 0]));
+    }
+
+    case 'field': {
+      const matches = await findFieldMatches(node, context);
+      return new Map([...matches].filter(id => universe.has(id)).map(id => [id, 0]));
+    }
+
+    default:
+      throw new Error(`Unknown query node: ${node.type}`);
+  }
+}
+
+/**
+ * 全文検索管理クラス
+ */
+export class SearchManager {
+  /**
+   * @param {SearchIndexStore|null} indexStore - インデックスの永続化先 (nullの場合は毎回構築)
+   */
+  constructor(indexStore = null) {
+    this.indexStore = indexStore;
+
+    // 種別 → { storage, index, fields }
+    this.targets = new Map();
+
+    // 横断検索 (Ctrl+K) 用: 種別 → ストレージ, 全種別をまとめたインデックス
+    this.globalSources = new Map();
+    this.globalIndex = new InvertedIndex();
+  }
+
+  /**
+   * ストレージマネージャーを検索対象にする (追加・更新・削除をインデックスに反映)
+   * @param {Object} manager - IndexedDBManager / StorageManager
+   * @param {string} type - 種別 ('prompt' | 'context')
+   * @param {Array<string>} fields - インデックス対象フィールド
+   */
+  track(manager, type, fields = SEARCH_FIELDS[type]) {
+    this.targets.set(type, {
+      storage: manager,
+      index: new InvertedIndex(),
+      fields
+    });
+
+    this.trackGlobal(manager, type);
+  }
+
+  /**
+   * ストレージマネージャーを横断検索のみの対象にする (種別ごとの検索は別途管理されているもの)
+   * @param {Object} manager - IndexedDBManager / StorageManager
+   * @param {string} type - 種別 ('prompt' | 'context' | 'template' | 'project')
+   */
+  trackGlobal(manager, type) {
+    this.globalSources.set(type, manager);
+
+    manager.searchIndexer = {
+      sync: (before, after) => this.sync(type, before, after)
+    };
+  }
+
+  /**
+   * すべての種別のインデックスを準備 (保存済みインデックスが最新ならそれを使用)
+   */
+  async init() {
+    for (const type of this.targets.keys()) {
+      if (this.indexStore) {
+        const target = this.getTarget(type);
+        const items = await target.storage.getAll();
+        await this.indexStore.load(type, target.index, items, target.fields);
+      } else {
+        await this.buildIndex(type);
+      }
+    }
+
+    await this.buildGlobalIndex();
+  }
+
+  /**
+   * 横断検索インデックスを構築 (件数が少ないため永続化せず起動時に作る)
+   */
+  async buildGlobalIndex() {
+    this.globalIndex.clear();
+    for (const [type, storage] of this.globalSources) {
+      const items = await storage.getAll();
+      for (const item of items) {
+        this.globalIndex.addDocument(toGlobalId(type, item.id), this.toGlobalDocument(type, item), GLOBAL_SEARCH_FIELDS);
+      }
+    }
+  }
+
+  /**
+   * アイテムを横断検索インデックスのドキュメントに変換
+   * @param {string} type - 種別
+   * @param {Object} item - アイテム
+   * @returns {Object} ドキュメント
+   */
+  toGlobalDocument(type, item) {
+    return { id: toGlobalId(type, item.id), type, itemId: item.id, ...GLOBAL_DOCUMENT_MAPPERS[type](item) };
+  }
+
+  /**
+   * インデックスをストレージの内容から構築
+   * @param {string} type - 種別
+   */
+  async buildIndex(type) {
+    const target = this.getTarget(type);
+    const items = await target.storage.getAll();
+
+    target.index.clear();
+    target.index.bulkAdd(items, target.fields);
+
+    if (this.indexStore) {
+      await this.indexStore.save(type, target.index, target.fields);
+    }
+  }
+
+  /**
+   * すべての種別のインデックスを作り直す (トークン化の設定変更時など)
+   */
+  async rebuildAll() {
+    for (const type of this.targets.keys()) {
+      await this.buildIndex(type);
+    }
+    await this.buildGlobalIndex();
+  }
+
+  /**
+   * ストレージの変更をインデックスに反映
+   * @param {string} type - 種別
+   * @param {Object|null} before - 変更前 (追加時はnull)
+   * @param {Object|null} after - 変更後 (削除時はnull)
+   */
+  sync(type, before, after) {
+    const target = this.targets.get(type);
+
+    if (after) {
+      if (target) {
+        target.index.updateDocument(after.id, after, target.fields);
+        this.indexStore?.recordUpsert(type, after, target.fields, before);
+      }
+      this.globalIndex.updateDocument(toGlobalId(type, after.id), this.toGlobalDocument(type, after), GLOBAL_SEARCH_FIELDS);
+    } else if (before) {
+      if (target) {
+        target.index.removeDocument(before.id);
+        this.indexStore?.recordRemove(type, before.id);
+      }
+      this.globalIndex.removeDocument(toGlobalId(type, before.id));
+    }
+  }
+
+  /**
+   * 内容が似ているアイテムを取得 (横断検索インデックスの TF-IDF ベクトルのコサイン類似度)
+   * @param {string} type - 基準アイテムの種別
+   * @param {string} id - 基準アイテムのID
+   * @param {Object} options - { limit, minScore, types: 対象の種別, filter: ({ type, id }) => boolean }
+   * @returns {Array<Object>} [{ type, id, score }] (類似度順)
+   */
+  findSimilar(type, id, options = {}) {
+    const { limit = 5, minScore, types = ['prompt', 'context', 'template'], filter = null } = options;
+
+    return this.globalIndex.findSimilar(toGlobalId(type, id), {
+      limit,
+      minScore,
+      filter: doc => types.includes(doc.type) && (!filter || filter({ type: doc.type, id: doc.itemId }))
+    }).map(result => ({ type: result.document.type, id: result.document.itemId, score: result.score }));
+  }
+
+  /**
+   * プロンプト・コンテキスト・テンプレート・プロジェクトを横断して検索
+   * @param {string} query - 検索クエリ
+   * @param {Object} options - { limitPerType: 種別ごとの最大件数 }
+   * @returns {Array<Object>} [{ type, id, score }] (スコア順)
+   */
+  searchGlobal(query, options = {}) {
+    const { limitPerType = Infinity } = options;
+
+    let results;
+    if (tokenizeQuery(query).length > 0) {
+      results = this.globalIndex.search(query, { limit: Infinity, minScore: 0, includeScore: true })
+        .map(result => ({ type: result.document.type, id: result.document.itemId, score: result.score }));
+    } else {
+      // 1文字の検索語などトークン化できない場合は部分一致
+      const normalizedQuery = normalizeText(query);
+      if (!normalizedQuery) return [];
+
+      results = Array.from(this.globalIndex.documents.values())
+        .filter(doc => getSearchableText(doc, GLOBAL_SEARCH_FIELDS).includes(normalizedQuery))
+        .map(doc => ({ type: doc.type, id: doc.itemId, score: 0 }));
+    }
+
+    // 件数の多い種別で他の種別が埋もれないよう、種別ごとに件数を絞る
+    const counts = new Map();
+    return results.filter(result => {
+      const count = counts.get(result.type) || 0;
+      counts.set(result.type, count + 1);
+      return count < limitPerType;
+    });
+  }
+
+  /**
+   * 検索してスコアの高い順にIDを返す
+   * @param {string} type - 種別
+   * @param {string} query - 検索クエリ
+   * @param {Object} options - { mode: 'and'|'or'|'prefix'|'fuzzy', limit }
+   * @returns {Array<Object>} [{ id, score }]
+   */
+  search(type, query, options = {}) {
+    const { mode = SEARCH_MODES.AND, limit = Infinity } = options;
+    const target = this.getTarget(type);
+
+    if (mode === SEARCH_MODES.PREFIX) {
+      return this.searchPrefix(target.index, query).slice(0, limit);
+    }
+
+    const search = mode === SEARCH_MODES.OR
+      ? target.index.searchOr.bind(target.index)
+      : target.index.search.bind(target.index);
+
+    return search(query, { limit, minScore: 0, includeScore: true, fuzzy: mode === SEARCH_MODES.FUZZY })
+      .map(result => ({ id: result.document.id, score: result.score }));
+  }
+
+  /**
+   * 検索構文 (tag: / folder: / -除外 / "フレーズ" / OR など) を含むクエリで検索
+   * @param {string} type - 種別
+   * @param {string} query - 検索クエリ
+   * @param {Object} options - { mode, items: 検索対象のアイテム, folders: フォルダ名の解決用 }
+   * @returns {Promise<Map<string, number>>} アイテムID → スコア
+   */
+  async query(type, query, options = {}) {
+    const { mode = SEARCH_MODES.AND, items, folders = [] } = options;
+    const target = this.getTarget(type);
+    const ast = parseQuery(query, { defaultOperator: mode === SEARCH_MODES.OR ? 'or' : 'and' });
+
+    return await executeQuery(ast, {
+      index: target.index,
+      storage: target.storage,
+      items: items || await target.storage.getAll(),
+      fields: target.fields,
+      folders,
+      mode
+    });
+  }
+
+  /**
+   * 語ごとに前方一致し、すべての語に一致したものを返す
+   * @param {InvertedIndex} index - 転置インデックス
+   * @param {string} query - 検索クエリ
+   * @returns {Array<Object>} [{ id, score }]
+   */
+  searchPrefix(index, query) {
+    const prefixes = normalizeText(query).split(' ').filter(prefix => prefix);
+    if (prefixes.length === 0) return [];
+
+    let matchedIds = null;
+    for (const prefix of prefixes) {
+      const ids = new Set(index.searchPrefix(prefix, { limit: Infinity }).map(doc => doc.id));
+      matchedIds = matchedIds ? new Set([...matchedIds].filter(id => ids.has(id))) : ids;
+    }
+
+    return [...matchedIds].map(id => ({ id, score: 1 }));
+  }
+
+  /**
+   * クエリがインデックスで検索可能か (1文字のみのクエリなどはトークンにならない)
+   * @param {string} query - 検索クエリ
+   * @param {string} mode - 検索モード
+   * @returns {boolean}
+   */
+  isIndexable(query, mode = SEARCH_MODES.AND) {
+    if (mode === SEARCH_MODES.PREFIX) {
+      return normalizeText(query).length > 0;
+    }
+    return tokenizeQuery(query).length > 0;
+  }
+
+  /**
+   * 種別の検索対象を取得
+   * @param {string} type - 種別
+   * @returns {Object} { storage, index, fields }
+   * @throws {Error} 未登録の種別の場合
+   */
+  getTarget(type) {
+    const target = this.targets.get(type);
+    if (!target) {
+      throw new Error(`Search target not registered: ${type}`);
+    }
+    return target;
+  }
+}
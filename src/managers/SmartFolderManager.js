@@ -0,0 +1,231 @@
+/**
+ * SmartFolderManager - スマートフォルダ (保存された検索) 管理クラス
+ * 検索クエリと絞り込み条件を保存し、表示のたびに最新のデータで評価する
+ */
+
+import { formatDate } from '../utils/dateUtils.js';
+
+/**
+ * 期限の範囲指定 (値 → 表示名)
+ */
+export const DUE_DATE_RANGES = {
+  overdue: '期限切れ',
+  today: '今日',
+  'this-week': '今週',
+  'next-week': '来週',
+  'this-month': '今月',
+  custom: '期間を指定'
+};
+
+/**
+ * 絞り込み条件の初期値
+ */
+const DEFAULT_FILTERS = {
+  tags: [],
+  phase: '',
+  priority: '',
+  status: '',
+  projectId: '',
+  dueDate: { range: '', from: '', to: '' }
+};
+
+/**
+ * 日付に日数を加算
+ * @param {Date} date - 基準日
+ * @param {number} days - 加算する日数
+ * @returns {Date} 新しい日付
+ */
+function addDays(date, days) {
+  const result = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  result.setDate(result.getDate() + days);
+  return result;
+}
+
+/**
+ * 期限の範囲指定を日付 (YYYY-MM-DD) の範囲に変換
+ * 週は月曜始まりとする
+ * @param {Object} dueDate - { range, from, to }
+ * @param {Date} now - 基準日時
+ * @returns {Object|null} { from, to } (端がnullなら上限・下限なし / 範囲指定なしならnull)
+ */
+export function resolveDueDateRange(dueDate, now = new Date()) {
+  if (!dueDate || !dueDate.range) return null;
+
+  const today = formatDate(now);
+  const mondayOffset = (now.getDay() + 6) % 7;
+  const monday = addDays(now, -mondayOffset);
+
+  switch (dueDate.range) {
+    case 'overdue':
+      return { from: null, to: formatDate(addDays(now, -1)) };
+    case 'today':
+      return { from: today, to: today };
+    case 'this-week':
+      return { from: formatDate(monday), to: formatDate(addDays(monday, 6)) };
+    case 'next-week':
+      return { from: formatDate(addDays(monday, 7)), to: formatDate(addDays(monday, 13)) };
+    case 'this-month':
+      return {
+        from: formatDate(new Date(now.getFullYear(), now.getMonth(), 1)),
+        to: formatDate(new Date(now.getFullYear(), now.getMonth() + 1, 0))
+      };
+    case 'custom':
+      return { from: dueDate.from || null, to: dueDate.to || null };
+    default:
+      return null;
+  }
+}
+
+/**
+ * アイテムがスマートフォルダの絞り込み条件 (クエリ以外) に一致するか
+ * @param {Object} item - プロンプト / コンテキスト
+ * @param {Object} filters - 絞り込み条件
+ * @param {Date} now - 基準日時
+ * @returns {boolean}
+ */
+export function matchesSmartFolderFilters(item, filters, now = new Date()) {
+  const pmConfig = item.pmConfig || {};
+
+  if (filters.tags.length > 0) {
+    const tags = Array.isArray(item.tags) ? item.tags : [];
+    if (!filters.tags.every(tag => tags.includes(tag))) return false;
+  }
+
+  if (filters.phase && pmConfig.phase !== filters.phase) return false;
+  if (filters.priority && pmConfig.priority !== filters.priority) return false;
+  if (filters.status && pmConfig.status !== filters.status) return false;
+  if (filters.projectId && pmConfig.projectId !== filters.projectId) return false;
+
+  const range = resolveDueDateRange(filters.dueDate, now);
+  if (range) {
+    // 期限はYYYY-MM-DD形式のため文字列比較で判定できる
+    const dueDate = pmConfig.dueDate;
+    if (!dueDate) return false;
+    if (range.from && dueDate < range.from) return false;
+    if (range.to && dueDate > range.to) return false;
+  }
+
+  return true;
+}
+
+/**
+ * スマートフォルダ管理クラス
+ */
+export class SmartFolderManager {
+  /**
+   * @param {Object} storageManager - smartFolders ストアのストレージマネージャー
+   * @param {Object} searchManager - クエリの評価に使う SearchManager
+   */
+  constructor(storageManager, searchManager) {
+    this.storage = storageManager;
+    this.searchManager = searchManager;
+  }
+
+  /**
+   * 種別ごとのスマートフォルダ一覧を取得 (名前順)
+   * @param {string} type - 'prompt' | 'context'
+   * @returns {Promise<Array>} スマートフォルダ配列
+   */
+  async getSmartFolders(type) {
+    const folders = await this.storage.getAll();
+    return folders
+      .filter(folder => folder.type === type)
+      .sort((a, b) => a.name.localeCompare(b.name, 'ja'));
+  }
+
+  /**
+   * スマートフォルダを作成
+   * @param {Object} data - { name, type, query, filters }
+   * @returns {Promise<Object>} 作成されたスマートフォルダ
+   * @throws {Error} バリデーションエラー時
+   */
+  async createSmartFolder(data) {
+    return await this.storage.add(this.normalize(data));
+  }
+
+  /**
+   * スマートフォルダを更新
+   * @param {string} folderId - スマートフォルダID
+   * @param {Object} data - { name, type, query, filters }
+   * @returns {Promise<Object>} 更新されたスマートフォルダ
+   * @throws {Error} スマートフォルダが存在しない、またはバリデーションエラー時
+   */
+  async updateSmartFolder(folderId, data) {
+    const folder = await this.storage.findById(folderId);
+    if (!folder) {
+      throw new Error(`Smart folder not found: ${folderId}`);
+    }
+
+    return await this.storage.update(folderId, this.normalize({ ...folder, ...data }));
+  }
+
+  /**
+   * スマートフォルダを削除
+   * @param {string} folderId - スマートフォルダID
+   * @returns {Promise<boolean>} 削除成功
+   */
+  async deleteSmartFolder(folderId) {
+    return await this.storage.delete(folderId);
+  }
+
+  /**
+   * 保存形式に整える
+   * @param {Object} data - { name, type, query, filters }
+   * @returns {Object} 保存するスマートフォルダ
+   * @throws {Error} 名前が空、または種別が不正な場合
+   */
+  normalize(data) {
+    const name = (data.name || '').trim();
+    if (!name) {
+      throw new Error('Smart folder name is required');
+    }
+    if (data.type !== 'prompt' && data.type !== 'context') {
+      throw new Error(`Invalid smart folder type: ${data.type}`);
+    }
+
+    const filters = { ...DEFAULT_FILTERS, ...(data.filters || {}) };
+    return {
+      name,
+      type: data.type,
+      query: (data.query || '').trim(),
+      filters: {
+        ...filters,
+        tags: (filters.tags || []).map(tag => tag.trim()).filter(tag => tag),
+        dueDate: { ...DEFAULT_FILTERS.dueDate, ...(filters.dueDate || {}) }
+      }
+    };
+  }
+
+  /**
+   * スマートフォルダの条件に一致するアイテムを取得
+   * @param {Object} folder - スマートフォルダ
+   * @param {Array<Object>} items - 対象アイテム
+   * @param {Object} options - { folders: 通常フォルダ一覧 (folder: 指定の解決用), now }
+   * @returns {Promise<Array<Object>>} 一致したアイテム
+   */
+  async evaluate(folder, items, options = {}) {
+    const { folders = [], now = new Date() } = options;
+    const filters = this.normalize(folder).filters;
+
+    const matched = items.filter(item => matchesSmartFolderFilters(item, filters, now));
+    if (!folder.query || matched.length === 0) return matched;
+
+    const scores = await this.searchManager.query(folder.type, folder.query, { items: matched, folders });
+    return matched.filter(item => scores.has(item.id));
+  }
+
+  /**
+   * 種別ごとのスマートフォルダの件数を集計
+   * @param {string} type - 'prompt' | 'context'
+   * @param {Array<Object>} items - 対象アイテム
+   * @param {Object} options - evaluate() のオプション
+   * @returns {Promise<Map>} スマートフォルダID → 件数
+   */
+  async countAll(type, items, options = {}) {
+    const counts = new Map();
+    for (const folder of await this.getSmartFolders(type)) {
+      counts.set(folder.id, (await this.evaluate(folder, items, options)).length);
+    }
+    return counts;
+  }
+}
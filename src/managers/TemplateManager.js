@@ -5,26 +5,94 @@
 
 import {
   createTemplate,
+  createDefaultTemplate,
   incrementTemplateUsage,
   updateTemplateRating,
   extractVariables,
   validateTemplate,
+  validateVariableValues,
   templateFromJSON
 } from '../models/Template.js';
+import { resolveProjectValue, DEFAULT_VARIABLE_SOURCES } from '../models/Project.js';
 import { formatDate, formatTime, formatDateTime } from '../utils/dateUtils.js';
+import { renderTemplate } from '../utils/templateEngine.js';
 import { InvertedIndex } from '../utils/InvertedIndex.js';
+import { hasQuerySyntax, parseQuery } from '../utils/queryParser.js';
+import { executeQuery } from './SearchManager.js';
+
+/**
+ * 検索インデックスの対象フィールド
+ */
+const TEMPLATE_INDEX_FIELDS = [
+  'name',
+  'description',
+  'category',
+  'tags',
+  'promptTemplate',
+  'contextTemplate'
+];
+
+/**
+ * 永続化する検索インデックスの名前
+ */
+const TEMPLATE_INDEX_NAME = 'template';
+
+/**
+ * テンプレートごとの前回の入力値を保存するLocalStorageキー
+ */
+const LAST_VALUES_KEY = 'cognishelf-template-last-values';
+
+/**
+ * 同梱のシステムテンプレート (public/data/pm-templates.json) の版
+ * JSON を変更したら上げると、既存の環境に保存済みのシステムテンプレートも起動時に更新される
+ */
+const SYSTEM_TEMPLATES_VERSION = 3;
+
+/**
+ * 反映済みのシステムテンプレートの版を保存するLocalStorageキー
+ */
+const SYSTEM_TEMPLATES_VERSION_KEY = 'cognishelf-system-templates-version';
+
+/**
+ * システムテンプレートの更新で置き換えるフィールド (使用回数・評価・作成日時は保持)
+ */
+const SYSTEM_TEMPLATE_CONTENT_FIELDS = [
+  'name',
+  'category',
+  'tags',
+  'phases',
+  'description',
+  'promptTemplate',
+  'contextTemplate',
+  'variables'
+];
 
 /**
  * テンプレート管理クラス
  */
 export class TemplateManager {
-  constructor(storageManager) {
+  /**
+   * @param {Object} storageManager - templates ストアのストレージマネージャー
+   * @param {TrashManager|null} trashManager - ゴミ箱 (nullの場合は完全に削除)
+   * @param {SearchIndexStore|null} indexStore - 検索インデックスの永続化先
+   * @param {SearchWorkerClient|null} searchWorker - 検索 Web Worker (nullの場合はメインスレッドで検索)
+   */
+  constructor(storageManager, trashManager = null, indexStore = null, searchWorker = null) {
     this.storage = storageManager;
+    this.trashManager = trashManager;
+    this.indexStore = indexStore; // 検索インデックスの永続化先
     this.isInitialized = false;
 
-    // Full-Text Search用転置インデックス
-    this.searchIndex = new InvertedIndex();
+    // Full-Text Search用転置インデックス (Worker 使用時は Worker 上のインデックスのプロキシ)
+    // どちらの場合も操作は await して扱う
+    this.searchIndex = searchWorker ? searchWorker.getIndex(TEMPLATE_INDEX_NAME) : new InvertedIndex();
     this.indexReady = false;
+
+    // Worker が使えなくなった場合はメインスレッドでインデックスを作り直す
+    searchWorker?.onFallback(() => {
+      this.indexReady = false;
+      this.rebuildSearchIndex();
+    });
   }
 
   /**
@@ -37,10 +105,12 @@ export class TemplateManager {
       // 既存のテンプレート数をチェック
       const existingTemplates = await this.storage.getAll();
 
-      // システムテンプレートが未登録の場合のみ読み込み
-      const systemTemplates = existingTemplates.filter(t => t.author === 'system');
+      // システムテンプレートが未登録なら読み込み、古い版なら同梱の内容で更新
+      const systemTemplates = existingTemplates.filter(t => t.author === 'system' && !t.isCustom);
       if (systemTemplates.length === 0) {
         await this.loadDefaultTemplates();
+      } else if (this.getSystemTemplatesVersion() < SYSTEM_TEMPLATES_VERSION) {
+        await this.refreshSystemTemplates(systemTemplates);
       }
 
       // Full-Text Search インデックス構築
@@ -55,31 +125,36 @@ export class TemplateManager {
 
   /**
    * Full-Text Search インデックスを構築
+   * 永続化先があれば保存済みインデックスを読み込み、古い場合のみ再構築する
+   * @param {Object} options - { force: true で保存済みインデックスを使わず再構築 }
    */
-  async buildSearchIndex() {
+  async buildSearchIndex(options = {}) {
+    const { force = false } = options;
+
     try {
       const templates = await this.storage.getAll();
 
       console.log(`Building search index for ${templates.length} templates...`);
       const startTime = performance.now();
 
-      this.searchIndex.clear();
-      this.searchIndex.bulkAdd(templates, [
-        'name',
-        'description',
-        'category',
-        'tags',
-        'promptTemplate',
-        'contextTemplate'
-      ]);
+      let result = 'rebuilt';
+      if (this.indexStore && !force) {
+        result = await this.indexStore.load(TEMPLATE_INDEX_NAME, this.searchIndex, templates, TEMPLATE_INDEX_FIELDS);
+      } else {
+        await this.searchIndex.clear();
+        await this.searchIndex.bulkAdd(templates, TEMPLATE_INDEX_FIELDS);
+        if (this.indexStore) {
+          await this.indexStore.save(TEMPLATE_INDEX_NAME, this.searchIndex, TEMPLATE_INDEX_FIELDS);
+        }
+      }
 
       const endTime = performance.now();
       const duration = endTime - startTime;
 
       this.indexReady = true;
 
-      const stats = this.searchIndex.getStats();
-      console.log(`✅ Search index built in ${duration.toFixed(2)}ms`);
+      const stats = await this.searchIndex.getStats();
+      console.log(`✅ Search index ${result === 'loaded' ? 'loaded' : 'built'} in ${duration.toFixed(2)}ms`);
       console.log(`   - Documents: ${stats.totalDocuments}`);
       console.log(`   - Tokens: ${stats.totalTokens}`);
       console.log(`   - Avg tokens/doc: ${stats.averageTokensPerDocument.toFixed(1)}`);
@@ -96,7 +171,7 @@ export class TemplateManager {
    * インデックスを再構築
    */
   async rebuildSearchIndex() {
-    await this.buildSearchIndex();
+    await this.buildSearchIndex({ force: true });
   }
 
   /**
@@ -105,21 +180,8 @@ export class TemplateManager {
    */
   async loadDefaultTemplates() {
     try {
-      const response = await fetch('/data/pm-templates.json');
-      if (!response.ok) {
-        const errorMsg = `テンプレート読み込み失敗: ${response.status} ${response.statusText}`;
-        console.error(errorMsg);
-        this.showUserNotification('warning', 'デフォルトテンプレートの読み込みに失敗しました。手動でインポートしてください。');
-        throw new Error(errorMsg);
-      }
-
-      const templatesData = await response.json();
-
-      if (!Array.isArray(templatesData) || templatesData.length === 0) {
-        console.warn('Template data is empty or invalid');
-        this.showUserNotification('info', 'テンプレートデータが空です。');
-        return;
-      }
+      const templatesData = await this.fetchDefaultTemplates();
+      if (!templatesData) return;
 
       let successCount = 0;
       let failureCount = 0;
@@ -138,6 +200,7 @@ export class TemplateManager {
       console.log(`Loaded ${successCount}/${templatesData.length} default templates`);
 
       if (successCount > 0) {
+        this.setSystemTemplatesVersion(SYSTEM_TEMPLATES_VERSION);
         this.showUserNotification('success', `${successCount}件のテンプレートを読み込みました。`);
       }
 
@@ -151,6 +214,116 @@ export class TemplateManager {
     }
   }
 
+  /**
+   * 同梱のデフォルトテンプレートを取得
+   * @returns {Promise<Array<Object>|null>} テンプレートデータ (空の場合はnull)
+   * @throws {Error} ネットワークエラーまたはJSON解析エラー時
+   */
+  async fetchDefaultTemplates() {
+    const response = await fetch('/data/pm-templates.json');
+    if (!response.ok) {
+      const errorMsg = `テンプレート読み込み失敗: ${response.status} ${response.statusText}`;
+      console.error(errorMsg);
+      this.showUserNotification('warning', 'デフォルトテンプレートの読み込みに失敗しました。手動でインポートしてください。');
+      throw new Error(errorMsg);
+    }
+
+    const templatesData = await response.json();
+
+    if (!Array.isArray(templatesData) || templatesData.length === 0) {
+      console.warn('Template data is empty or invalid');
+      this.showUserNotification('info', 'テンプレートデータが空です。');
+      return null;
+    }
+
+    return templatesData;
+  }
+
+  /**
+   * 保存済みのシステムテンプレートを同梱の内容で更新
+   * systemKey で対応付け (systemKey のない旧版は名前で対応付け)、未登録のものは追加、同梱から外れたものは削除する
+   * 本文・変数定義 (自動入力の source を含む) を置き換え、使用回数・評価は残す
+   * @param {Array<Object>} systemTemplates - 保存済みのシステムテンプレート
+   */
+  async refreshSystemTemplates(systemTemplates) {
+    try {
+      const templatesData = await this.fetchDefaultTemplates();
+      if (!templatesData) return;
+
+      const byKey = new Map(systemTemplates
+        .filter(template => template.systemKey)
+        .map(template => [template.systemKey, template]));
+      const byName = new Map(systemTemplates
+        .filter(template => !template.systemKey)
+        .map(template => [template.name, template]));
+      const matchedIds = new Set();
+      const defaults = createDefaultTemplate();
+      const now = new Date().toISOString();
+      let updatedCount = 0;
+      let addedCount = 0;
+      let removedCount = 0;
+
+      for (const templateData of templatesData) {
+        const stored = (templateData.systemKey && byKey.get(templateData.systemKey)) || byName.get(templateData.name);
+        if (stored && !matchedIds.has(stored.id)) {
+          const content = Object.fromEntries(
+            SYSTEM_TEMPLATE_CONTENT_FIELDS.map(field => [field, templateData[field] ?? defaults[field]])
+          );
+          // 利用者による編集ではないので、変更履歴を残さない put で書き込む
+          await this.storage.put({
+            ...stored,
+            ...content,
+            systemKey: templateData.systemKey ?? null,
+            updatedAt: now
+          });
+          matchedIds.add(stored.id);
+          updatedCount++;
+        } else {
+          await this.storage.add(createTemplate(templateData));
+          addedCount++;
+        }
+      }
+
+      for (const stored of systemTemplates) {
+        if (!matchedIds.has(stored.id)) {
+          await this.storage.delete(stored.id);
+          removedCount++;
+        }
+      }
+
+      this.setSystemTemplatesVersion(SYSTEM_TEMPLATES_VERSION);
+      console.log(`Refreshed system templates: ${updatedCount} updated, ${addedCount} added, ${removedCount} removed`);
+    } catch (error) {
+      // 更新に失敗しても保存済みのテンプレートで続行し、次回の起動時に再試行する
+      console.error('Failed to refresh system templates:', error);
+    }
+  }
+
+  /**
+   * 反映済みのシステムテンプレートの版を取得
+   * @returns {number} 版 (未記録の場合は1)
+   */
+  getSystemTemplatesVersion() {
+    try {
+      return Number(localStorage.getItem(SYSTEM_TEMPLATES_VERSION_KEY)) || 1;
+    } catch (error) {
+      console.warn('Failed to load system template version:', error);
+      return 1;
+    }
+  }
+
+  /**
+   * 反映済みのシステムテンプレートの版を保存
+   * @param {number} version - 版
+   */
+  setSystemTemplatesVersion(version) {
+    try {
+      localStorage.setItem(SYSTEM_TEMPLATES_VERSION_KEY, String(version));
+    } catch (error) {
+      console.warn('Failed to save system template version:', error);
+    }
+  }
+
   /**
    * ユーザー通知を表示 (グローバルapp経由)
    * @param {string} type - 通知タイプ ('success' | 'error' | 'warning' | 'info')
@@ -212,20 +385,44 @@ export class TemplateManager {
     return templates.filter(t => t.tags && t.tags.includes(tag));
   }
 
+  /**
+   * プロジェクトフェーズ向けのテンプレートを取得
+   * phases未設定の旧テンプレートはタグにフェーズ名を含むものを対象とする
+   * @param {string} phase - フェーズ名
+   * @returns {Promise<Array>} フェーズ向けテンプレート配列
+   */
+  async getTemplatesByPhase(phase) {
+    if (!phase) return [];
+
+    const templates = await this.storage.getAll();
+    return templates.filter(t =>
+      (Array.isArray(t.phases) && t.phases.includes(phase)) ||
+      (Array.isArray(t.tags) && t.tags.includes(phase))
+    );
+  }
+
   /**
    * テンプレートを適用 - 変数置換を実行
    * @param {string} templateId - テンプレートID
    * @param {Object} variableValues - 変数名と値のマップ { variableName: value }
+   * @param {Object} options - { project: 自動変数の参照元のアクティブプロジェクト }
    * @returns {Promise<Object>} 適用結果 { prompt, context }
+   * @throws {Error} テンプレートが存在しない、または変数値のバリデーションエラー時
    */
-  async applyTemplate(templateId, variableValues = {}) {
+  async applyTemplate(templateId, variableValues = {}, options = {}) {
     const template = await this.storage.findById(templateId);
     if (!template) {
       throw new Error(`Template not found: ${templateId}`);
     }
 
+    const validation = validateVariableValues(template.variables, variableValues);
+    if (!validation.valid) {
+      throw new Error(`Template variable validation failed: ${Object.values(validation.errors).join(', ')}`);
+    }
+    this.saveLastValues(template, variableValues);
+
     // 自動変数を追加
-    const enrichedValues = this.addAutoVariables(variableValues);
+    const enrichedValues = this.addAutoVariables(variableValues, options.project);
 
     // テンプレートに変数を適用
     const prompt = this.replaceVariables(template.promptTemplate, enrichedValues);
@@ -247,36 +444,113 @@ export class TemplateManager {
   }
 
   /**
-   * 変数置換エンジン
+   * 変数置換エンジン ({{#if}} {{#each}} などの構文は utils/templateEngine.js を参照)
+   * 未入力の変数は [[name]] のプレースホルダーとして残す (ユーザーが後で手動入力できるように)
    * @param {string} text - テンプレートテキスト
    * @param {Object} values - 変数値マップ
    * @returns {string} 置換後のテキスト
+   * @throws {TemplateSyntaxError} テンプレートの構文エラー時 (行・列を含む)
    */
   replaceVariables(text, values) {
-    let result = text;
+    return renderTemplate(text, values);
+  }
 
-    // {{variableName}} 形式の変数を置換
-    Object.entries(values).forEach(([key, value]) => {
-      const regex = new RegExp(`\\{\\{${key}\\}\\}`, 'g');
-      result = result.replace(regex, value || '');
-    });
+  /**
+   * 適用フォームの初期値を取得
+   * プロジェクトの値 → 前回の入力値 → 変数定義の既定値の順に優先する
+   * @param {Object} template - テンプレート
+   * @param {Object|null} project - アクティブプロジェクト
+   * @returns {Object} 変数名と値のマップ
+   */
+  getInitialValues(template, project = null) {
+    const lastValues = this.loadLastValues()[template.id] || {};
+    const projectValues = this.getProjectValues(template.variables, project);
+    const values = {};
 
-    // 未置換の変数をプレースホルダーとして残す
-    // （ユーザーが後で手動入力できるように）
-    result = result.replace(/\{\{(\w+)\}\}/g, '[[$1]]');
+    for (const variable of template.variables || []) {
+      values[variable.name] = projectValues[variable.name] ?? lastValues[variable.name] ?? variable.defaultValue ?? '';
+    }
 
-    return result;
+    return values;
+  }
+
+  /**
+   * プロジェクトから自動入力できる変数値を取得
+   * 変数定義の source (未指定なら変数名に対応する既定の参照元) から値を解決する
+   * @param {Array<Object>} variables - 変数定義
+   * @param {Object|null} project - アクティブプロジェクト
+   * @returns {Object} 変数名と値のマップ (値を解決できた変数のみ)
+   */
+  getProjectValues(variables, project) {
+    const values = {};
+    if (!project) return values;
+
+    for (const variable of variables || []) {
+      const value = resolveProjectValue(project, variable.source || DEFAULT_VARIABLE_SOURCES[variable.name]);
+      if (value === null) continue;
+
+      // リストは複数行入力なら1行1件、1行入力ならカンマ区切りにする ({{#each}} はどちらも分割できる)
+      values[variable.name] = Array.isArray(value)
+        ? value.join(variable.type === 'textarea' ? '\n' : ', ')
+        : value;
+    }
+
+    return values;
+  }
+
+  /**
+   * 前回の入力値を保存 (変数定義にある変数のみ)
+   * @param {Object} template - テンプレート
+   * @param {Object} values - 変数名と値のマップ
+   */
+  saveLastValues(template, values) {
+    const saved = this.loadLastValues();
+    saved[template.id] = Object.fromEntries(
+      (template.variables || [])
+        .filter(variable => values[variable.name] !== undefined)
+        .map(variable => [variable.name, values[variable.name]])
+    );
+
+    try {
+      localStorage.setItem(LAST_VALUES_KEY, JSON.stringify(saved));
+    } catch (error) {
+      console.warn('Failed to save template values:', error);
+    }
+  }
+
+  /**
+   * 保存済みの前回の入力値を読み込み
+   * @returns {Object} テンプレートID → 変数値マップ
+   */
+  loadLastValues() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(LAST_VALUES_KEY));
+      if (saved && typeof saved === 'object') {
+        return saved;
+      }
+    } catch (error) {
+      console.warn('Failed to load template values:', error);
+    }
+
+    return {};
   }
 
   /**
    * 自動変数を追加
    * @param {Object} values - ユーザー入力の変数値
+   * @param {Object|null} project - アクティブプロジェクト (projectName などを自動変数として追加)
    * @returns {Object} 自動変数を含む変数値マップ
    */
-  addAutoVariables(values) {
+  addAutoVariables(values, project = null) {
     const now = new Date();
+    const projectVariables = Object.fromEntries(
+      Object.entries(DEFAULT_VARIABLE_SOURCES)
+        .map(([name, source]) => [name, resolveProjectValue(project, source)])
+        .filter(([name, value]) => value !== null && values[name] === undefined)
+    );
 
     return {
+      ...projectVariables,
       ...values,
       // 自動変数: 日付・時刻
       date: values.date || formatDate(now),
@@ -312,10 +586,8 @@ export class TemplateManager {
 
     // Full-Text Search インデックスに追加
     if (this.indexReady) {
-      this.searchIndex.addDocument(result.id, result, [
-        'name', 'description', 'category', 'tags',
-        'promptTemplate', 'contextTemplate'
-      ]);
+      await this.searchIndex.addDocument(result.id, result, TEMPLATE_INDEX_FIELDS);
+      this.indexStore?.recordUpsert(TEMPLATE_INDEX_NAME, result, TEMPLATE_INDEX_FIELDS);
     }
 
     return result;
@@ -354,17 +626,15 @@ export class TemplateManager {
 
     // Full-Text Search インデックスを更新
     if (this.indexReady) {
-      this.searchIndex.updateDocument(templateId, result, [
-        'name', 'description', 'category', 'tags',
-        'promptTemplate', 'contextTemplate'
-      ]);
+      await this.searchIndex.updateDocument(templateId, result, TEMPLATE_INDEX_FIELDS);
+      this.indexStore?.recordUpsert(TEMPLATE_INDEX_NAME, result, TEMPLATE_INDEX_FIELDS, template);
     }
 
     return result;
   }
 
   /**
-   * テンプレートを削除
+   * テンプレートを削除 (ゴミ箱が設定されていればゴミ箱へ移動)
    * @param {string} templateId - テンプレートID
    * @returns {Promise<boolean>} 削除成功
    */
@@ -379,11 +649,14 @@ export class TemplateManager {
       throw new Error('System templates cannot be deleted');
     }
 
-    const result = await this.storage.delete(templateId);
+    const result = this.trashManager
+      ? Boolean(await this.trashManager.moveToTrash('template', templateId))
+      : await this.storage.delete(templateId);
 
     // Full-Text Search インデックスから削除
     if (this.indexReady) {
-      this.searchIndex.removeDocument(templateId);
+      await this.searchIndex.removeDocument(templateId);
+      this.indexStore?.recordRemove(TEMPLATE_INDEX_NAME, templateId);
     }
 
     return result;
@@ -439,35 +712,62 @@ export class TemplateManager {
   /**
    * テンプレートを検索 (Full-Text Search対応)
    * @param {string} query - 検索クエリ
-   * @param {Object} options - 検索オプション
+   * @param {Object} options - 検索オプション (signal: 入力が進んだ時に古い検索を取り消す AbortSignal)
    * @returns {Promise<Array>} マッチしたテンプレート配列
+   * @throws {Error} signal で取り消された場合 (name: 'AbortError')
    */
   async searchTemplates(query, options = {}) {
     const {
       mode = 'auto', // 'auto' | 'fulltext' | 'simple'
       limit = 100,
       minScore = 0.1,
-      includeScore = false
+      includeScore = false,
+      fuzzy = false, // 表記ゆれ・誤字を許容するあいまい検索
+      signal
     } = options;
 
     if (!query || query.trim() === '') {
       return await this.getAllTemplates();
     }
 
+    // 0. 検索構文 (tag: / category: / phase: / -除外 / "フレーズ" / OR)
+    if ((mode === 'auto' || mode === 'fulltext') && this.indexReady && hasQuerySyntax(query)) {
+      const templates = await this.storage.getAll();
+      const scores = this.searchIndex instanceof InvertedIndex
+        ? await executeQuery(parseQuery(query), {
+          index: this.searchIndex,
+          storage: this.storage,
+          items: templates,
+          fields: TEMPLATE_INDEX_FIELDS
+        })
+        : await this.searchIndex.query(query, { fields: TEMPLATE_INDEX_FIELDS, signal });
+
+      const results = templates
+        .filter(template => scores.has(template.id))
+        .map(template => ({ document: template, score: scores.get(template.id) }))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit);
+
+      return includeScore ? results : results.map(r => r.document);
+    }
+
     // 1. Full-Text Search (転置インデックス) - 最優先
     if ((mode === 'auto' || mode === 'fulltext') && this.indexReady) {
       console.log(`[Full-Text Search] Query: "${query}"`);
-      const results = this.searchIndex.search(query, {
+      const results = await this.searchIndex.search(query, {
         limit,
         minScore,
-        includeScore
+        includeScore: true,
+        fuzzy,
+        signal
       });
+      const resolved = await this.resolveSearchResults(results);
 
       if (includeScore) {
-        return results;
+        return resolved;
       }
 
-      return results.map(r => r.document);
+      return resolved.map(r => r.document);
     }
 
     // 2. IndexedDBManagerの最適化メソッド
@@ -509,7 +809,9 @@ export class TemplateManager {
       return await this.searchTemplates(query, options);
     }
 
-    const results = this.searchIndex.searchOr(query, options);
+    const results = await this.resolveSearchResults(
+      await this.searchIndex.searchOr(query, { ...options, includeScore: true })
+    );
 
     if (options.includeScore) {
       return results;
@@ -534,7 +836,24 @@ export class TemplateManager {
       ).slice(0, limit);
     }
 
-    return this.searchIndex.searchPrefix(prefix, { limit });
+    const documents = await this.searchIndex.searchPrefix(prefix, { limit });
+    const results = await this.resolveSearchResults(documents.map(document => ({ document })));
+    return results.map(r => r.document);
+  }
+
+  /**
+   * 検索結果のドキュメントをストレージ上の最新のテンプレートに置き換える
+   * インデックス内のドキュメントは検索対象のフィールドしか持たず、使用回数・評価などが古い場合がある
+   * @param {Array<Object>} results - [{ document, score }]
+   * @returns {Promise<Array<Object>>} [{ document, score }] (ストレージにないものは除外)
+   */
+  async resolveSearchResults(results) {
+    if (results.length === 0) return results;
+
+    const templates = new Map((await this.storage.getAll()).map(template => [template.id, template]));
+    return results
+      .filter(result => templates.has(result.document.id))
+      .map(result => ({ ...result, document: templates.get(result.document.id) }));
   }
 
   /**
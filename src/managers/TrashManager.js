@@ -0,0 +1,218 @@
+/**
+ * TrashManager - ゴミ箱管理クラス
+ * 削除したアイテムを trash ストアへ退避し、復元・完全削除・自動削除を行う
+ */
+
+/**
+ * 保持設定を保存するLocalStorageキー
+ */
+const TRASH_SETTINGS_KEY = 'cognishelf-trash-settings';
+
+/**
+ * 保持期間の既定値 (日)
+ */
+export const DEFAULT_TRASH_RETENTION_DAYS = 30;
+
+/**
+ * アイテム種別の表示名
+ */
+export const TRASH_ITEM_LABELS = {
+  prompt: 'プロンプト',
+  context: 'コンテキスト',
+  folder: 'フォルダ',
+  template: 'テンプレート'
+};
+
+/**
+ * ゴミ箱管理クラス
+ */
+export class TrashManager {
+  /**
+   * @param {Object} storageManager - trash ストアのストレージマネージャー
+   * @param {Object} stores - 種別ごとのストレージマネージャー { prompt, context, folder, template }
+   */
+  constructor(storageManager, stores) {
+    this.storage = storageManager;
+    this.stores = stores;
+    this.retentionDays = this.loadRetentionDays();
+  }
+
+  /**
+   * 種別に対応するストレージマネージャーを取得
+   * @param {string} itemType - アイテム種別
+   * @returns {Object} ストレージマネージャー
+   * @throws {Error} 未対応の種別の場合
+   */
+  getStore(itemType) {
+    const store = this.stores[itemType];
+    if (!store) {
+      throw new Error(`Unsupported trash item type: ${itemType}`);
+    }
+    return store;
+  }
+
+  /**
+   * アイテムをゴミ箱へ移動
+   * @param {string} itemType - 'prompt' | 'context' | 'folder' | 'template'
+   * @param {string} itemId - アイテムID
+   * @returns {Promise<Object>} ゴミ箱エントリ
+   * @throws {Error} アイテムが存在しない場合
+   */
+  async moveToTrash(itemType, itemId) {
+    const store = this.getStore(itemType);
+    const item = await store.findById(itemId);
+    if (!item) {
+      throw new Error(`Item not found: ${itemId}`);
+    }
+
+    const entry = {
+      itemType,
+      itemId,
+      item,
+      deletedAt: new Date().toISOString(),
+      // フォルダ削除時に所属を外したアイテムID (復元時に戻す)
+      folderMembers: itemType === 'folder' ? await this.detachFolderMembers(item) : []
+    };
+
+    const saved = await this.storage.add(entry);
+    await store.delete(itemId);
+    return saved;
+  }
+
+  /**
+   * フォルダに所属するアイテムのフォルダ指定を外す
+   * @param {Object} folder - フォルダ
+   * @returns {Promise<Array<string>>} 所属を外したアイテムID
+   */
+  async detachFolderMembers(folder) {
+    const store = this.getStore(folder.type);
+    const members = (await store.getAll()).filter(item => item.folder === folder.id);
+
+    for (const member of members) {
+      await store.update(member.id, { folder: null });
+    }
+
+    return members.map(member => member.id);
+  }
+
+  /**
+   * ゴミ箱の中身を取得 (削除日時の新しい順)
+   * @returns {Promise<Array>} ゴミ箱エントリ配列
+   */
+  async getEntries() {
+    const entries = await this.storage.getAll();
+    return entries.sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt));
+  }
+
+  /**
+   * ゴミ箱から復元
+   * @param {string} entryId - ゴミ箱エントリID
+   * @returns {Promise<Object>} 復元したエントリ
+   * @throws {Error} エントリが存在しない場合
+   */
+  async restore(entryId) {
+    const entry = await this.storage.findById(entryId);
+    if (!entry) {
+      throw new Error(`Trash entry not found: ${entryId}`);
+    }
+
+    const store = this.getStore(entry.itemType);
+    await store.put(entry.item);
+
+    // フォルダの場合は、その後別フォルダへ移動していないアイテムを戻す
+    if (entry.itemType === 'folder' && entry.folderMembers.length > 0) {
+      const memberStore = this.getStore(entry.item.type);
+      for (const memberId of entry.folderMembers) {
+        const member = await memberStore.findById(memberId);
+        if (member && !member.folder) {
+          await memberStore.update(memberId, { folder: entry.item.id });
+        }
+      }
+    }
+
+    await this.storage.delete(entryId);
+    return entry;
+  }
+
+  /**
+   * ゴミ箱から完全に削除
+   * @param {string} entryId - ゴミ箱エントリID
+   * @returns {Promise<boolean>} 削除成功
+   */
+  async purge(entryId) {
+    return await this.storage.delete(entryId);
+  }
+
+  /**
+   * ゴミ箱を空にする
+   * @returns {Promise<number>} 削除件数
+   */
+  async emptyTrash() {
+    const entries = await this.storage.getAll();
+    for (const entry of entries) {
+      await this.storage.delete(entry.id);
+    }
+    return entries.length;
+  }
+
+  /**
+   * 保持期間を過ぎたエントリを削除
+   * @returns {Promise<number>} 削除件数
+   */
+  async purgeExpired() {
+    const entries = await this.storage.getAll();
+    const expired = entries.filter(entry => this.getDaysRemaining(entry) <= 0);
+
+    for (const entry of expired) {
+      await this.storage.delete(entry.id);
+    }
+
+    return expired.length;
+  }
+
+  /**
+   * 自動削除までの残り日数
+   * @param {Object} entry - ゴミ箱エントリ
+   * @returns {number} 残り日数 (0以下は期限切れ)
+   */
+  getDaysRemaining(entry) {
+    const elapsed = Date.now() - new Date(entry.deletedAt).getTime();
+    return Math.ceil(this.retentionDays - elapsed / (24 * 60 * 60 * 1000));
+  }
+
+  /**
+   * 保持期間を更新し、期限切れのエントリを削除
+   * @param {number} days - 保持日数
+   * @returns {Promise<number>} 更新後の保持日数
+   * @throws {Error} 日数が不正な場合
+   */
+  async setRetentionDays(days) {
+    const value = Number(days);
+    if (!Number.isInteger(value) || value < 1) {
+      throw new Error(`Invalid retention days: ${days}`);
+    }
+
+    this.retentionDays = value;
+    localStorage.setItem(TRASH_SETTINGS_KEY, JSON.stringify({ retentionDays: value }));
+
+    await this.purgeExpired();
+    return value;
+  }
+
+  /**
+   * 保存済みの保持日数を読み込み
+   * @returns {number} 保持日数
+   */
+  loadRetentionDays() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(TRASH_SETTINGS_KEY));
+      if (saved && Number.isInteger(saved.retentionDays) && saved.retentionDays > 0) {
+        return saved.retentionDays;
+      }
+    } catch (error) {
+      console.warn('Failed to load trash settings:', error);
+    }
+
+    return DEFAULT_TRASH_RETENTION_DAYS;
+  }
+}
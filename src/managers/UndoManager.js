@@ -0,0 +1,189 @@
+/**
+ * UndoManager - 元に戻す / やり直す (セッション単位)
+ * ストレージマネージャーへの変更をコマンド単位で記録し、逆操作で巻き戻す
+ */
+
+/**
+ * 保持するコマンド数の上限
+ */
+const MAX_COMMANDS = 50;
+
+/**
+ * オブジェクトのスナップショットを作成
+ * @param {Object|null} item - アイテム
+ * @returns {Object|null} ディープコピー
+ */
+function snapshot(item) {
+  return item ? JSON.parse(JSON.stringify(item)) : null;
+}
+
+/**
+ * Undo/Redo管理クラス
+ */
+export class UndoManager {
+  constructor() {
+    this.undoStack = [];
+    this.redoStack = [];
+
+    // 実行中のコマンドで記録された変更 (run() の外ではnull)
+    this.currentOperations = null;
+
+    // コマンドの実行待ち (run / undo / redo は重ならないよう1つずつ順に実行する)
+    this.queue = Promise.resolve();
+
+    // 直近の run() で記録されたコマンド (変更がなければnull)
+    this.lastCommand = null;
+
+    // Undo/Redo適用中は変更を記録しない
+    this.isApplying = false;
+  }
+
+  /**
+   * ストレージマネージャーの変更を記録対象にする
+   * @param {Object} manager - IndexedDBManager / StorageManager
+   */
+  track(manager) {
+    manager.commandLog = {
+      capture: (before, after) => this.capture(manager, before, after)
+    };
+  }
+
+  /**
+   * 変更を記録 (ストレージマネージャーから呼ばれる)
+   * @param {Object} manager - 変更されたストレージマネージャー
+   * @param {Object|null} before - 変更前 (追加時はnull)
+   * @param {Object|null} after - 変更後 (削除時はnull)
+   */
+  capture(manager, before, after) {
+    if (!this.currentOperations || this.isApplying) return;
+    if (!before && !after) return;
+
+    this.currentOperations.push({
+      manager,
+      before: snapshot(before),
+      after: snapshot(after)
+    });
+  }
+
+  /**
+   * 処理を実行待ちの末尾に追加
+   * @param {Function} task - 実行する非同期処理
+   * @returns {Promise<*>} task の戻り値
+   */
+  enqueue(task) {
+    const result = this.queue.then(task);
+    // 失敗しても後続のコマンドは実行する
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * 処理を記録せずに実行
+   * 記録対象のストレージへの書き込みをコマンドの外で行う場合に使う。
+   * 実行中のコマンドが終わってから実行するので、その変更としてコマンドに混ざらない
+   * @param {Function} action - 実行する非同期処理
+   * @returns {Promise<*>} action の戻り値
+   */
+  untracked(action) {
+    return this.enqueue(action);
+  }
+
+  /**
+   * 処理を1つのコマンドとして実行し、その間の変更を記録
+   * 実行中のコマンドがあれば終わるまで待つため、並行した操作が1つのコマンドに混ざらない
+   * (action の中から run / undo / redo を呼ぶと、自身の完了を待ち続けるので呼ばないこと)
+   * @param {string} label - 操作名 (トースト表示用)
+   * @param {Function} action - 実行する非同期処理
+   * @returns {Promise<*>} action の戻り値
+   */
+  run(label, action) {
+    return this.enqueue(() => this.execute(label, action));
+  }
+
+  /**
+   * コマンドを実行し、記録された変更を Undo スタックに積む
+   * @param {string} label - 操作名
+   * @param {Function} action - 実行する非同期処理
+   * @returns {Promise<*>} action の戻り値
+   */
+  async execute(label, action) {
+    this.currentOperations = [];
+    try {
+      return await action();
+    } finally {
+      const operations = this.currentOperations;
+      this.currentOperations = null;
+
+      // 途中で失敗した場合も、実際に行われた変更は戻せるよう記録する
+      this.lastCommand = null;
+      if (operations.length > 0) {
+        this.lastCommand = { label, operations };
+        this.undoStack.push(this.lastCommand);
+        if (this.undoStack.length > MAX_COMMANDS) {
+          this.undoStack.shift();
+        }
+        this.redoStack = [];
+      }
+    }
+  }
+
+  /**
+   * 直前のコマンドを元に戻す
+   * @returns {Promise<Object|null>} 戻したコマンド (なければnull)
+   */
+  undo() {
+    return this.enqueue(async () => {
+      const command = this.undoStack.pop();
+      if (!command) return null;
+
+      await this.apply([...command.operations].reverse(), 'before');
+      this.redoStack.push(command);
+      return command;
+    });
+  }
+
+  /**
+   * 元に戻したコマンドをやり直す
+   * @returns {Promise<Object|null>} やり直したコマンド (なければnull)
+   */
+  redo() {
+    return this.enqueue(async () => {
+      const command = this.redoStack.pop();
+      if (!command) return null;
+
+      await this.apply(command.operations, 'after');
+      this.undoStack.push(command);
+      return command;
+    });
+  }
+
+  /**
+   * 変更を指定した側の状態に揃える
+   * @param {Array} operations - 変更の配列
+   * @param {string} side - 'before' | 'after'
+   */
+  async apply(operations, side) {
+    this.isApplying = true;
+    try {
+      for (const operation of operations) {
+        const state = operation[side];
+        if (state) {
+          await operation.manager.put(snapshot(state));
+        } else {
+          const id = (operation.before || operation.after).id;
+          await operation.manager.delete(id);
+        }
+      }
+    } finally {
+      this.isApplying = false;
+    }
+  }
+
+  /**
+   * 次に元に戻されるコマンド
+   * @returns {Object|null}
+   */
+  peekUndo() {
+    return this.undoStack[this.undoStack.length - 1] || null;
+  }
+}
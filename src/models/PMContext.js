@@ -85,6 +85,63 @@ export function createNewVersion(context, newContent) {
   return newVersion;
 }
 
+/**
+ * バージョンチェーンの最新版のみを抽出
+ * 他のコンテキストから previousVersionId で参照されているものは旧版として除外する
+ * @param {Array<Object>} contexts - コンテキスト配列
+ * @returns {Array<Object>} 最新版コンテキスト配列
+ */
+export function getLatestVersions(contexts) {
+  const supersededIds = new Set();
+
+  for (const context of contexts) {
+    const previousId = context.pmConfig?.previousVersionId;
+    if (previousId) {
+      supersededIds.add(previousId);
+    }
+  }
+
+  return contexts.filter(context => !supersededIds.has(context.id));
+}
+
+/**
+ * コンテキストが属するバージョンチェーンを取得
+ * @param {Array<Object>} contexts - コンテキスト配列
+ * @param {string} contextId - チェーン内の任意のコンテキストID
+ * @returns {Array<Object>} 新しい順に並んだバージョン配列 (先頭が最新版)
+ */
+export function getVersionChain(contexts, contextId) {
+  const byId = new Map(contexts.map(context => [context.id, context]));
+  const nextById = new Map();
+
+  for (const context of contexts) {
+    const previousId = context.pmConfig?.previousVersionId;
+    if (previousId && !nextById.has(previousId)) {
+      nextById.set(previousId, context.id);
+    }
+  }
+
+  // 最新版まで辿る
+  let headId = contextId;
+  const visited = new Set([headId]);
+  while (nextById.has(headId) && !visited.has(nextById.get(headId))) {
+    headId = nextById.get(headId);
+    visited.add(headId);
+  }
+
+  // 最新版から previousVersionId を遡る (循環参照ガード付き)
+  const chain = [];
+  const seen = new Set();
+  let current = byId.get(headId);
+  while (current && !seen.has(current.id)) {
+    chain.push(current);
+    seen.add(current.id);
+    current = byId.get(current.pmConfig?.previousVersionId);
+  }
+
+  return chain;
+}
+
 /**
  * PM設定をフォームデータから生成
  * @param {FormData} formData - フォームデータ
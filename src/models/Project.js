@@ -2,6 +2,41 @@
  * プロジェクトデータモデル
  */
 
+/**
+ * プロジェクトステータス定義
+ */
+export const PROJECT_STATUSES = {
+  planning: "計画中",
+  active: "進行中",
+  "on-hold": "保留",
+  completed: "完了",
+  archived: "アーカイブ"
+};
+
+/**
+ * プロジェクト優先度定義
+ */
+export const PROJECT_PRIORITIES = {
+  high: "高",
+  medium: "中",
+  low: "低"
+};
+
+/**
+ * フェーズ定義の既定値 (settings.phases がないプロジェクトにも適用)
+ */
+export const DEFAULT_PHASES = ["企画", "要件定義", "設計", "開発", "テスト", "リリース"];
+
+/**
+ * プロジェクトのフェーズ定義を取得
+ * settings のない古いプロジェクト・インポートしたプロジェクトは既定のフェーズを使う
+ * @param {Object} project - プロジェクト
+ * @returns {Array<string>} フェーズ一覧
+ */
+export function getProjectPhases(project) {
+  return project.settings?.phases ?? DEFAULT_PHASES;
+}
+
 /**
  * プロジェクトオブジェクトを生成
  * @param {Object} data - プロジェクトデータ
@@ -9,6 +44,7 @@
  */
 export function createProject(data = {}) {
   const now = new Date().toISOString();
+  const currentPhase = data.currentPhase || "企画";
 
   return {
     id: data.id || `project-${Date.now()}-${Math.random().toString(36).substring(2, 15)}`,
@@ -20,7 +56,15 @@ export function createProject(data = {}) {
     endDate: data.endDate || null,
 
     // 現在のフェーズ
-    currentPhase: data.currentPhase || "企画",
+    currentPhase,
+
+    // フェーズ遷移履歴
+    phaseHistory: data.phaseHistory || [{ phase: currentPhase, enteredAt: now }],
+    // 例: [{ phase: "企画", enteredAt: "2025-04-01T00:00:00.000Z" }]
+
+    // ステータス・優先度
+    status: data.status || "active",
+    priority: data.priority || "medium",
 
     // チームメンバー
     team: data.team || [],
@@ -29,7 +73,7 @@ export function createProject(data = {}) {
     // プロジェクト設定
     settings: data.settings || {
       defaultPriority: "中",
-      phases: ["企画", "要件定義", "設計", "開発", "テスト", "リリース"]
+      phases: [...DEFAULT_PHASES]
     },
 
     createdAt: data.createdAt || now,
@@ -57,17 +101,63 @@ export function addTeamMember(project, name, role, email = "") {
  * @returns {Object} 更新されたプロジェクト
  */
 export function advancePhase(project) {
-  const phases = project.settings.phases;
+  const phases = getProjectPhases(project);
   const currentIndex = phases.indexOf(project.currentPhase);
 
   if (currentIndex >= 0 && currentIndex < phases.length - 1) {
-    project.currentPhase = phases[currentIndex + 1];
-    project.updatedAt = new Date().toISOString();
+    return setPhase(project, phases[currentIndex + 1]);
+  }
+
+  return project;
+}
+
+/**
+ * 指定フェーズへ移行し、移行日を履歴に記録
+ * @param {Object} project - プロジェクト
+ * @param {string} phase - 移行先フェーズ
+ * @returns {Object} 更新されたプロジェクト
+ * @throws {RangeError} phaseがプロジェクトのフェーズ定義に含まれない場合
+ */
+export function setPhase(project, phase) {
+  if (!getProjectPhases(project).includes(phase)) {
+    throw new RangeError(`Unknown phase: ${phase}`);
+  }
+
+  if (project.currentPhase === phase) {
+    return project;
   }
 
+  const now = new Date().toISOString();
+
+  if (!Array.isArray(project.phaseHistory)) {
+    project.phaseHistory = [];
+  }
+
+  project.currentPhase = phase;
+  project.phaseHistory.push({ phase, enteredAt: now });
+  project.updatedAt = now;
+
   return project;
 }
 
+/**
+ * フェーズに最後に移行した日時を取得
+ * @param {Object} project - プロジェクト
+ * @param {string} phase - フェーズ
+ * @returns {string|null} 移行日時 (ISO 8601)、未到達の場合はnull
+ */
+export function getPhaseEnteredAt(project, phase) {
+  const history = Array.isArray(project.phaseHistory) ? project.phaseHistory : [];
+
+  for (let i = history.length - 1; i >= 0; i--) {
+    if (history[i].phase === phase) {
+      return history[i].enteredAt;
+    }
+  }
+
+  return null;
+}
+
 /**
  * プロジェクトをフォームデータから生成
  * @param {FormData} formData - フォームデータ
@@ -81,6 +171,8 @@ export function projectFromFormData(formData) {
   project.startDate = formData.get('project-start-date') || new Date().toISOString();
   project.endDate = formData.get('project-end-date') || null;
   project.currentPhase = formData.get('project-phase') || "企画";
+  project.status = formData.get('project-status') || "active";
+  project.priority = formData.get('project-priority') || "medium";
 
   // チームメンバー (カンマ区切りテキストから配列へ)
   const teamText = formData.get('project-team') || "";
@@ -97,6 +189,45 @@ export function projectFromFormData(formData) {
   return project;
 }
 
+/**
+ * プロジェクトをバリデーション
+ * @param {Object} project - プロジェクト
+ * @returns {Object} { valid: boolean, errors: Array<string> }
+ * @throws {TypeError} projectがオブジェクトでない場合
+ */
+export function validateProject(project) {
+  const errors = [];
+
+  if (!project || typeof project !== 'object') {
+    throw new TypeError('Project must be a valid object');
+  }
+
+  if (!project.name || project.name.trim() === "") {
+    errors.push("プロジェクト名は必須です");
+  }
+
+  if (project.status && !PROJECT_STATUSES[project.status]) {
+    errors.push(`不正なステータスです: ${project.status}`);
+  }
+
+  if (project.priority && !PROJECT_PRIORITIES[project.priority]) {
+    errors.push(`不正な優先度です: ${project.priority}`);
+  }
+
+  if (project.startDate && project.endDate && new Date(project.endDate) < new Date(project.startDate)) {
+    errors.push("終了日は開始日以降である必要があります");
+  }
+
+  if (!Array.isArray(project.team)) {
+    errors.push("チームメンバーは配列である必要があります");
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+}
+
 /**
  * デフォルトプロジェクトを生成
  * @returns {Object} デフォルトプロジェクト
@@ -109,3 +240,89 @@ export function createDefaultProject() {
     team: []
   });
 }
+
+/**
+ * テンプレート変数の参照元 (変数定義の source) と表示名
+ * "project.team.role:PM" のように役割を指定すると、その役割のメンバーの名前を参照する
+ */
+export const PROJECT_VARIABLE_SOURCES = {
+  "project.name": "プロジェクト名",
+  "project.description": "プロジェクトの説明",
+  "project.currentPhase": "現在のフェーズ",
+  "project.phases": "フェーズ一覧",
+  "project.startDate": "開始日",
+  "project.endDate": "終了予定日",
+  "project.status": "ステータス",
+  "project.priority": "優先度",
+  "project.team": "チームメンバー (名前(役割))",
+  "project.team.names": "チームメンバーの名前"
+};
+
+/**
+ * 役割を指定してメンバーを参照する source の接頭辞
+ */
+export const TEAM_ROLE_SOURCE_PREFIX = "project.team.role:";
+
+/**
+ * source 未指定の変数に適用する参照元 (変数名 → source)
+ */
+export const DEFAULT_VARIABLE_SOURCES = {
+  projectName: "project.name",
+  currentPhase: "project.currentPhase",
+  startDate: "project.startDate",
+  endDate: "project.endDate"
+};
+
+/**
+ * テンプレート変数の参照元として有効か
+ * @param {string} source - 参照元 (例: "project.team")
+ * @returns {boolean}
+ */
+export function isValidVariableSource(source) {
+  if (source in PROJECT_VARIABLE_SOURCES) return true;
+  return source.startsWith(TEAM_ROLE_SOURCE_PREFIX) && source.slice(TEAM_ROLE_SOURCE_PREFIX.length).trim() !== "";
+}
+
+/**
+ * プロジェクトから参照元の値を取得
+ * @param {Object} project - プロジェクト
+ * @param {string} source - 参照元 (PROJECT_VARIABLE_SOURCES のキー、または "project.team.role:役割")
+ * @returns {string|Array<string>|null} 値 (チーム・フェーズは配列 / 未設定・不明な参照元はnull)
+ */
+export function resolveProjectValue(project, source) {
+  if (!project || !source) return null;
+
+  const team = Array.isArray(project.team) ? project.team : [];
+  const toDate = value => (value ? value.split("T")[0] : null);
+  const nonEmpty = list => (list.length > 0 ? list : null);
+
+  if (source.startsWith(TEAM_ROLE_SOURCE_PREFIX)) {
+    const role = source.slice(TEAM_ROLE_SOURCE_PREFIX.length).trim();
+    return nonEmpty(team.filter(member => member.role === role).map(member => member.name));
+  }
+
+  switch (source) {
+    case "project.name":
+      return project.name || null;
+    case "project.description":
+      return project.description || null;
+    case "project.currentPhase":
+      return project.currentPhase || null;
+    case "project.phases":
+      return nonEmpty(getProjectPhases(project));
+    case "project.startDate":
+      return toDate(project.startDate);
+    case "project.endDate":
+      return toDate(project.endDate);
+    case "project.status":
+      return PROJECT_STATUSES[project.status] || project.status || null;
+    case "project.priority":
+      return PROJECT_PRIORITIES[project.priority] || project.priority || null;
+    case "project.team":
+      return nonEmpty(team.map(member => (member.role ? `${member.name}(${member.role})` : member.name)));
+    case "project.team.names":
+      return nonEmpty(team.map(member => member.name));
+    default:
+      return null;
+  }
+}
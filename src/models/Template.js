@@ -3,6 +3,10 @@
  * Phase 2: テンプレートライブラリ
  */
 
+import { parseTemplate, collectVariableNames, TemplateSyntaxError } from '../utils/templateEngine.js';
+import { formatDate, parseDateInput } from '../utils/dateUtils.js';
+import { isValidVariableSource } from './Project.js';
+
 /**
  * テンプレートカテゴリ定義
  */
@@ -24,6 +28,22 @@ export const VARIABLE_TYPES = {
   SELECT: 'select'
 };
 
+/**
+ * 変数型の表示名
+ */
+export const VARIABLE_TYPE_LABELS = {
+  [VARIABLE_TYPES.TEXT]: 'テキスト',
+  [VARIABLE_TYPES.TEXTAREA]: '複数行テキスト',
+  [VARIABLE_TYPES.DATE]: '日付',
+  [VARIABLE_TYPES.DATETIME]: '日時',
+  [VARIABLE_TYPES.SELECT]: '選択肢'
+};
+
+/**
+ * 適用時に自動で値が入る変数名 (TemplateManager.addAutoVariables)
+ */
+export const AUTO_VARIABLE_NAMES = ['date', 'time', 'datetime', 'year', 'month', 'day'];
+
 /**
  * テンプレートのデフォルト構造を生成
  * @returns {Object} デフォルトのテンプレート構造
@@ -42,9 +62,14 @@ export function createDefaultTemplate() {
     // コンテキストテンプレート(オプション)
     contextTemplate: "",
 
+    // 対象フェーズ (空の場合はフェーズ共通)
+    phases: [],
+    // 例: ["テスト", "リリース"]
+
     // 変数定義
     variables: [],
-    // 例: [{ name: "projectName", label: "プロジェクト名", type: "text", defaultValue: "", required: true }]
+    // 例: [{ name: "projectName", label: "プロジェクト名", type: "text", defaultValue: "", required: true, source: "project.name" }]
+    // source を指定すると、アクティブプロジェクトの値を自動入力する (Project.js の PROJECT_VARIABLE_SOURCES)
 
     // 統計情報
     usageCount: 0,
@@ -53,6 +78,7 @@ export function createDefaultTemplate() {
     // メタデータ
     author: "system", // system | custom
     isCustom: false,
+    systemKey: null, // 同梱のシステムテンプレートの識別子 (名前を変えても同じテンプレートとして更新する)
     createdAt: null,
     updatedAt: null
   };
@@ -74,7 +100,8 @@ export function createVariable(name, label, type = VARIABLE_TYPES.TEXT, options
     defaultValue: options.defaultValue || "",
     required: options.required !== undefined ? options.required : true,
     placeholder: options.placeholder || "",
-    options: options.selectOptions || [] // select型の場合の選択肢
+    options: options.selectOptions || [], // select型の場合の選択肢
+    source: options.source || "" // 自動入力の参照元 (例: "project.team")
   };
 }
 
@@ -150,20 +177,28 @@ export function updateTemplateRating(template, rating) {
 }
 
 /**
- * テンプレートから変数を抽出
+ * テンプレートから変数を抽出 ({{#if}} {{#each}} の対象変数を含む)
  * @param {string} templateText - テンプレートテキスト
  * @returns {Array<string>} 変数名の配列
+ * @throws {TemplateSyntaxError} 構文エラーの場合
  */
 export function extractVariables(templateText) {
-  const regex = /\{\{(\w+)\}\}/g;
-  const variables = new Set();
-  let match;
+  return collectVariableNames(parseTemplate(templateText));
+}
 
-  while ((match = regex.exec(templateText)) !== null) {
-    variables.add(match[1]);
+/**
+ * テンプレートテキストの構文エラーを取得
+ * @param {string} templateText - テンプレートテキスト
+ * @returns {TemplateSyntaxError|null} 構文エラー (なければnull)
+ */
+export function findTemplateSyntaxError(templateText) {
+  try {
+    parseTemplate(templateText);
+    return null;
+  } catch (error) {
+    if (error instanceof TemplateSyntaxError) return error;
+    throw error;
   }
-
-  return Array.from(variables);
 }
 
 /**
@@ -198,6 +233,38 @@ export function validateTemplate(template) {
     return { valid: false, errors };
   }
 
+  // 自動入力の参照元のチェック
+  const invalidSources = template.variables
+    .filter(v => v.source && !isValidVariableSource(v.source))
+    .map(v => `${v.name} (${v.source})`);
+  if (invalidSources.length > 0) {
+    errors.push(`不明な参照元が指定されています: ${invalidSources.join(', ')}`);
+  }
+
+  // select型の選択肢のチェック
+  const missingOptions = template.variables
+    .filter(v => v.type === VARIABLE_TYPES.SELECT && (!Array.isArray(v.options) || v.options.length === 0))
+    .map(v => v.name);
+  if (missingOptions.length > 0) {
+    errors.push(`選択肢が指定されていません: ${missingOptions.join(', ')}`);
+  }
+
+  // 構文チェック (ブロックの対応・タグの閉じ忘れなど)
+  const syntaxErrors = [
+    ['プロンプトテンプレート', template.promptTemplate],
+    ['コンテキストテンプレート', template.contextTemplate]
+  ]
+    .map(([label, text]) => [label, text ? findTemplateSyntaxError(text) : null])
+    .filter(([, error]) => error);
+
+  syntaxErrors.forEach(([label, error]) => {
+    errors.push(`${label}の構文エラー (${error.line}行${error.column}列): ${error.message}`);
+  });
+
+  if (syntaxErrors.length > 0) {
+    return { valid: false, errors };
+  }
+
   // 変数定義とテンプレート内の変数の整合性チェック
   try {
     const extractedVars = extractVariables(template.promptTemplate);
@@ -217,6 +284,64 @@ export function validateTemplate(template) {
   };
 }
 
+/**
+ * 入力値が変数型に合っているかを検証
+ * @param {Object} variable - 変数メタデータ
+ * @param {string} value - 入力値 (空でないもの)
+ * @returns {string|null} エラーメッセージ (問題なければnull)
+ */
+function validateVariableType(variable, value) {
+  switch (variable.type) {
+    case VARIABLE_TYPES.DATE: {
+      // 2026-02-31 のような存在しない日付も不正とする
+      const date = /^\d{4}-\d{2}-\d{2}$/.test(value) ? parseDateInput(value) : null;
+      return date && formatDate(date) === value ? null : '日付を YYYY-MM-DD 形式で入力してください';
+    }
+    case VARIABLE_TYPES.DATETIME: {
+      const match = value.match(/^(\d{4}-\d{2}-\d{2})T\d{2}:\d{2}(:\d{2})?$/);
+      const date = match ? parseDateInput(value) : null;
+      return date && formatDate(date) === match[1] ? null : '日時を YYYY-MM-DDTHH:MM 形式で入力してください';
+    }
+    case VARIABLE_TYPES.SELECT: {
+      const options = Array.isArray(variable.options) ? variable.options : [];
+      return options.length === 0 || options.includes(value) ? null : '選択肢から選んでください';
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * テンプレート適用時の変数値をバリデーション
+ * @param {Array<Object>} variables - 変数定義
+ * @param {Object} values - 変数名と値のマップ
+ * @returns {Object} { valid: boolean, errors: Object } errors は変数名 → エラーメッセージ
+ */
+export function validateVariableValues(variables, values) {
+  const errors = {};
+
+  for (const variable of variables || []) {
+    const value = String(values[variable.name] ?? '').trim();
+
+    if (!value) {
+      if (variable.required) {
+        errors[variable.name] = `${variable.label || variable.name}は必須です`;
+      }
+      continue;
+    }
+
+    const typeError = validateVariableType(variable, value);
+    if (typeError) {
+      errors[variable.name] = typeError;
+    }
+  }
+
+  return {
+    valid: Object.keys(errors).length === 0,
+    errors
+  };
+}
+
 /**
  * JSONからテンプレートをインポート
  * @param {Object} json - JSONオブジェクト
@@ -229,6 +354,7 @@ export function templateFromJSON(json) {
     id: `template-${Date.now()}-${Math.random().toString(36).substring(2, 15)}`,
     isCustom: true,
     author: "custom",
+    systemKey: null,
     createdAt: new Date().toISOString(),
     updatedAt: new Date().toISOString()
   });
@@ -3,14 +3,80 @@
  * Full-Text Search用の高速検索データ構造
  */
 
-import { extractTokens, tokenize, calculateMatchScore } from './tokenizer.js';
+import { extractFieldTokenCounts, tokenizeQuery, normalizeText, editDistance, getSynonyms } from './tokenizer.js';
+
+/**
+ * フィールドごとの重み (BM25F)
+ * タイトル・名前 > タグ > 本文 の順に一致を重視する
+ */
+export const DEFAULT_FIELD_BOOSTS = {
+  title: 3,
+  name: 3,
+  tags: 2,
+  category: 1.5,
+  description: 1.2,
+  content: 1,
+  promptTemplate: 1,
+  contextTemplate: 1
+};
+
+/**
+ * BM25パラメータ
+ * k1: 出現回数の飽和の強さ, b: フィールド長による正規化の強さ
+ */
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+/**
+ * あいまい検索で日本語の語に一致とみなす Bi-gram の割合の既定値
+ */
+const DEFAULT_NGRAM_THRESHOLD = 0.5;
+
+/**
+ * 2つのスコアマップの積集合 (スコアは合算)
+ * @param {Map<string, number>} a - ドキュメントID → スコア
+ * @param {Map<string, number>} b - ドキュメントID → スコア
+ * @returns {Map<string, number>} 両方に含まれるドキュメント
+ */
+function intersectScores(a, b) {
+  return new Map([...a].filter(([id]) => b.has(id)).map(([id, score]) => [id, score + b.get(id)]));
+}
+
+/**
+ * クエリの語ごとに、語自身と同義語のトークンを列挙
+ * 複数語からなる同義語 (例: "ミーティング ノート") はクエリ全体で照合する
+ * @param {string} query - 検索クエリ
+ * @returns {Array<Array<Array<string>>>|null} 語 → 候補 → トークン (同義語がなければnull)
+ */
+function getSynonymAlternatives(query) {
+  const normalized = normalizeText(query);
+  const toAlternatives = (word) => [word, ...getSynonyms(word)]
+    .map(term => tokenizeQuery(term))
+    .filter(tokens => tokens.length > 0);
+
+  if (getSynonyms(normalized).length > 0) {
+    return [toAlternatives(normalized)];
+  }
+
+  const words = normalized.split(' ');
+  if (!words.some(word => getSynonyms(word).length > 0)) {
+    return null;
+  }
+
+  return words.map(toAlternatives).filter(alternatives => alternatives.length > 0);
+}
 
 /**
  * 転置インデックスクラス
  */
 export class InvertedIndex {
-  constructor() {
-    // トークン → ドキュメントIDセット
+  /**
+   * @param {Object} options - { fieldBoosts: フィールドごとの重み (未指定は1) }
+   */
+  constructor(options = {}) {
+    this.fieldBoosts = { ...DEFAULT_FIELD_BOOSTS, ...(options.fieldBoosts || {}) };
+
+    // トークン → (ドキュメントID → { フィールド: 出現回数 })
     this.index = new Map();
 
     // ドキュメントID → ドキュメント
@@ -19,12 +85,23 @@ export class InvertedIndex {
     // ドキュメントID → トークンセット
     this.documentTokens = new Map();
 
+    // ドキュメントID → { フィールド: トークン数 }
+    this.fieldLengths = new Map();
+
+    // フィールド → 全ドキュメントのトークン数合計 (平均フィールド長の計算用)
+    this.fieldLengthTotals = new Map();
+
+    // ドキュメントID → TF-IDF ベクトルのノルム (findSimilar 用のキャッシュ)
+    // ドキュメント数が変わるとIDFが変わるため、追加・削除のたびにクリアする
+    this.vectorNorms = new Map();
+
     // 統計情報
     this.stats = {
       totalDocuments: 0,
       totalTokens: 0,
       averageTokensPerDocument: 0
     };
+    this.totalDocumentTokens = 0;
   }
 
   /**
@@ -39,21 +116,37 @@ export class InvertedIndex {
       this.removeDocument(docId);
     }
 
-    // トークン抽出
-    const tokens = extractTokens(document, fields);
+    // フィールドごとのトークン出現回数を抽出
+    const fieldCounts = extractFieldTokenCounts(document, fields);
 
-    // ドキュメント保存
-    this.documents.set(docId, document);
-    this.documentTokens.set(docId, new Set(tokens));
+    const tokens = new Set();
+    const lengths = {};
 
     // 転置インデックス構築
-    for (const token of tokens) {
-      if (!this.index.has(token)) {
-        this.index.set(token, new Set());
+    for (const [field, { counts, length }] of Object.entries(fieldCounts)) {
+      lengths[field] = length;
+      this.fieldLengthTotals.set(field, (this.fieldLengthTotals.get(field) || 0) + length);
+
+      for (const [token, count] of counts) {
+        tokens.add(token);
+        if (!this.index.has(token)) {
+          this.index.set(token, new Map());
+        }
+        const postings = this.index.get(token);
+        if (!postings.has(docId)) {
+          postings.set(docId, {});
+        }
+        postings.get(docId)[field] = count;
       }
-      this.index.get(token).add(docId);
     }
 
+    // ドキュメント保存
+    this.documents.set(docId, document);
+    this.documentTokens.set(docId, tokens);
+    this.fieldLengths.set(docId, lengths);
+    this.totalDocumentTokens += tokens.size;
+    this.vectorNorms.clear();
+
     // 統計更新
     this.updateStats();
   }
@@ -68,18 +161,32 @@ export class InvertedIndex {
 
     // 転置インデックスから削除
     for (const token of tokens) {
-      const docSet = this.index.get(token);
-      if (docSet) {
-        docSet.delete(docId);
-        if (docSet.size === 0) {
+      const postings = this.index.get(token);
+      if (postings) {
+        postings.delete(docId);
+        if (postings.size === 0) {
           this.index.delete(token);
         }
       }
     }
 
+    // フィールド長の合計から除外
+    const lengths = this.fieldLengths.get(docId) || {};
+    for (const [field, length] of Object.entries(lengths)) {
+      const total = (this.fieldLengthTotals.get(field) || 0) - length;
+      if (total > 0) {
+        this.fieldLengthTotals.set(field, total);
+      } else {
+        this.fieldLengthTotals.delete(field);
+      }
+    }
+
     // ドキュメント削除
     this.documents.delete(docId);
     this.documentTokens.delete(docId);
+    this.fieldLengths.delete(docId);
+    this.totalDocumentTokens -= tokens.size;
+    this.vectorNorms.clear();
 
     // 統計更新
     this.updateStats();
@@ -117,9 +224,54 @@ export class InvertedIndex {
     this.index.clear();
     this.documents.clear();
     this.documentTokens.clear();
+    this.fieldLengths.clear();
+    this.fieldLengthTotals.clear();
+    this.vectorNorms.clear();
+    this.totalDocumentTokens = 0;
     this.updateStats();
   }
 
+  /**
+   * トークンの逆文書頻度 (BM25のIDF, 常に正の値)
+   * @param {string} token - トークン
+   * @returns {number} IDF
+   */
+  getIdf(token) {
+    const postings = this.index.get(token);
+    const df = postings ? postings.size : 0;
+    const n = this.documents.size;
+    return Math.log(1 + (n - df + 0.5) / (df + 0.5));
+  }
+
+  /**
+   * ドキュメントのBM25Fスコアを計算
+   * フィールドごとの出現回数をフィールド長で正規化・重み付けしてから飽和させる
+   * @param {string} docId - ドキュメントID
+   * @param {Array<string>} queryTokens - クエリトークン
+   * @returns {number} スコア
+   */
+  scoreDocument(docId, queryTokens) {
+    const lengths = this.fieldLengths.get(docId) || {};
+    const totalDocuments = this.documents.size || 1;
+    let score = 0;
+
+    for (const token of queryTokens) {
+      const fieldCounts = this.index.get(token)?.get(docId);
+      if (!fieldCounts) continue;
+
+      let weightedTf = 0;
+      for (const [field, count] of Object.entries(fieldCounts)) {
+        const averageLength = (this.fieldLengthTotals.get(field) || 0) / totalDocuments || 1;
+        const normalization = 1 - BM25_B + BM25_B * ((lengths[field] || 0) / averageLength);
+        weightedTf += (this.fieldBoosts[field] ?? 1) * count / normalization;
+      }
+
+      score += this.getIdf(token) * (weightedTf * (BM25_K1 + 1)) / (weightedTf + BM25_K1);
+    }
+
+    return score;
+  }
+
   /**
    * クエリで検索 (AND検索)
    * @param {string} query - 検索クエリ
@@ -131,42 +283,26 @@ export class InvertedIndex {
       limit = 100,
       minScore = 0.1,
       sortBy = 'score', // 'score' | 'relevance'
-      includeScore = true
+      includeScore = true,
+      fuzzy = false
     } = options;
 
+    if (fuzzy) {
+      return this.searchFuzzy(query, options);
+    }
+
     // クエリトークン化
-    const queryTokens = tokenize(query);
+    const queryTokens = tokenizeQuery(query);
 
     if (queryTokens.length === 0) {
       return [];
     }
 
-    // トークンごとにドキュメントIDを取得 (AND検索)
-    const docIdSets = queryTokens.map(token => this.index.get(token) || new Set());
-
-    // 積集合を計算 (全トークンを含むドキュメント)
-    let matchingDocIds = docIdSets[0];
-    for (let i = 1; i < docIdSets.length; i++) {
-      matchingDocIds = new Set([...matchingDocIds].filter(id => docIdSets[i].has(id)));
-    }
-
-    // スコア計算
-    const results = [];
-    for (const docId of matchingDocIds) {
-      const document = this.documents.get(docId);
-      if (!document) continue;
-
-      const docTokens = Array.from(this.documentTokens.get(docId) || []);
-      const score = calculateMatchScore(queryTokens, docTokens);
-
-      if (score >= minScore) {
-        results.push({
-          document,
-          score,
-          matchedTokens: queryTokens.filter(token => docTokens.includes(token))
-        });
-      }
-    }
+    // 同義語がある語は「語自身またはいずれかの同義語を含む」として扱う
+    const alternatives = getSynonymAlternatives(query);
+    const results = alternatives
+      ? this.scoreAlternatives(alternatives, minScore)
+      : this.scoreDocuments(this.findDocumentsWithAll(queryTokens), queryTokens, minScore);
 
     // ソート
     if (sortBy === 'score') {
@@ -197,39 +333,69 @@ export class InvertedIndex {
       includeScore = true
     } = options;
 
-    const queryTokens = tokenize(query);
+    // 同義語のトークンも検索対象に加える
+    const synonyms = (getSynonymAlternatives(query) || []).flat(2);
+    const queryTokens = Array.from(new Set([...tokenizeQuery(query), ...synonyms]));
     if (queryTokens.length === 0) return [];
 
     // トークンごとにドキュメントIDを取得
     const allDocIds = new Set();
     for (const token of queryTokens) {
-      const docIds = this.index.get(token);
-      if (docIds) {
-        docIds.forEach(id => allDocIds.add(id));
+      const postings = this.index.get(token);
+      if (postings) {
+        postings.forEach((fieldCounts, id) => allDocIds.add(id));
       }
     }
 
-    // スコア計算
-    const results = [];
-    for (const docId of allDocIds) {
-      const document = this.documents.get(docId);
-      if (!document) continue;
+    const results = this.scoreDocuments(allDocIds, queryTokens, minScore);
 
-      const docTokens = Array.from(this.documentTokens.get(docId) || []);
-      const score = calculateMatchScore(queryTokens, docTokens);
+    // スコア順ソート
+    results.sort((a, b) => b.score - a.score);
 
-      if (score >= minScore) {
-        results.push({
-          document,
-          score,
-          matchedTokens: queryTokens.filter(token => docTokens.includes(token))
-        });
-      }
+    const limitedResults = results.slice(0, limit);
+
+    if (!includeScore) {
+      return limitedResults.map(r => r.document);
     }
 
-    // スコア順ソート
-    results.sort((a, b) => b.score - a.score);
+    return limitedResults;
+  }
+
+  /**
+   * あいまい検索 (語ごとのAND検索)
+   * 英数字の語は編集距離の近いトークンにも一致し、
+   * 日本語の語は Bi-gram の一定割合が含まれていれば一致とみなす
+   * @param {string} query - 検索クエリ
+   * @param {Object} options - 検索オプション ({ maxEdits, ngramThreshold } を追加で指定可能)
+   * @returns {Array<Object>} マッチしたドキュメント配列 (スコア順)
+   */
+  searchFuzzy(query, options = {}) {
+    const {
+      limit = 100,
+      minScore = 0.1,
+      includeScore = true,
+      maxEdits = null,
+      ngramThreshold = DEFAULT_NGRAM_THRESHOLD
+    } = options;
+
+    const words = normalizeText(query).split(' ')
+      .map(word => ({ word, tokens: tokenizeQuery(word) }))
+      .filter(({ tokens }) => tokens.length > 0);
+    if (words.length === 0) return [];
+
+    let scores = null;
+    for (const { word, tokens } of words) {
+      const wordScores = /^[a-z0-9]+$/.test(word)
+        ? this.scoreFuzzyLatin(word, maxEdits)
+        : this.scoreFuzzyNgrams(tokens, ngramThreshold);
+
+      // 語ごとのAND (スコアは合算)
+      scores = scores ? intersectScores(scores, wordScores) : wordScores;
+    }
+
+    const results = this.buildResults(scores, words.flatMap(({ tokens }) => tokens), minScore);
 
+    results.sort((a, b) => b.score - a.score);
     const limitedResults = results.slice(0, limit);
 
     if (!includeScore) {
@@ -239,6 +405,149 @@ export class InvertedIndex {
     return limitedResults;
   }
 
+  /**
+   * 英数字の語に編集距離の近いトークンで一致するドキュメントのスコア
+   * @param {string} word - 検索語 (正規化済み)
+   * @param {number|null} maxEdits - 許容する編集距離 (nullの場合は語の長さから決定)
+   * @returns {Map<string, number>} ドキュメントID → スコア
+   */
+  scoreFuzzyLatin(word, maxEdits) {
+    // 短い語ほど誤一致しやすいため許容距離を小さくする
+    const allowed = maxEdits ?? (word.length < 3 ? 0 : word.length <= 5 ? 1 : 2);
+    const scores = new Map();
+
+    for (const [token, postings] of this.index.entries()) {
+      if (!/^[a-z0-9]+$/.test(token)) continue;
+
+      const distance = token === word ? 0 : editDistance(word, token, allowed);
+      if (distance > allowed) continue;
+
+      // 距離が離れるほど重みを下げる
+      const weight = 1 - distance / (Math.max(word.length, token.length) + 1);
+      for (const docId of postings.keys()) {
+        const score = this.scoreDocument(docId, [token]) * weight;
+        scores.set(docId, Math.max(scores.get(docId) || 0, score));
+      }
+    }
+
+    return scores;
+  }
+
+  /**
+   * 日本語の語の Bi-gram のうち一定割合以上を含むドキュメントのスコア
+   * @param {Array<string>} tokens - 語の Bi-gram
+   * @param {number} threshold - 一致とみなす割合 (0.0 - 1.0)
+   * @returns {Map<string, number>} ドキュメントID → スコア
+   */
+  scoreFuzzyNgrams(tokens, threshold) {
+    const required = Math.max(1, Math.ceil(tokens.length * threshold));
+    const matchedTokens = new Map();
+
+    for (const token of tokens) {
+      const postings = this.index.get(token);
+      if (!postings) continue;
+      for (const docId of postings.keys()) {
+        if (!matchedTokens.has(docId)) {
+          matchedTokens.set(docId, []);
+        }
+        matchedTokens.get(docId).push(token);
+      }
+    }
+
+    const scores = new Map();
+    for (const [docId, matched] of matchedTokens) {
+      if (matched.length >= required) {
+        scores.set(docId, this.scoreDocument(docId, matched));
+      }
+    }
+    return scores;
+  }
+
+  /**
+   * すべてのトークンを含むドキュメントIDを取得
+   * @param {Array<string>} tokens - トークン
+   * @returns {Set<string>} ドキュメントID
+   */
+  findDocumentsWithAll(tokens) {
+    const postingsList = tokens.map(token => this.index.get(token) || new Map());
+
+    let matchingDocIds = new Set(postingsList[0].keys());
+    for (let i = 1; i < postingsList.length; i++) {
+      matchingDocIds = new Set([...matchingDocIds].filter(id => postingsList[i].has(id)));
+    }
+    return matchingDocIds;
+  }
+
+  /**
+   * 同義語の候補を含むクエリのスコアを計算 (語ごとのAND, 候補の中で最も高いスコアを採用)
+   * @param {Array<Array<Array<string>>>} wordAlternatives - 語 → 候補 → トークン
+   * @param {number} minScore - 最低スコア
+   * @returns {Array<Object>} [{ document, score, matchedTokens }]
+   */
+  scoreAlternatives(wordAlternatives, minScore) {
+    let scores = null;
+    for (const alternatives of wordAlternatives) {
+      const wordScores = new Map();
+      for (const tokens of alternatives) {
+        for (const docId of this.findDocumentsWithAll(tokens)) {
+          wordScores.set(docId, Math.max(wordScores.get(docId) || 0, this.scoreDocument(docId, tokens)));
+        }
+      }
+      scores = scores ? intersectScores(scores, wordScores) : wordScores;
+    }
+
+    return scores ? this.buildResults(scores, wordAlternatives.flat(2), minScore) : [];
+  }
+
+  /**
+   * スコアマップから検索結果を作成
+   * @param {Map<string, number>} scores - ドキュメントID → スコア
+   * @param {Array<string>} queryTokens - クエリトークン (一致トークンの判定用)
+   * @param {number} minScore - 最低スコア
+   * @returns {Array<Object>} [{ document, score, matchedTokens }]
+   */
+  buildResults(scores, queryTokens, minScore) {
+    const results = [];
+    for (const [docId, score] of scores) {
+      const document = this.documents.get(docId);
+      if (!document || score < minScore) continue;
+
+      const docTokens = this.documentTokens.get(docId) || new Set();
+      results.push({
+        document,
+        score,
+        matchedTokens: queryTokens.filter(token => docTokens.has(token))
+      });
+    }
+    return results;
+  }
+
+  /**
+   * 候補ドキュメントのスコアを計算
+   * @param {Iterable<string>} docIds - 候補ドキュメントID
+   * @param {Array<string>} queryTokens - クエリトークン
+   * @param {number} minScore - 最低スコア
+   * @returns {Array<Object>} [{ document, score, matchedTokens }]
+   */
+  scoreDocuments(docIds, queryTokens, minScore) {
+    const results = [];
+    for (const docId of docIds) {
+      const document = this.documents.get(docId);
+      if (!document) continue;
+
+      const score = this.scoreDocument(docId, queryTokens);
+      if (score >= minScore) {
+        const docTokens = this.documentTokens.get(docId) || new Set();
+        results.push({
+          document,
+          score,
+          matchedTokens: queryTokens.filter(token => docTokens.has(token))
+        });
+      }
+    }
+    return results;
+  }
+
   /**
    * 前方一致検索 (プレフィックス検索)
    * @param {string} prefix - プレフィックス
@@ -248,15 +557,15 @@ export class InvertedIndex {
   searchPrefix(prefix, options = {}) {
     const { limit = 100 } = options;
 
-    const normalizedPrefix = prefix.toLowerCase().trim();
+    const normalizedPrefix = normalizeText(prefix);
     if (!normalizedPrefix) return [];
 
     const matchingDocIds = new Set();
 
     // 前方一致するトークンを検索
-    for (const [token, docIds] of this.index.entries()) {
+    for (const [token, postings] of this.index.entries()) {
       if (token.startsWith(normalizedPrefix)) {
-        docIds.forEach(id => matchingDocIds.add(id));
+        postings.forEach((fieldCounts, id) => matchingDocIds.add(id));
       }
     }
 
@@ -269,21 +578,112 @@ export class InvertedIndex {
   }
 
   /**
-   * 統計情報を更新
+   * 統計情報を更新 (トークン数の合計は追加・削除時に加減算済み)
    */
   updateStats() {
     this.stats.totalDocuments = this.documents.size;
     this.stats.totalTokens = this.index.size;
 
     if (this.stats.totalDocuments > 0) {
-      const totalDocTokens = Array.from(this.documentTokens.values())
-        .reduce((sum, tokenSet) => sum + tokenSet.size, 0);
-      this.stats.averageTokensPerDocument = totalDocTokens / this.stats.totalDocuments;
+      this.stats.averageTokensPerDocument = this.totalDocumentTokens / this.stats.totalDocuments;
     } else {
       this.stats.averageTokensPerDocument = 0;
     }
   }
 
+  /**
+   * ドキュメント中のトークンの TF-IDF 重み
+   * フィールドの重みを掛けた出現回数を対数で抑え、IDFを掛ける
+   * @param {string} token - トークン
+   * @param {string} docId - ドキュメントID
+   * @returns {number} 重み (出現しなければ0)
+   */
+  getTermWeight(token, docId) {
+    const fieldCounts = this.index.get(token)?.get(docId);
+    if (!fieldCounts) return 0;
+
+    let weightedTf = 0;
+    for (const [field, count] of Object.entries(fieldCounts)) {
+      weightedTf += (this.fieldBoosts[field] ?? 1) * count;
+    }
+    return (1 + Math.log(weightedTf)) * this.getIdf(token);
+  }
+
+  /**
+   * ドキュメントの TF-IDF ベクトルを取得
+   * @param {string} docId - ドキュメントID
+   * @returns {Map<string, number>} トークン → 重み
+   */
+  getTermVector(docId) {
+    const vector = new Map();
+    for (const token of this.documentTokens.get(docId) || []) {
+      vector.set(token, this.getTermWeight(token, docId));
+    }
+    return vector;
+  }
+
+  /**
+   * ドキュメントの TF-IDF ベクトルのノルム (インデックスが変わるまでキャッシュ)
+   * @param {string} docId - ドキュメントID
+   * @returns {number} ノルム
+   */
+  getVectorNorm(docId) {
+    if (!this.vectorNorms.has(docId)) {
+      let sum = 0;
+      for (const token of this.documentTokens.get(docId) || []) {
+        const weight = this.getTermWeight(token, docId);
+        sum += weight * weight;
+      }
+      this.vectorNorms.set(docId, Math.sqrt(sum));
+    }
+    return this.vectorNorms.get(docId);
+  }
+
+  /**
+   * TF-IDF ベクトルのコサイン類似度が高いドキュメントを取得
+   * 共通のトークンを持つドキュメントだけを候補にする
+   * @param {string} docId - 基準のドキュメントID
+   * @param {Object} options - { limit, minScore, filter: (document) => boolean で候補を絞り込み }
+   * @returns {Array<Object>} [{ document, score }] (類似度順, 基準のドキュメント自身は含まない)
+   */
+  findSimilar(docId, options = {}) {
+    const { limit = 5, minScore = 0.05, filter = null } = options;
+    const sourceNorm = this.getVectorNorm(docId);
+    if (sourceNorm === 0) return [];
+    const source = this.getTermVector(docId);
+
+    // 内積は共通トークンの重みの積の和
+    const dotProducts = new Map();
+    for (const [token, weight] of source) {
+      for (const candidateId of this.index.get(token).keys()) {
+        if (candidateId === docId) continue;
+        const product = weight * this.getTermWeight(token, candidateId);
+        dotProducts.set(candidateId, (dotProducts.get(candidateId) || 0) + product);
+      }
+    }
+
+    const results = [];
+    for (const [candidateId, dotProduct] of dotProducts) {
+      const document = this.documents.get(candidateId);
+      if (filter && !filter(document)) continue;
+
+      const score = dotProduct / (sourceNorm * this.getVectorNorm(candidateId));
+      if (score >= minScore) {
+        results.push({ document, score });
+      }
+    }
+
+    return results.sort((a, b) => b.score - a.score).slice(0, limit);
+  }
+
+  /**
+   * インデックス済みのドキュメントを取得
+   * @returns {Array<Object>} ドキュメント配列
+   */
+  getDocuments() {
+    return Array.from(this.documents.values());
+  }
+
   /**
    * 統計情報を取得
    * @returns {Object} 統計情報
@@ -303,9 +703,9 @@ export class InvertedIndex {
     let size = 0;
 
     // トークン → ドキュメントIDマップのサイズ
-    for (const [token, docIds] of this.index.entries()) {
+    for (const [token, postings] of this.index.entries()) {
       size += token.length * 2; // 文字列は2バイト/文字と仮定
-      size += docIds.size * 50; // ドキュメントID (UUIDなど)
+      size += postings.size * 60; // ドキュメントID (UUIDなど) + 出現回数
     }
 
     // ドキュメントトークンマップのサイズ
@@ -323,9 +723,9 @@ export class InvertedIndex {
    */
   export() {
     return {
-      index: Array.from(this.index.entries()).map(([token, docIds]) => ({
+      index: Array.from(this.index.entries()).map(([token, postings]) => ({
         token,
-        docIds: Array.from(docIds)
+        postings: Array.from(postings.entries())
       })),
       documents: Array.from(this.documents.entries()).map(([id, doc]) => ({
         id,
@@ -335,6 +735,10 @@ export class InvertedIndex {
         id,
         tokens: Array.from(tokens)
       })),
+      fieldLengths: Array.from(this.fieldLengths.entries()).map(([id, lengths]) => ({
+        id,
+        lengths
+      })),
       stats: this.stats
     };
   }
@@ -347,8 +751,8 @@ export class InvertedIndex {
     this.clear();
 
     // インデックス復元
-    for (const { token, docIds } of data.index) {
-      this.index.set(token, new Set(docIds));
+    for (const { token, postings } of data.index) {
+      this.index.set(token, new Map(postings));
     }
 
     // ドキュメント復元
@@ -359,6 +763,15 @@ export class InvertedIndex {
     // ドキュメントトークン復元
     for (const { id, tokens } of data.documentTokens) {
       this.documentTokens.set(id, new Set(tokens));
+      this.totalDocumentTokens += tokens.length;
+    }
+
+    // フィールド長復元
+    for (const { id, lengths } of data.fieldLengths) {
+      this.fieldLengths.set(id, lengths);
+      for (const [field, length] of Object.entries(lengths)) {
+        this.fieldLengthTotals.set(field, (this.fieldLengthTotals.get(field) || 0) + length);
+      }
     }
 
     // 統計更新
@@ -3,6 +3,11 @@
  * 共通の日付フォーマット処理を提供
  */
 
+/**
+ * 曜日名 (日曜始まり)
+ */
+export const WEEKDAY_NAMES = ['日', '月', '火', '水', '木', '金', '土'];
+
 /**
  * 日付を YYYY-MM-DD 形式にフォーマット
  * @param {Date} date - 日付オブジェクト
@@ -47,6 +52,77 @@ export function formatDateTime(date) {
   return `${formatDate(date)} ${formatTime(date)}`;
 }
 
+/**
+ * 曜日名を取得
+ * @param {Date} date - 日付オブジェクト
+ * @param {Object} options - { short: trueなら「月」、falseなら「月曜日」 }
+ * @returns {string} 曜日名
+ */
+export function formatWeekday(date, options = {}) {
+  if (!(date instanceof Date) || isNaN(date.getTime())) {
+    throw new TypeError('Invalid Date object');
+  }
+
+  const name = WEEKDAY_NAMES[date.getDay()];
+  return options.short ? name : `${name}曜日`;
+}
+
+/**
+ * 日付を書式文字列でフォーマット
+ * 使用できる記号: YYYY, YY, MM, M, DD, D, HH, H, mm, ss, dddd (月曜日), ddd (月)
+ * [文字列] は角括弧の中をそのまま出力する (例: "[Due:] YYYY-MM-DD")
+ * @param {Date} date - 日付オブジェクト
+ * @param {string} pattern - 書式 (例: "YYYY年MM月DD日(ddd)")
+ * @returns {string} フォーマット済み日時
+ */
+export function formatDatePattern(date, pattern) {
+  if (!(date instanceof Date) || isNaN(date.getTime())) {
+    throw new TypeError('Invalid Date object');
+  }
+
+  const pad = value => value.toString().padStart(2, '0');
+  const parts = {
+    YYYY: date.getFullYear().toString(),
+    YY: date.getFullYear().toString().slice(-2),
+    MM: pad(date.getMonth() + 1),
+    M: (date.getMonth() + 1).toString(),
+    DD: pad(date.getDate()),
+    D: date.getDate().toString(),
+    HH: pad(date.getHours()),
+    H: date.getHours().toString(),
+    mm: pad(date.getMinutes()),
+    ss: pad(date.getSeconds()),
+    dddd: formatWeekday(date),
+    ddd: formatWeekday(date, { short: true })
+  };
+
+  return pattern.replace(
+    /\[([^\]]*)\]|YYYY|YY|MM|M|DD|D|HH|H|mm|ss|dddd|ddd/g,
+    (token, literal) => literal ?? parts[token]
+  );
+}
+
+/**
+ * 入力値の日付・日時をパース
+ * YYYY-MM-DD (date入力) はUTCではなくローカル時刻の0時として扱う
+ * @param {string|Date} value - YYYY-MM-DD / YYYY-MM-DDTHH:MM (datetime-local入力) / ISO 8601
+ * @returns {Date|null} Dateオブジェクト、失敗時はnull
+ */
+export function parseDateInput(value) {
+  if (value instanceof Date) {
+    return isNaN(value.getTime()) ? null : value;
+  }
+
+  const text = String(value ?? '').trim();
+  const dateOnly = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  if (dateOnly) {
+    const date = new Date(Number(dateOnly[1]), Number(dateOnly[2]) - 1, Number(dateOnly[3]));
+    return isNaN(date.getTime()) ? null : date;
+  }
+
+  return text ? parseISOString(text) : null;
+}
+
 /**
  * ISO 8601文字列をパース
  * @param {string} isoString - ISO 8601形式の日時文字列
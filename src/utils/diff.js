@@ -0,0 +1,377 @@
+/**
+ * 差分ユーティリティ
+ * プロンプト・コンテキストの変更点を行単位 + 文字単位で比較する
+ */
+
+/**
+ * 文字単位の差分を取る行ペアの最低類似度
+ * これを下回る行は書き換えとみなし、行全体を強調する
+ */
+const MIN_CHAR_DIFF_SIMILARITY = 0.3;
+
+/**
+ * 文字単位の差分で、変更に挟まれた一致部分をまとめる最大長
+ * 日本語では1文字だけの偶然の一致が多く、細切れの強調を避けるため
+ */
+const MAX_ISOLATED_EQUAL_LENGTH = 1;
+
+/**
+ * 文字単位の差分を取る行の最大長 (書記素数)
+ * 差分計算のメモリは編集距離 × 行長に比例するため、長い行は行全体を強調する
+ */
+const MAX_CHAR_DIFF_LINE_LENGTH = 1000;
+
+/**
+ * 文字単位の差分で探索する最大の編集距離
+ * これを超える行ペアは書き換えとみなし、行全体を強調する
+ */
+const MAX_CHAR_DIFF_EDITS = 300;
+
+/**
+ * 行単位の差分で探索する最大の編集距離
+ * これを超える場合は全体を削除+挿入として表示する
+ */
+const MAX_LINE_DIFF_EDITS = 2000;
+
+/**
+ * テキストを行配列に分割 (改行コードはLFに統一)
+ * @param {string} text - 入力テキスト
+ * @returns {Array<string>} 行配列
+ */
+export function splitLines(text) {
+  if (!text || typeof text !== 'string') return [];
+  return text.replace(/\r\n?/g, '\n').split('\n');
+}
+
+/**
+ * テキストを書記素 (見た目の1文字) 単位に分割
+ * 結合文字・サロゲートペア・絵文字を分断しない
+ * @param {string} text - 入力テキスト
+ * @returns {Array<string>} 文字配列
+ */
+export function splitGraphemes(text) {
+  if (!text) return [];
+
+  if (typeof Intl !== 'undefined' && typeof Intl.Segmenter === 'function') {
+    const segmenter = new Intl.Segmenter('ja', { granularity: 'grapheme' });
+    return Array.from(segmenter.segment(text), s => s.segment);
+  }
+
+  return Array.from(text);
+}
+
+/**
+ * 2つの配列の差分を計算 (Myers差分アルゴリズム)
+ * @param {Array<string>} a - 変更前
+ * @param {Array<string>} b - 変更後
+ * @param {Object} options - { maxEdits: 探索する最大の編集距離 (省略時は無制限) }
+ * @returns {Array<Object>|null} 差分操作 [{ type: 'equal'|'delete'|'insert', value }] (maxEdits を超えた場合はnull)
+ */
+export function diffSequences(a, b, options = {}) {
+  const { maxEdits = Infinity } = options;
+
+  // 共通の先頭・末尾は計算対象から外す
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start++;
+  }
+
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const middle = myers(a.slice(start, endA), b.slice(start, endB), maxEdits);
+  if (!middle) return null;
+
+  const ops = [];
+  for (let i = 0; i < start; i++) {
+    ops.push({ type: 'equal', value: a[i] });
+  }
+
+  ops.push(...middle);
+
+  for (let i = endA; i < a.length; i++) {
+    ops.push({ type: 'equal', value: a[i] });
+  }
+
+  return ops;
+}
+
+/**
+ * Myers O(ND) 差分の本体
+ * 経路の復元のため各 d で到達した範囲 (k = -d-1〜d+1) の状態を保持するので、メモリは O(D²) になる
+ * @param {Array<string>} a - 変更前
+ * @param {Array<string>} b - 変更後
+ * @param {number} maxEdits - 探索する最大の編集距離
+ * @returns {Array<Object>|null} 差分操作 (maxEdits を超えた場合はnull)
+ */
+function myers(a, b, maxEdits = Infinity) {
+  const n = a.length;
+  const m = b.length;
+
+  if (n === 0) return b.map(value => ({ type: 'insert', value }));
+  if (m === 0) return a.map(value => ({ type: 'delete', value }));
+  if (Math.abs(n - m) > maxEdits) return null;
+
+  const max = n + m;
+  const offset = max + 1;
+  const v = new Array(2 * max + 4).fill(0);
+  const trace = [];
+
+  let found = false;
+  const limit = Math.min(max, maxEdits);
+  for (let d = 0; d <= limit && !found; d++) {
+    // この d で参照する k = -d-1〜d+1 の範囲だけを保存
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+    for (let k = -d; k <= d; k += 2) {
+      let x;
+      if (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])) {
+        x = v[offset + k + 1];
+      } else {
+        x = v[offset + k - 1] + 1;
+      }
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= n && y >= m) {
+        found = true;
+        break;
+      }
+    }
+  }
+
+  if (!found) return null;
+
+  // 経路を逆順にたどって操作列を復元
+  const ops = [];
+  let x = n;
+  let y = m;
+  for (let d = trace.length - 1; d >= 0; d--) {
+    // trace[d] の添字 0 が k = -d-1 に対応する
+    const vd = trace[d];
+    const base = d + 1;
+    const k = x - y;
+    let prevK;
+    if (k === -d || (k !== d && vd[base + k - 1] < vd[base + k + 1])) {
+      prevK = k + 1;
+    } else {
+      prevK = k - 1;
+    }
+    const prevX = vd[base + prevK];
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      ops.push({ type: 'equal', value: a[x - 1] });
+      x--;
+      y--;
+    }
+
+    if (d > 0) {
+      if (x === prevX) {
+        ops.push({ type: 'insert', value: b[y - 1] });
+      } else {
+        ops.push({ type: 'delete', value: a[x - 1] });
+      }
+    }
+
+    x = prevX;
+    y = prevY;
+  }
+
+  return ops.reverse();
+}
+
+/**
+ * 行単位の差分
+ * 変更が多すぎる場合は計算を打ち切る
+ * @param {string} oldText - 変更前テキスト
+ * @param {string} newText - 変更後テキスト
+ * @returns {Array<Object>|null} 差分操作 (打ち切った場合はnull)
+ */
+export function diffLines(oldText, newText) {
+  return diffSequences(splitLines(oldText), splitLines(newText), { maxEdits: MAX_LINE_DIFF_EDITS });
+}
+
+/**
+ * 文字単位の差分 (連続する同種の操作は1セグメントにまとめる)
+ * 行が長すぎる・変更が多すぎる場合は計算を打ち切る
+ * @param {string} oldText - 変更前テキスト
+ * @param {string} newText - 変更後テキスト
+ * @returns {Array<Object>|null} セグメント [{ type, value }] (打ち切った場合はnull)
+ */
+export function diffChars(oldText, newText) {
+  const oldChars = splitGraphemes(oldText);
+  const newChars = splitGraphemes(newText);
+  if (oldChars.length > MAX_CHAR_DIFF_LINE_LENGTH || newChars.length > MAX_CHAR_DIFF_LINE_LENGTH) {
+    return null;
+  }
+
+  const ops = diffSequences(oldChars, newChars, { maxEdits: MAX_CHAR_DIFF_EDITS });
+  return ops ? cleanupSegments(mergeSegments(ops)) : null;
+}
+
+/**
+ * 同種の連続操作を結合
+ * @param {Array<Object>} ops - 差分操作
+ * @returns {Array<Object>} セグメント
+ */
+function mergeSegments(ops) {
+  const segments = [];
+  ops.forEach(op => {
+    const last = segments[segments.length - 1];
+    if (last && last.type === op.type) {
+      last.value += op.value;
+    } else {
+      segments.push({ type: op.type, value: op.value });
+    }
+  });
+  return segments;
+}
+
+/**
+ * 変更に挟まれたごく短い一致部分を削除+挿入に吸収し、読みやすくする
+ * @param {Array<Object>} segments - セグメント
+ * @returns {Array<Object>} 整理後のセグメント
+ */
+function cleanupSegments(segments) {
+  const ops = [];
+
+  segments.forEach((segment, index) => {
+    const isolated = segment.type === 'equal' &&
+      index > 0 && index < segments.length - 1 &&
+      splitGraphemes(segment.value).length <= MAX_ISOLATED_EQUAL_LENGTH &&
+      !/^\s+$/.test(segment.value);
+
+    if (isolated) {
+      ops.push({ type: 'delete', value: segment.value });
+      ops.push({ type: 'insert', value: segment.value });
+    } else {
+      ops.push(segment);
+    }
+  });
+
+  // 削除を先、挿入を後に並べ直してから結合
+  const result = [];
+  let deleted = '';
+  let inserted = '';
+  const flush = () => {
+    if (deleted) result.push({ type: 'delete', value: deleted });
+    if (inserted) result.push({ type: 'insert', value: inserted });
+    deleted = '';
+    inserted = '';
+  };
+
+  ops.forEach(op => {
+    if (op.type === 'delete') {
+      deleted += op.value;
+    } else if (op.type === 'insert') {
+      inserted += op.value;
+    } else {
+      flush();
+      result.push(op);
+    }
+  });
+  flush();
+
+  return result;
+}
+
+/**
+ * 2つの文字列の類似度 (0〜1)
+ * @param {Array<Object>} segments - 文字単位の差分セグメント
+ * @returns {number} 類似度
+ */
+function similarity(segments) {
+  let equal = 0;
+  let total = 0;
+  segments.forEach(segment => {
+    const length = splitGraphemes(segment.value).length;
+    if (segment.type === 'equal') {
+      equal += length * 2;
+      total += length * 2;
+    } else {
+      total += length;
+    }
+  });
+  return total === 0 ? 1 : equal / total;
+}
+
+/**
+ * 左右並列表示用の差分行を作成
+ * 削除と挿入が隣接する行は同じ行に並べ、文字単位の差分を付与する
+ * @param {string} oldText - 変更前テキスト
+ * @param {string} newText - 変更後テキスト
+ * @returns {Object} { rows, stats }
+ *   rows: [{ left: Cell|null, right: Cell|null }]
+ *   Cell: { lineNumber, type: 'equal'|'delete'|'insert', segments: [{ type, value }] }
+ *   stats: { added, removed, unchanged }
+ */
+export function buildSideBySideDiff(oldText, newText) {
+  // 変更が多すぎる場合は全体を削除+挿入とし、文字単位の比較もしない
+  const lineOps = diffLines(oldText, newText);
+  const compareChars = lineOps !== null;
+  const ops = lineOps || [
+    ...splitLines(oldText).map(value => ({ type: 'delete', value })),
+    ...splitLines(newText).map(value => ({ type: 'insert', value }))
+  ];
+  const rows = [];
+  const stats = { added: 0, removed: 0, unchanged: 0 };
+
+  let oldLine = 1;
+  let newLine = 1;
+  let deletes = [];
+  let inserts = [];
+
+  const flush = () => {
+    const count = Math.max(deletes.length, inserts.length);
+    for (let i = 0; i < count; i++) {
+      const removed = deletes[i];
+      const added = inserts[i];
+      const left = removed !== undefined
+        ? { lineNumber: oldLine++, type: 'delete', segments: [{ type: 'delete', value: removed }] }
+        : null;
+      const right = added !== undefined
+        ? { lineNumber: newLine++, type: 'insert', segments: [{ type: 'insert', value: added }] }
+        : null;
+
+      // 対応する行があれば文字単位で比較 (打ち切った場合は行全体を強調)
+      if (left && right && compareChars) {
+        const segments = diffChars(removed, added);
+        if (segments && similarity(segments) >= MIN_CHAR_DIFF_SIMILARITY) {
+          left.segments = segments.filter(s => s.type !== 'insert');
+          right.segments = segments.filter(s => s.type !== 'delete');
+        }
+      }
+
+      rows.push({ left, right });
+    }
+    stats.removed += deletes.length;
+    stats.added += inserts.length;
+    deletes = [];
+    inserts = [];
+  };
+
+  ops.forEach(op => {
+    if (op.type === 'delete') {
+      deletes.push(op.value);
+    } else if (op.type === 'insert') {
+      inserts.push(op.value);
+    } else {
+      flush();
+      rows.push({
+        left: { lineNumber: oldLine++, type: 'equal', segments: [{ type: 'equal', value: op.value }] },
+        right: { lineNumber: newLine++, type: 'equal', segments: [{ type: 'equal', value: op.value }] }
+      });
+      stats.unchanged++;
+    }
+  });
+  flush();
+
+  return { rows, stats };
+}
@@ -0,0 +1,222 @@
+/**
+ * 重複・類似アイテムの検出
+ * 完全一致はテキストのハッシュ、類似は文字シングルの MinHash と LSH (Locality Sensitive Hashing) で判定する
+ */
+
+import { normalizeText } from './tokenizer.js';
+
+/**
+ * シングル (連続する文字列) の長さ
+ */
+const SHINGLE_SIZE = 3;
+
+/**
+ * MinHash の署名の長さ (= ハッシュ関数の数)
+ */
+const MINHASH_SIZE = 64;
+
+/**
+ * LSH のバンド数 (署名を 16 バンド × 4 行に分割し、いずれかのバンドが一致したものを候補にする)
+ */
+const LSH_BANDS = 16;
+
+/**
+ * 類似とみなす推定 Jaccard 係数の既定値
+ */
+export const DEFAULT_SIMILARITY_THRESHOLD = 0.8;
+
+/**
+ * 文字列のハッシュ値 (FNV-1a 32bit)
+ * @param {string} text - 入力文字列
+ * @returns {number} 符号なし32bit整数
+ */
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * 32bit整数を攪拌 (MurmurHash3 の finalizer)
+ * @param {number} value - 入力
+ * @returns {number} 符号なし32bit整数
+ */
+function mix32(value) {
+  let hash = value;
+  hash ^= hash >>> 16;
+  hash = Math.imul(hash, 0x85ebca6b);
+  hash ^= hash >>> 13;
+  hash = Math.imul(hash, 0xc2b2ae35);
+  hash ^= hash >>> 16;
+  return hash >>> 0;
+}
+
+/**
+ * MinHash の各ハッシュ関数のシード (実行ごとに同じ値になるよう固定)
+ */
+const MINHASH_SEEDS = Array.from({ length: MINHASH_SIZE }, (_, i) => mix32(Math.imul(i + 1, 0x9e3779b1)));
+
+/**
+ * 重複判定に使うテキスト (タイトルと本文を正規化したもの)
+ * @param {Object} item - プロンプト / コンテキスト
+ * @returns {string} 正規化済みテキスト
+ */
+export function getComparableText(item) {
+  return normalizeText(`${item.title || ''} ${item.content || ''}`);
+}
+
+/**
+ * テキストを文字シングルの集合に分割
+ * @param {string} text - 正規化済みテキスト
+ * @param {number} size - シングルの長さ
+ * @returns {Set<string>} シングル (テキストが短い場合はテキスト全体のみ)
+ */
+export function createShingles(text, size = SHINGLE_SIZE) {
+  const shingles = new Set();
+  if (text.length <= size) {
+    if (text) shingles.add(text);
+    return shingles;
+  }
+
+  for (let i = 0; i + size <= text.length; i++) {
+    shingles.add(text.slice(i, i + size));
+  }
+  return shingles;
+}
+
+/**
+ * シングル集合の MinHash 署名を計算
+ * @param {Set<string>} shingles - シングル集合
+ * @returns {Array<number>} 署名 (各ハッシュ関数での最小値)
+ */
+export function computeMinHash(shingles) {
+  const signature = new Array(MINHASH_SIZE).fill(0xffffffff);
+
+  for (const shingle of shingles) {
+    const base = hashString(shingle);
+    for (let i = 0; i < MINHASH_SIZE; i++) {
+      const hash = mix32(base ^ MINHASH_SEEDS[i]);
+      if (hash < signature[i]) {
+        signature[i] = hash;
+      }
+    }
+  }
+
+  return signature;
+}
+
+/**
+ * 2つの署名から Jaccard 係数を推定
+ * @param {Array<number>} a - 署名
+ * @param {Array<number>} b - 署名
+ * @returns {number} 推定 Jaccard 係数 (0〜1)
+ */
+export function estimateSimilarity(a, b) {
+  let matches = 0;
+  for (let i = 0; i < MINHASH_SIZE; i++) {
+    if (a[i] === b[i]) matches++;
+  }
+  return matches / MINHASH_SIZE;
+}
+
+/**
+ * 重複・類似アイテムをクラスタにまとめる
+ * @param {Array<Object>} items - 対象アイテム
+ * @param {Object} options - { threshold: 類似とみなす推定 Jaccard 係数 }
+ * @returns {Array<Object>} [{ ids, kind: 'exact' | 'near', similarity }] (件数の多い順)
+ *   similarity はクラスタ内で類似と判定された組の最小値
+ */
+export function findDuplicateClusters(items, options = {}) {
+  const { threshold = DEFAULT_SIMILARITY_THRESHOLD } = options;
+
+  const entries = items
+    .map(item => ({ id: item.id, text: getComparableText(item) }))
+    .filter(entry => entry.text);
+
+  // Union-Find で組をまとめる
+  const parent = new Map(entries.map(entry => [entry.id, entry.id]));
+  const find = (id) => {
+    while (parent.get(id) !== id) {
+      parent.set(id, parent.get(parent.get(id)));
+      id = parent.get(id);
+    }
+    return id;
+  };
+  const minSimilarity = new Map();
+  const union = (a, b, similarity) => {
+    const rootA = find(a);
+    const rootB = find(b);
+    const merged = Math.min(
+      similarity,
+      minSimilarity.get(rootA) ?? 1,
+      minSimilarity.get(rootB) ?? 1
+    );
+    if (rootA !== rootB) {
+      parent.set(rootB, rootA);
+    }
+    minSimilarity.set(rootA, merged);
+  };
+
+  // 1. 完全一致 (正規化後のテキストが同じ)
+  const byText = new Map();
+  for (const entry of entries) {
+    const first = byText.get(entry.text);
+    if (first) {
+      union(first, entry.id, 1);
+    } else {
+      byText.set(entry.text, entry.id);
+    }
+  }
+
+  // 2. 類似 (完全一致のグループは代表1件だけを比較する)
+  const representatives = Array.from(byText, ([text, id]) => ({
+    id,
+    signature: computeMinHash(createShingles(text))
+  }));
+
+  const rowsPerBand = MINHASH_SIZE / LSH_BANDS;
+  const buckets = new Map();
+  for (const representative of representatives) {
+    for (let band = 0; band < LSH_BANDS; band++) {
+      const rows = representative.signature.slice(band * rowsPerBand, (band + 1) * rowsPerBand);
+      const key = `${band}:${rows.join(',')}`;
+      if (!buckets.has(key)) buckets.set(key, []);
+      buckets.get(key).push(representative);
+    }
+  }
+
+  const compared = new Set();
+  for (const bucket of buckets.values()) {
+    for (let i = 0; i < bucket.length; i++) {
+      for (let j = i + 1; j < bucket.length; j++) {
+        const pairKey = `${bucket[i].id}\u0000${bucket[j].id}`;
+        if (compared.has(pairKey)) continue;
+        compared.add(pairKey);
+
+        const similarity = estimateSimilarity(bucket[i].signature, bucket[j].signature);
+        if (similarity >= threshold) {
+          union(bucket[i].id, bucket[j].id, similarity);
+        }
+      }
+    }
+  }
+
+  // クラスタを集計
+  const clusters = new Map();
+  for (const entry of entries) {
+    const root = find(entry.id);
+    if (!clusters.has(root)) clusters.set(root, []);
+    clusters.get(root).push(entry);
+  }
+
+  return Array.from(clusters, ([root, members]) => ({
+    ids: members.map(member => member.id),
+    kind: new Set(members.map(member => member.text)).size === 1 ? 'exact' : 'near',
+    similarity: minSimilarity.get(root) ?? 1
+  }))
+    .filter(cluster => cluster.ids.length > 1)
+    .sort((a, b) => b.ids.length - a.ids.length || b.similarity - a.similarity);
+}
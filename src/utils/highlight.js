@@ -0,0 +1,100 @@
+/**
+ * 検索結果のハイライト・スニペット生成
+ */
+
+import { findMatchPositions, normalizeText, tokenizeQuery, getSynonyms } from './tokenizer.js';
+import { parseQuery, collectSearchTerms } from './queryParser.js';
+
+/**
+ * スニペットの既定の長さ (文字数)
+ */
+const DEFAULT_SNIPPET_LENGTH = 120;
+
+/**
+ * 検索クエリからハイライト対象の語を取得
+ * 語全体に加えて検索に使われるトークン (Bi-gramなど) と同義語も含める
+ * @param {string} query - 検索クエリ
+ * @returns {Array<string>} ハイライト対象の語 (正規化済み)
+ */
+export function getHighlightTerms(query) {
+  if (!query || !query.trim()) return [];
+
+  const terms = new Set();
+  const values = collectSearchTerms(parseQuery(query));
+  const synonyms = values.flatMap(value => [
+    ...getSynonyms(value),
+    ...normalizeText(value).split(' ').flatMap(word => getSynonyms(word))
+  ]);
+
+  for (const value of [...values, ...synonyms]) {
+    const normalized = normalizeText(value);
+    if (normalized) terms.add(normalized);
+    tokenizeQuery(value).forEach(token => terms.add(token));
+  }
+
+  return Array.from(terms);
+}
+
+/**
+ * テキスト中の一致範囲を取得 (重なり・隣接する範囲は結合)
+ * @param {string} text - 対象テキスト
+ * @param {Array<string>} terms - ハイライト対象の語
+ * @returns {Array<Object>} [{ start, end }] (開始位置順)
+ */
+export function findHighlightRanges(text, terms) {
+  const ranges = [];
+
+  for (const { start, end } of findMatchPositions(text, terms)) {
+    const last = ranges[ranges.length - 1];
+    if (last && start <= last.end) {
+      last.end = Math.max(last.end, end);
+    } else {
+      ranges.push({ start, end });
+    }
+  }
+
+  return ranges;
+}
+
+/**
+ * 一致箇所が最も集中している部分を切り出したスニペットを生成
+ * @param {string} text - 対象テキスト
+ * @param {Array<string>} terms - ハイライト対象の語
+ * @param {Object} options - { length: スニペットの長さ }
+ * @returns {Object|null} { text, ranges, hasMoreBefore, hasMoreAfter } (一致がなければnull)
+ */
+export function createSnippet(text, terms, options = {}) {
+  const { length = DEFAULT_SNIPPET_LENGTH } = options;
+  const ranges = findHighlightRanges(text, terms);
+  if (ranges.length === 0) return null;
+
+  // 同じ長さの範囲に含まれる一致の数が最も多い位置を選ぶ
+  let best = 0;
+  let bestCount = 0;
+  for (let i = 0; i < ranges.length; i++) {
+    let count = 0;
+    for (let j = i; j < ranges.length && ranges[j].end <= ranges[i].start + length; j++) {
+      count++;
+    }
+    if (count > bestCount) {
+      best = i;
+      bestCount = count;
+    }
+  }
+
+  // 一致箇所の前にも少し文脈を残す
+  const start = Math.max(0, Math.min(ranges[best].start - Math.floor(length / 4), text.length - length));
+  const end = Math.min(text.length, start + length);
+
+  return {
+    text: text.slice(start, end),
+    ranges: ranges
+      .filter(range => range.end > start && range.start < end)
+      .map(range => ({
+        start: Math.max(range.start, start) - start,
+        end: Math.min(range.end, end) - start
+      })),
+    hasMoreBefore: start > 0,
+    hasMoreAfter: end < text.length
+  };
+}
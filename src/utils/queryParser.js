@@ -0,0 +1,183 @@
+/**
+ * 検索クエリパーサー
+ * 検索ボックスのクエリ構文を解析し、クエリAST (抽象構文木) を生成する
+ *
+ * 構文:
+ *   語          : 全文検索 (例: 議事録)
+ *   "フレーズ"   : 完全一致 (例: "完全一致フレーズ")
+ *   フィールド:値 : フィールド指定 (例: tag:リスク folder:設計 phase:テスト status:完了 category:技術仕様)
+ *   -条件        : 除外 (例: -議事録 -tag:アーカイブ)
+ *   A OR B      : いずれかに一致 (暗黙の AND より優先して結合)
+ */
+
+/**
+ * 指定可能なフィールド (別名 → 正式名)
+ */
+export const QUERY_FIELDS = {
+  tag: 'tag',
+  tags: 'tag',
+  folder: 'folder',
+  category: 'category',
+  phase: 'phase',
+  status: 'status'
+};
+
+/**
+ * OR演算子として扱う語
+ */
+const OR_OPERATORS = new Set(['OR', '|']);
+
+/**
+ * クエリ文字列を字句に分割
+ * @param {string} query - 検索クエリ
+ * @returns {Array<Object>} [{ kind: 'operand', node, negated } | { kind: 'or' }]
+ */
+function lex(query) {
+  const lexemes = [];
+  let position = 0;
+
+  const readQuoted = () => {
+    // 開始の " を読み飛ばし、閉じ " まで (閉じがなければ末尾まで) を値とする
+    position++;
+    const end = query.indexOf('"', position);
+    const value = end === -1 ? query.slice(position) : query.slice(position, end);
+    position = end === -1 ? query.length : end + 1;
+    return value;
+  };
+
+  const readWord = () => {
+    const start = position;
+    while (position < query.length && !/\s/.test(query[position])) {
+      position++;
+    }
+    return query.slice(start, position);
+  };
+
+  while (position < query.length) {
+    if (/\s/.test(query[position])) {
+      position++;
+      continue;
+    }
+
+    let negated = false;
+    if (query[position] === '-' && position + 1 < query.length && !/\s/.test(query[position + 1])) {
+      negated = true;
+      position++;
+    }
+
+    if (query[position] === '"') {
+      const value = readQuoted().trim();
+      if (value) {
+        lexemes.push({ kind: 'operand', negated, node: { type: 'phrase', value } });
+      }
+      continue;
+    }
+
+    const start = position;
+    const word = readWord();
+
+    if (!negated && OR_OPERATORS.has(word)) {
+      lexemes.push({ kind: 'or' });
+      continue;
+    }
+
+    const separator = word.indexOf(':');
+    const field = separator > 0 ? QUERY_FIELDS[word.slice(0, separator).toLowerCase()] : null;
+    if (field) {
+      // tag:"複数 語" のように値を引用符で囲める
+      position = start + separator + 1;
+      const value = query[position] === '"' ? readQuoted().trim() : readWord();
+      if (value) {
+        lexemes.push({ kind: 'operand', negated, node: { type: 'field', field, value } });
+      }
+      continue;
+    }
+
+    lexemes.push({ kind: 'operand', negated, node: { type: 'term', value: word } });
+  }
+
+  return lexemes;
+}
+
+/**
+ * 子ノードが1つならそのまま、複数ならまとめたノードを返す
+ * @param {string} type - 'and' | 'or'
+ * @param {Array<Object>} children - 子ノード
+ * @returns {Object} ノード
+ */
+function combine(type, children) {
+  return children.length === 1 ? children[0] : { type, children };
+}
+
+/**
+ * 検索クエリを解析してASTを生成
+ * 除外条件は既定の結合方法によらず常に AND で適用する
+ * @param {string} query - 検索クエリ
+ * @param {Object} options - { defaultOperator: 'and' | 'or' (語の間の暗黙の結合) }
+ * @returns {Object} クエリAST ({ type: 'and', children: [] } は全件一致)
+ */
+export function parseQuery(query, options = {}) {
+  const { defaultOperator = 'and' } = options;
+
+  // OR でつながった語を1つの節にまとめる
+  const clauses = [];
+  let pendingOr = false;
+  for (const lexeme of lex(query || '')) {
+    if (lexeme.kind === 'or') {
+      pendingOr = clauses.length > 0;
+      continue;
+    }
+
+    const node = lexeme.negated ? { type: 'not', child: lexeme.node } : lexeme.node;
+    if (pendingOr) {
+      clauses[clauses.length - 1].push(node);
+    } else {
+      clauses.push([node]);
+    }
+    pendingOr = false;
+  }
+
+  const included = [];
+  const excluded = [];
+  for (const clause of clauses) {
+    if (clause.length === 1 && clause[0].type === 'not') {
+      excluded.push(clause[0]);
+    } else {
+      included.push(combine('or', clause));
+    }
+  }
+
+  const children = defaultOperator === 'and' || included.length <= 1
+    ? [...included, ...excluded]
+    : [combine(defaultOperator, included), ...excluded];
+  return children.length === 1 ? children[0] : { type: 'and', children };
+}
+
+/**
+ * クエリに検索構文 (フィールド指定・除外・フレーズ・OR) が含まれるか
+ * @param {string} query - 検索クエリ
+ * @returns {boolean}
+ */
+export function hasQuerySyntax(query) {
+  return lex(query || '').some(lexeme =>
+    lexeme.kind === 'or' || lexeme.negated || lexeme.node.type !== 'term'
+  );
+}
+
+/**
+ * ASTに含まれる全文検索語・フレーズを取得 (除外条件・フィールド指定は含まない)
+ * @param {Object} node - クエリAST
+ * @returns {Array<string>} 検索語
+ */
+export function collectSearchTerms(node) {
+  switch (node.type) {
+    case 'term':
+    case 'phrase':
+      return [node.value];
+    case 'and':
+    case 'or':
+      return node.children.flatMap(collectSearchTerms);
+    default:
+      return [];
+  }
+}
@@ -0,0 +1,427 @@
+/**
+ * テンプレートエンジン
+ * テンプレートテキストを構文木に変換し、変数値を適用してテキストを生成する
+ *
+ * 構文:
+ *   {{name}}                         : 変数 (未入力の変数は [[name]] として残す)
+ *   {{name|filter:引数}}              : フィルタで整形して出力 (utils/templateFilters.js を参照)
+ *   {{#if name}}...{{else}}...{{/if}} : 変数が入力されている場合のみ出力 ({{else}} は省略可)
+ *   {{#each name}}...{{/each}}        : リスト変数の各要素について出力 ({{this}} で要素を参照, {{else}} は空の場合)
+ *   \{{ / \}}                        : 波括弧をそのまま出力
+ *
+ * ブロックタグ ({{#if}} {{else}} {{/if}} など) だけの行は、行ごと出力から取り除く
+ */
+
+import { TEMPLATE_FILTERS, applyFilters, toList, stringifyValue } from './templateFilters.js';
+
+/**
+ * ブロックの種類
+ */
+const BLOCK_TYPES = new Set(['if', 'each']);
+
+/**
+ * 変数名として使える文字列
+ */
+const NAME_PATTERN = /^\w+$/;
+
+/**
+ * テンプレートの構文エラー
+ * 行・列は1始まり
+ */
+export class TemplateSyntaxError extends Error {
+  /**
+   * @param {string} message - エラー内容
+   * @param {number} line - 行番号
+   * @param {number} column - 列番号
+   */
+  constructor(message, line, column) {
+    super(message);
+    this.name = 'TemplateSyntaxError';
+    this.line = line;
+    this.column = column;
+  }
+}
+
+/**
+ * 文字位置を行・列に変換する関数を作成
+ * @param {string} source - テンプレートテキスト
+ * @returns {Function} (offset) => { line, column }
+ */
+function createLocator(source) {
+  const lineStarts = [0];
+  for (let i = 0; i < source.length; i++) {
+    if (source[i] === '\n') lineStarts.push(i + 1);
+  }
+
+  return (offset) => {
+    let line = 0;
+    while (line + 1 < lineStarts.length && lineStarts[line + 1] <= offset) {
+      line++;
+    }
+    return { line: line + 1, column: offset - lineStarts[line] + 1 };
+  };
+}
+
+/**
+ * テンプレートテキストを字句に分割
+ * @param {string} source - テンプレートテキスト
+ * @param {Function} locate - 文字位置 → 行・列
+ * @returns {Array<Object>} [{ kind: 'text', value } | { kind: 'tag', body, bodyOffset, line, column }]
+ * @throws {TemplateSyntaxError} タグが閉じられていない場合
+ */
+function lex(source, locate) {
+  const tokens = [];
+  let text = '';
+  let position = 0;
+
+  const flushText = () => {
+    if (text) tokens.push({ kind: 'text', value: text });
+    text = '';
+  };
+
+  while (position < source.length) {
+    if (source.startsWith('\\{{', position) || source.startsWith('\\}}', position)) {
+      text += source.slice(position + 1, position + 3);
+      position += 3;
+      continue;
+    }
+
+    if (source.startsWith('{{', position)) {
+      const end = source.indexOf('}}', position + 2);
+      const { line, column } = locate(position);
+      if (end === -1) {
+        throw new TemplateSyntaxError('タグが }} で閉じられていません', line, column);
+      }
+
+      const raw = source.slice(position + 2, end);
+      flushText();
+      tokens.push({
+        kind: 'tag',
+        body: raw.trim(),
+        // タグ内の式の開始位置 (フィルタのエラー位置の計算用)
+        bodyOffset: position + 2 + (raw.length - raw.trimStart().length),
+        line,
+        column
+      });
+      position = end + 2;
+      continue;
+    }
+
+    text += source[position];
+    position++;
+  }
+
+  flushText();
+  return tokens;
+}
+
+/**
+ * ブロックタグかどうか
+ * @param {Object} token - 字句
+ * @returns {boolean}
+ */
+function isBlockTag(token) {
+  return token.kind === 'tag' && (token.body === 'else' || /^[#/]/.test(token.body));
+}
+
+/**
+ * ブロックタグだけの行から、タグ前の空白とタグ後の改行を取り除く
+ * @param {Array<Object>} tokens - 字句 (直接変更する)
+ */
+function stripStandaloneTags(tokens) {
+  // 連続するブロックタグの行も判定できるよう、取り除く前にすべてのタグを判定する
+  const standalone = tokens.map((token, index) => {
+    if (!isBlockTag(token)) return false;
+
+    const previous = tokens[index - 1];
+    const next = tokens[index + 1];
+
+    // 行頭から (前の字句が改行で終わるか、テキストの先頭)
+    const startsLine = !previous || (
+      previous.kind === 'text' &&
+      /(^|\n)[ \t]*$/.test(previous.value) &&
+      (previous.value.includes('\n') || index === 1)
+    );
+    // 行末まで (後ろの字句が改行で始まるか、テキストの末尾)
+    const endsLine = !next || (
+      next.kind === 'text' &&
+      /^[ \t]*(\r?\n|$)/.test(next.value) &&
+      (next.value.includes('\n') || index + 2 === tokens.length)
+    );
+
+    return startsLine && endsLine;
+  });
+
+  tokens.forEach((token, index) => {
+    if (!standalone[index]) return;
+
+    const previous = tokens[index - 1];
+    const next = tokens[index + 1];
+    if (previous) previous.value = previous.value.replace(/[ \t]*$/, '');
+    if (next) next.value = next.value.replace(/^[ \t]*\r?\n?/, '');
+  });
+}
+
+/**
+ * 式を | で区切る (引用符内の | は区切りとしない)
+ * @param {string} body - タグ内の式
+ * @returns {Array<Object>|null} [{ text, offset }] (引用符が閉じられていない場合はnull)
+ */
+function splitPipes(body) {
+  const segments = [];
+  let start = 0;
+  let quote = null;
+
+  for (let i = 0; i < body.length; i++) {
+    const char = body[i];
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '|') {
+      segments.push({ text: body.slice(start, i), offset: start });
+      start = i + 1;
+    }
+  }
+
+  if (quote) return null;
+  segments.push({ text: body.slice(start), offset: start });
+  return segments;
+}
+
+/**
+ * 変数の式 (name|filter:引数|...) を解析
+ * @param {string} body - タグ内の式
+ * @param {Function} fail - (message, offset) => never  offset は式内の位置
+ * @returns {Object} { name, filters: [{ name, argument }] }
+ */
+function parseExpression(body, fail) {
+  const segments = splitPipes(body);
+  if (!segments) {
+    fail('引用符が閉じられていません', body.search(/["']/));
+  }
+
+  const [nameSegment, ...filterSegments] = segments;
+  const name = nameSegment.text.trim();
+  if (!NAME_PATTERN.test(name)) {
+    fail(name ? `変数名が不正です: ${name}` : '変数名が空です', 0);
+  }
+
+  const filters = filterSegments.map(({ text, offset }) => {
+    const position = offset + (text.length - text.trimStart().length);
+    const match = text.trim().match(/^(\w+)(?:\s*:\s*([\s\S]*))?$/);
+    if (!match) {
+      fail(text.trim() ? `フィルタの指定が不正です: ${text.trim()}` : 'フィルタ名が空です', position);
+    }
+
+    const [, filterName, rawArgument] = match;
+    const filter = TEMPLATE_FILTERS[filterName];
+    if (!filter) {
+      fail(`不明なフィルタです: ${filterName} (使用できるのは ${Object.keys(TEMPLATE_FILTERS).join(', ')} です)`, position);
+    }
+
+    let argument = rawArgument === undefined ? undefined : rawArgument.trim();
+    const quoted = argument?.match(/^(["'])([\s\S]*)\1$/);
+    if (quoted) argument = quoted[2];
+
+    if (!filter.parseArgument) {
+      if (argument !== undefined) fail(`${filterName} フィルタには引数を指定できません`, position);
+      return { name: filterName };
+    }
+
+    try {
+      return { name: filterName, argument: filter.parseArgument(argument) };
+    } catch (error) {
+      fail(error.message, position);
+    }
+  });
+
+  return { name, filters };
+}
+
+/**
+ * テンプレートテキストを構文木に変換
+ * @param {string} source - テンプレートテキスト
+ * @returns {Array<Object>} 構文木のノード配列
+ *   { type: 'text', value }
+ *   { type: 'variable' | 'this', name, filters, line, column }
+ *   { type: 'if' | 'each', name, body, elseBody, line, column }
+ * @throws {TemplateSyntaxError} 構文エラーの場合
+ */
+export function parseTemplate(source) {
+  const locate = createLocator(source || '');
+  const tokens = lex(source || '', locate);
+  stripStandaloneTags(tokens);
+
+  const root = { body: [] };
+  // 開いているブロック (末尾が最も内側)
+  const stack = [];
+  const current = () => {
+    const block = stack[stack.length - 1] || root;
+    return block.inElse ? block.elseBody : block.body;
+  };
+
+  for (const token of tokens) {
+    if (token.kind === 'text') {
+      current().push({ type: 'text', value: token.value });
+      continue;
+    }
+
+    const { body, bodyOffset, line, column } = token;
+    const fail = (message) => {
+      throw new TemplateSyntaxError(message, line, column);
+    };
+    // 式内の位置を指してエラーにする
+    const failAt = (message, offset) => {
+      const location = locate(bodyOffset + Math.max(offset, 0));
+      throw new TemplateSyntaxError(message, location.line, location.column);
+    };
+
+    if (body.startsWith('#')) {
+      const [keyword, name, ...rest] = body.slice(1).trim().split(/\s+/);
+      if (!BLOCK_TYPES.has(keyword)) {
+        fail(`不明なブロック {{#${keyword}}} です (使用できるのは #if と #each です)`);
+      }
+      if (!name) {
+        fail(`{{#${keyword}}} には変数名が必要です`);
+      }
+      if (rest.length > 0 || !NAME_PATTERN.test(name)) {
+        fail(`{{#${keyword}}} の変数名が不正です: ${body.slice(1 + keyword.length).trim()}`);
+      }
+
+      const block = { type: keyword, name, body: [], elseBody: [], line, column };
+      current().push(block);
+      stack.push(block);
+      continue;
+    }
+
+    if (body.startsWith('/')) {
+      const keyword = body.slice(1).trim();
+      const block = stack[stack.length - 1];
+      if (!block) {
+        fail(`対応する {{#${keyword}}} がない {{/${keyword}}} です`);
+      }
+      if (block.type !== keyword) {
+        fail(`{{#${block.type}}} (${block.line}行${block.column}列) が {{/${keyword}}} で閉じられています`);
+      }
+
+      stack.pop();
+      delete block.inElse;
+      continue;
+    }
+
+    if (body === 'else') {
+      const block = stack[stack.length - 1];
+      if (!block) {
+        fail('{{else}} は {{#if}} または {{#each}} の中でのみ使用できます');
+      }
+      if (block.inElse) {
+        fail(`{{#${block.type}}} の中で {{else}} が重複しています`);
+      }
+
+      block.inElse = true;
+      continue;
+    }
+
+    const { name, filters } = parseExpression(body, failAt);
+    if (name === 'this') {
+      if (!stack.some(block => block.type === 'each')) {
+        fail('{{this}} は {{#each}} の中でのみ使用できます');
+      }
+      current().push({ type: 'this', filters, line, column });
+      continue;
+    }
+
+    current().push({ type: 'variable', name, filters, line, column });
+  }
+
+  if (stack.length > 0) {
+    const block = stack[stack.length - 1];
+    throw new TemplateSyntaxError(`{{#${block.type}}} が {{/${block.type}}} で閉じられていません`, block.line, block.column);
+  }
+
+  return root.body;
+}
+
+/**
+ * 構文木で使われている変数名を取得 (出現順)
+ * @param {Array<Object>} nodes - 構文木
+ * @returns {Array<string>} 変数名の配列
+ */
+export function collectVariableNames(nodes) {
+  const names = new Set();
+
+  const visit = (list) => {
+    for (const node of list) {
+      if (node.type === 'variable' || node.type === 'if' || node.type === 'each') {
+        names.add(node.name);
+      }
+      if (node.body) visit(node.body);
+      if (node.elseBody) visit(node.elseBody);
+    }
+  };
+
+  visit(nodes);
+  return Array.from(names);
+}
+
+/**
+ * 変数が入力されているか ({{#if}} の判定)
+ * @param {*} value - 変数値
+ * @returns {boolean}
+ */
+function isFilled(value) {
+  if (Array.isArray(value)) return value.length > 0;
+  if (typeof value === 'string') return value.trim() !== '';
+  return value !== undefined && value !== null && value !== false;
+}
+
+/**
+ * 構文木に変数値を適用してテキストを生成
+ * @param {Array<Object>} nodes - 構文木
+ * @param {Object} values - 変数名と値のマップ
+ * @param {Object} scope - { item: {{#each}} の現在の要素 }
+ * @returns {string} 生成されたテキスト
+ */
+export function renderNodes(nodes, values, scope = {}) {
+  return nodes.map(node => {
+    switch (node.type) {
+      case 'text':
+        return node.value;
+
+      case 'variable':
+        // 値のない変数はプレースホルダーとして残す (ユーザーが後で手動入力できるように)
+        return Object.prototype.hasOwnProperty.call(values, node.name)
+          ? stringifyValue(applyFilters(values[node.name], node.filters))
+          : `[[${node.name}]]`;
+
+      case 'this':
+        return stringifyValue(applyFilters(scope.item, node.filters));
+
+      case 'if':
+        return renderNodes(isFilled(values[node.name]) ? node.body : node.elseBody, values, scope);
+
+      case 'each': {
+        const items = toList(values[node.name]);
+        if (items.length === 0) {
+          return renderNodes(node.elseBody, values, scope);
+        }
+        return items.map(item => renderNodes(node.body, values, { ...scope, item })).join('');
+      }
+
+      default:
+        return '';
+    }
+  }).join('');
+}
+
+/**
+ * テンプレートテキストに変数値を適用
+ * @param {string} source - テンプレートテキスト
+ * @param {Object} values - 変数名と値のマップ
+ * @returns {string} 生成されたテキスト
+ * @throws {TemplateSyntaxError} 構文エラーの場合
+ */
+export function renderTemplate(source, values = {}) {
+  return renderNodes(parseTemplate(source), values);
+}
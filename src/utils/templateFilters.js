@@ -0,0 +1,114 @@
+/**
+ * テンプレートのフィルタ
+ * {{name|filter}} / {{name|filter:引数}} の形式で、変数値を整形してから出力する
+ * 例: {{meetingDate|date:"YYYY年MM月DD日"}} {{projectName|upper}} {{attendees|bullet}} {{content|truncate:200}} {{deadline|weekday}}
+ */
+
+import { formatDatePattern, formatWeekday, parseDateInput } from './dateUtils.js';
+
+/**
+ * date フィルタの既定の書式
+ */
+const DEFAULT_DATE_PATTERN = 'YYYY-MM-DD';
+
+/**
+ * 変数値をリストに変換
+ * 配列はそのまま、文字列は改行区切り (1行のみの場合はカンマ・読点区切り) で分割する
+ * @param {*} value - 変数値
+ * @returns {Array} 要素の配列
+ */
+export function toList(value) {
+  if (Array.isArray(value)) return value;
+  if (value === undefined || value === null) return [];
+
+  const text = String(value);
+  const separator = /\r?\n/.test(text) ? /\r?\n/ : /[,、]/;
+  return text.split(separator).map(item => item.trim()).filter(item => item);
+}
+
+/**
+ * 出力用の文字列に変換
+ * @param {*} value - 変数値
+ * @returns {string}
+ */
+export function stringifyValue(value) {
+  if (value === undefined || value === null) return '';
+  if (Array.isArray(value)) return value.join(', ');
+  return String(value);
+}
+
+/**
+ * 日付として解釈できない値はそのまま出力する
+ * @param {*} value - 変数値
+ * @param {Function} format - (date) => string
+ * @returns {string}
+ */
+function formatDateValue(value, format) {
+  const text = stringifyValue(value);
+  if (!text.trim()) return '';
+
+  const date = parseDateInput(text);
+  return date ? format(date) : text;
+}
+
+/**
+ * フィルタ定義
+ * parseArgument はテンプレートの解析時に引数を検証し、不正な場合はエラーを投げる
+ */
+export const TEMPLATE_FILTERS = {
+  date: {
+    label: '日付の書式 (例: date:"YYYY年MM月DD日"、[ ] で囲んだ文字はそのまま出力)',
+    parseArgument: (argument) => {
+      if (argument === undefined) return DEFAULT_DATE_PATTERN;
+      if (/\[[^\]]*$/.test(argument)) {
+        throw new Error('date の書式の [ が閉じられていません (文字をそのまま出力するには [Due:] のように囲みます)');
+      }
+      return argument;
+    },
+    apply: (value, pattern) => formatDateValue(value, date => formatDatePattern(date, pattern))
+  },
+  weekday: {
+    label: '曜日 (weekday:short で「月」)',
+    parseArgument: (argument) => {
+      if (argument !== undefined && argument !== 'short') {
+        throw new Error('weekday の引数は short のみ指定できます');
+      }
+      return argument === 'short';
+    },
+    apply: (value, short) => formatDateValue(value, date => formatWeekday(date, { short }))
+  },
+  upper: {
+    label: '英字を大文字に変換',
+    apply: (value) => stringifyValue(value).toUpperCase()
+  },
+  bullet: {
+    label: 'リストを箇条書きに変換 (bullet:"・" で記号を指定)',
+    parseArgument: (argument) => argument ?? '-',
+    apply: (value, marker) => toList(value).map(item => `${marker} ${stringifyValue(item)}`).join('\n')
+  },
+  truncate: {
+    label: '指定の文字数で切り詰め (例: truncate:200)',
+    parseArgument: (argument) => {
+      const length = Number(argument);
+      if (argument === undefined || !Number.isInteger(length) || length < 1) {
+        throw new Error('truncate には1以上の文字数を指定してください (例: truncate:200)');
+      }
+      return length;
+    },
+    apply: (value, length) => {
+      // サロゲートペアを分割しないよう文字単位で数える
+      const characters = Array.from(stringifyValue(value));
+      return characters.length > length ? `${characters.slice(0, length).join('')}…` : characters.join('');
+    }
+  }
+};
+
+/**
+ * フィルタを順に適用
+ * @param {*} value - 変数値
+ * @param {Array<Object>} filters - [{ name, argument }] (argument は parseArgument 済み)
+ * @returns {*} 適用後の値
+ */
+export function applyFilters(value, filters = []) {
+  return filters.reduce((result, filter) => TEMPLATE_FILTERS[filter.name].apply(result, filter.argument), value);
+}
@@ -32,21 +32,102 @@ const ENGLISH_STOPWORDS = new Set([
   'these', 'those', 'i', 'you', 'he', 'she', 'it', 'we', 'they'
 ]);
 
+/**
+ * ユーザー定義のストップワード (検索辞書で設定, 正規化済み)
+ * 組み込みのストップワードと異なり、単語全体だけでなく同じ Bi-gram も除外する
+ */
+let customStopwords = new Set();
+
+/**
+ * ユーザー定義の同義語グループ (検索辞書で設定, 各語は正規化済み)
+ */
+let synonymGroups = [];
+
+/**
+ * ユーザー定義のストップワードを設定
+ * 変更後は既存の検索インデックスを再構築すること
+ * @param {Array<string>} words - ストップワード
+ */
+export function setCustomStopwords(words) {
+  customStopwords = new Set(words.map(normalizeText).filter(word => word));
+}
+
+/**
+ * ユーザー定義のストップワードを取得
+ * @returns {Array<string>} 正規化済みストップワード (ソート済み)
+ */
+export function getCustomStopwords() {
+  return Array.from(customStopwords).sort();
+}
+
+/**
+ * 同義語グループを設定
+ * @param {Array<Array<string>>} groups - 同義語グループ (例: [['議事録', 'MTGメモ']])
+ */
+export function setSynonymGroups(groups) {
+  synonymGroups = groups
+    .map(group => Array.from(new Set(group.map(normalizeText).filter(term => term))))
+    .filter(group => group.length > 1);
+}
+
+/**
+ * 同義語グループを取得
+ * @returns {Array<Array<string>>} 同義語グループ (各語は正規化済み)
+ */
+export function getSynonymGroups() {
+  return synonymGroups.map(group => [...group]);
+}
+
+/**
+ * 語の同義語を取得
+ * @param {string} word - 語
+ * @returns {Array<string>} 同義語 (正規化済み, 語自身は含まない)
+ */
+export function getSynonyms(word) {
+  const normalized = normalizeText(word);
+  const synonyms = new Set();
+
+  for (const group of synonymGroups) {
+    if (group.includes(normalized)) {
+      group.forEach(term => synonyms.add(term));
+    }
+  }
+
+  synonyms.delete(normalized);
+  return Array.from(synonyms);
+}
+
+/**
+ * 表記ゆれを統一 (1文字単位の置換のみで、文字数は変わらない)
+ * @param {string} text - 入力テキスト (NFKC正規化済み)
+ * @returns {string} 統一後のテキスト
+ */
+function unifyVariants(text) {
+  return text
+    // かな直後のハイフン・波ダッシュ類は長音記号の代用とみなす (例: ﾘｽｸ-ﾏﾈｰｼﾞｬ → りすくまねーじゃ)
+    .replace(/(?<=[\u3041-\u3096\u30A1-\u30FC])[-\u2010-\u2015\u2212~\u301C]/g, 'ー')
+    // その他のダッシュ類はハイフンに
+    .replace(/[\u2010-\u2015\u2212]/g, '-')
+    // 引用符の異体字
+    .replace(/[\u201C\u201D\u201E\u301D\u301F]/g, '"')
+    .replace(/[\u2018\u2019\u201A]/g, "'")
+    // カタカナをひらがなに統一
+    .replace(/[\u30A1-\u30F6]/g, s => String.fromCharCode(s.charCodeAt(0) - 0x60));
+}
+
 /**
  * テキストを正規化
+ * NFKC正規化 (全角英数字・半角カタカナ・全角スペースなど) の後、
+ * かなの種類・長音記号・記号の表記ゆれを統一する
  * @param {string} text - 入力テキスト
  * @returns {string} 正規化されたテキスト
  */
 export function normalizeText(text) {
   if (!text || typeof text !== 'string') return '';
 
-  return text
+  return unifyVariants(text.normalize('NFKC'))
     // 小文字化
     .toLowerCase()
-    // 全角英数字を半角に変換
-    .replace(/[Ａ-Ｚａ-ｚ０-９]/g, s => String.fromCharCode(s.charCodeAt(0) - 0xFEE0))
-    // 全角スペースを半角に
-    .replace(/　/g, ' ')
     // 連続する空白を単一スペースに
     .replace(/\s+/g, ' ')
     // 前後の空白を削除
@@ -60,6 +141,16 @@ export function normalizeText(text) {
  * @returns {Array<string>} トークン配列
  */
 export function tokenize(text, options = {}) {
+  return Array.from(countTokens(text, options).keys());
+}
+
+/**
+ * テキストをトークン化し、出現回数を数える (BM25のTF計算用)
+ * @param {string} text - 入力テキスト
+ * @param {Object} options - オプション (tokenize と同じ)
+ * @returns {Map<string, number>} トークン → 出現回数
+ */
+export function countTokens(text, options = {}) {
   const {
     minLength = 2,
     maxLength = 50,
@@ -68,10 +159,14 @@ export function tokenize(text, options = {}) {
     keepNumbers = true
   } = options;
 
+  const counts = new Map();
   const normalized = normalizeText(text);
-  if (!normalized) return [];
+  if (!normalized) return counts;
 
-  const tokens = new Set();
+  const addToken = (token) => {
+    if (removeStopwords && customStopwords.has(token)) return;
+    counts.set(token, (counts.get(token) || 0) + 1);
+  };
 
   // 1. 英数字と記号で分割 (単語ベース)
   const words = normalized.split(/[\s\u3000,.、。!?！?()（）\[\]「」『』【】]+/);
@@ -90,7 +185,7 @@ export function tokenize(text, options = {}) {
         if (!keepNumbers && /^\d+$/.test(word)) {
           continue;
         }
-        tokens.add(word);
+        addToken(word);
       }
     }
     // 日本語の処理
@@ -102,7 +197,7 @@ export function tokenize(text, options = {}) {
 
       // 単語全体を追加 (2文字以上)
       if (word.length >= minLength && word.length <= maxLength) {
-        tokens.add(word);
+        addToken(word);
       }
 
       // Bi-gram生成 (日本語文字列)
@@ -111,14 +206,70 @@ export function tokenize(text, options = {}) {
           const bigram = word.substring(i, i + 2);
           // ひらがな・カタカナ・漢字のみのbi-gram
           if (/^[\u3040-\u309F\u30A0-\u30FF\u4E00-\u9FFF]{2}$/.test(bigram)) {
-            tokens.add(bigram);
+            addToken(bigram);
           }
         }
       }
+
+      // 日本語に混在する英単語 (例: MTGメモ の mtg)
+      for (const latin of word.match(/[a-z0-9]+/g) || []) {
+        if (latin.length >= minLength && latin.length <= maxLength &&
+          !(removeStopwords && ENGLISH_STOPWORDS.has(latin)) &&
+          !(!keepNumbers && /^\d+$/.test(latin))) {
+          addToken(latin);
+        }
+      }
     }
   }
 
-  return Array.from(tokens);
+  return counts;
+}
+
+/**
+ * 検索クエリをトークン化
+ * 日本語は分かち書きされないため、文書側では文全体が1語になることが多い。
+ * クエリ側の日本語の語全体トークンは必須条件から外し、Bi-gramで照合する。
+ * @param {string} query - 検索クエリ
+ * @param {Object} options - オプション (tokenize と同じ)
+ * @returns {Array<string>} トークン配列
+ */
+export function tokenizeQuery(query, options = {}) {
+  return tokenize(query, options).filter(token =>
+    token.length <= 2 || !/[\u3040-\u309F\u30A0-\u30FF\u4E00-\u9FFF]/.test(token)
+  );
+}
+
+/**
+ * フィールドごとのトークン出現回数を抽出 (BM25F用)
+ * @param {Object} document - ドキュメント
+ * @param {Array<string>} fields - 対象フィールド
+ * @param {Object} options - トークナイズオプション
+ * @returns {Object} { [field]: { counts: Map<string, number>, length: number } }
+ */
+export function extractFieldTokenCounts(document, fields, options = {}) {
+  const result = {};
+
+  for (const field of fields) {
+    const value = document[field];
+    const texts = typeof value === 'string'
+      ? [value]
+      : Array.isArray(value) ? value.filter(item => typeof item === 'string') : [];
+
+    const counts = new Map();
+    let length = 0;
+    for (const text of texts) {
+      for (const [token, count] of countTokens(text, options)) {
+        counts.set(token, (counts.get(token) || 0) + count);
+        length += count;
+      }
+    }
+
+    if (length > 0) {
+      result[field] = { counts, length };
+    }
+  }
+
+  return result;
 }
 
 /**
@@ -191,17 +342,60 @@ export function generatePrefixTokens(text, minPrefixLength = 2) {
   return prefixes;
 }
 
+/**
+ * 文字数を変えずに正規化 (normalizeText のうち1文字単位で行える処理のみ)
+ * 正規化後の位置がそのまま元テキストの位置になる
+ * @param {string} text - 入力テキスト
+ * @returns {string} 正規化済みテキスト
+ */
+function normalizePreservingPositions(text) {
+  return unifyVariants(text.replace(/[^\s]/gu, s => {
+    const normalized = s.normalize('NFKC').toLowerCase();
+    return normalized.length === s.length ? normalized : s;
+  }));
+}
+
+/**
+ * 2つの文字列の編集距離 (レーベンシュタイン距離)
+ * @param {string} a - 文字列A
+ * @param {string} b - 文字列B
+ * @param {number} maxDistance - 打ち切り距離 (超えた時点で maxDistance + 1 を返す)
+ * @returns {number} 編集距離
+ */
+export function editDistance(a, b, maxDistance = Infinity) {
+  if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > maxDistance) return maxDistance + 1;
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
 /**
  * ハイライト用のマッチ位置検出
+ * 位置は元テキスト (text) 上の文字位置
  * @param {string} text - 対象テキスト
- * @param {Array<string>} queryTokens - クエリトークン
+ * @param {Array<string>} queryTokens - クエリトークン (正規化済み)
  * @returns {Array<Object>} [{ start, end, token }, ...]
  */
 export function findMatchPositions(text, queryTokens) {
-  const normalized = normalizeText(text);
+  if (!text || typeof text !== 'string') return [];
+
+  const normalized = normalizePreservingPositions(text);
   const positions = [];
 
   for (const token of queryTokens) {
+    if (!token) continue;
     let index = 0;
     while (true) {
       index = normalized.indexOf(token, index);
@@ -0,0 +1,85 @@
+/**
+ * SearchService - 検索インデックスの構築・検索を行うサービス
+ * Web Worker 内で動作し (searchWorker.js)、Worker を使えない環境ではメインスレッドで直接使う
+ */
+
+import { InvertedIndex } from '../utils/InvertedIndex.js';
+import { setSynonymGroups, setCustomStopwords } from '../utils/tokenizer.js';
+import { parseQuery } from '../utils/queryParser.js';
+import { executeQuery, SEARCH_MODES } from '../managers/SearchManager.js';
+
+/**
+ * 呼び出しを許可する InvertedIndex のメソッド
+ */
+const INDEX_METHODS = new Set([
+  'addDocument',
+  'updateDocument',
+  'removeDocument',
+  'bulkAdd',
+  'clear',
+  'import',
+  'export',
+  'getDocuments',
+  'getStats',
+  'search',
+  'searchOr',
+  'searchPrefix'
+]);
+
+/**
+ * 検索サービスクラス
+ */
+export class SearchService {
+  constructor() {
+    // インデックス名 → InvertedIndex
+    this.indexes = new Map();
+  }
+
+  /**
+   * インデックスを取得 (未作成なら作成)
+   * @param {string} name - インデックス名
+   * @returns {InvertedIndex}
+   */
+  getIndex(name) {
+    if (!this.indexes.has(name)) {
+      this.indexes.set(name, new InvertedIndex());
+    }
+    return this.indexes.get(name);
+  }
+
+  /**
+   * コマンドを実行
+   * @param {string} command - 'index' | 'query' | 'setDictionary'
+   * @param {Object} args - コマンドの引数
+   * @returns {Promise<*>} 実行結果 (構造化複製できる値)
+   * @throws {Error} 不明なコマンド・メソッドの場合
+   */
+  async execute(command, args) {
+    switch (command) {
+      case 'index': {
+        const { name, method, params = [] } = args;
+        if (!INDEX_METHODS.has(method)) {
+          throw new Error(`Unknown index method: ${method}`);
+        }
+        return this.getIndex(name)[method](...params) ?? null;
+      }
+
+      case 'query': {
+        // 検索構文を含むクエリはインデックス内のドキュメントを対象に評価する
+        const { name, query, fields, mode = SEARCH_MODES.AND } = args;
+        const index = this.getIndex(name);
+        const ast = parseQuery(query, { defaultOperator: mode === SEARCH_MODES.OR ? 'or' : 'and' });
+        return await executeQuery(ast, { index, items: index.getDocuments(), fields, mode });
+      }
+
+      case 'setDictionary':
+        // Worker はメインスレッドとトークナイザの状態を共有しないため、検索辞書を受け取って反映する
+        setSynonymGroups(args.synonymGroups);
+        setCustomStopwords(args.stopwords);
+        return null;
+
+      default:
+        throw new Error(`Unknown search command: ${command}`);
+    }
+  }
+}
@@ -0,0 +1,291 @@
+/**
+ * SearchWorkerClient - 検索 Web Worker へのメッセージベースのAPI
+ * インデックスの構築・検索をメインスレッドから切り離し、入力中も画面が固まらないようにする
+ * Worker を使えない環境 (テスト環境など) や Worker が異常終了した場合は SearchService をメインスレッドで直接使う
+ */
+
+import { SearchService } from './SearchService.js';
+import { getSynonymGroups, getCustomStopwords } from '../utils/tokenizer.js';
+
+/**
+ * 取り消された要求の Promise を reject するエラーを生成
+ * fetch() と同様に name が 'AbortError' のエラーとする
+ * @returns {Error}
+ */
+function createAbortError() {
+  const error = new Error('Search request was cancelled');
+  error.name = 'AbortError';
+  return error;
+}
+
+/**
+ * 検索 Worker を生成 (使えない環境ではnull)
+ * @returns {Worker|null}
+ */
+function createSearchWorker() {
+  if (typeof Worker === 'undefined') return null;
+
+  try {
+    return new Worker(new URL('./searchWorker.js', import.meta.url), { type: 'module' });
+  } catch (error) {
+    console.warn('Failed to start search worker, searching on the main thread:', error);
+    return null;
+  }
+}
+
+/**
+ * Worker 上のインデックスを InvertedIndex と同じメソッド名で操作するプロキシ
+ * 戻り値はすべて Promise になる
+ */
+export class RemoteIndex {
+  /**
+   * @param {SearchWorkerClient} client - クライアント
+   * @param {string} name - インデックス名
+   */
+  constructor(client, name) {
+    this.client = client;
+    this.name = name;
+  }
+
+  call(method, params = [], options = {}) {
+    return this.client.request('index', { name: this.name, method, params }, options);
+  }
+
+  addDocument(docId, document, fields) {
+    return this.call('addDocument', [docId, document, fields]);
+  }
+
+  updateDocument(docId, document, fields) {
+    return this.call('updateDocument', [docId, document, fields]);
+  }
+
+  removeDocument(docId) {
+    return this.call('removeDocument', [docId]);
+  }
+
+  bulkAdd(documents, fields) {
+    return this.call('bulkAdd', [documents, fields]);
+  }
+
+  clear() {
+    return this.call('clear');
+  }
+
+  import(data) {
+    return this.call('import', [data]);
+  }
+
+  export() {
+    return this.call('export');
+  }
+
+  getDocuments() {
+    return this.call('getDocuments');
+  }
+
+  getStats() {
+    return this.call('getStats');
+  }
+
+  /**
+   * 全文検索 (InvertedIndex.search と同じオプションに加え signal で取り消し可能)
+   * @param {string} query - 検索クエリ
+   * @param {Object} options - { ...InvertedIndex.search のオプション, signal }
+   * @returns {Promise<Array>} 検索結果
+   */
+  search(query, options = {}) {
+    const { signal, ...searchOptions } = options;
+    return this.call('search', [query, searchOptions], { signal });
+  }
+
+  searchOr(query, options = {}) {
+    const { signal, ...searchOptions } = options;
+    return this.call('searchOr', [query, searchOptions], { signal });
+  }
+
+  searchPrefix(prefix, options = {}) {
+    const { signal, ...searchOptions } = options;
+    return this.call('searchPrefix', [prefix, searchOptions], { signal });
+  }
+
+  /**
+   * 検索構文を含むクエリを評価 (executeQuery を Worker 上で実行)
+   * @param {string} query - 検索クエリ
+   * @param {Object} options - { fields, mode, signal }
+   * @returns {Promise<Map<string, number>>} ドキュメントID → スコア
+   */
+  query(query, options = {}) {
+    const { signal, fields, mode } = options;
+    return this.client.request('query', { name: this.name, query, fields, mode }, { signal });
+  }
+}
+
+/**
+ * 検索 Worker クライアントクラス
+ */
+export class SearchWorkerClient {
+  /**
+   * @param {Object} options - { worker: 使用する Worker (省略時は生成, nullでメインスレッド実行) }
+   */
+  constructor(options = {}) {
+    this.worker = 'worker' in options ? options.worker : createSearchWorker();
+    this.service = this.worker ? null : new SearchService();
+
+    // 要求ID → { resolve, reject }
+    this.pending = new Map();
+    this.sequence = 0;
+
+    // Worker に送信済みの検索辞書
+    this.sentDictionary = null;
+
+    // メインスレッド実行に切り替わったときの通知先 (Worker 上のインデックスは失われるため再構築に使う)
+    this.fallbackListeners = [];
+
+    if (this.worker) {
+      this.worker.onmessage = (event) => this.handleMessage(event.data);
+      this.worker.onerror = (event) => this.handleWorkerError(event);
+    }
+  }
+
+  /**
+   * Worker の読み込み失敗・異常終了時にメインスレッド実行へ切り替える
+   * 処理中の要求は reject し、以降の要求はメインスレッドで実行する
+   * @param {ErrorEvent} event - エラーイベント
+   */
+  handleWorkerError(event) {
+    console.error('Search worker error, searching on the main thread:', event?.message || event);
+    event?.preventDefault?.();
+
+    this.worker.terminate();
+    this.worker = null;
+    this.service = new SearchService();
+    this.sentDictionary = null;
+
+    for (const [id, request] of Array.from(this.pending)) {
+      this.pending.delete(id);
+      request.reject(new Error('Search worker failed'));
+    }
+
+    this.fallbackListeners.forEach(listener => {
+      try {
+        listener();
+      } catch (error) {
+        console.error('Search worker fallback listener failed:', error);
+      }
+    });
+  }
+
+  /**
+   * メインスレッド実行に切り替わったときの処理を登録
+   * @param {Function} listener - 切り替え後に呼ばれる関数
+   */
+  onFallback(listener) {
+    this.fallbackListeners.push(listener);
+  }
+
+  /**
+   * インデックスのプロキシを取得
+   * @param {string} name - インデックス名
+   * @returns {RemoteIndex}
+   */
+  getIndex(name) {
+    return new RemoteIndex(this, name);
+  }
+
+  /**
+   * コマンドを送信し、結果を待つ
+   * @param {string} command - SearchService のコマンド
+   * @param {Object} args - コマンドの引数
+   * @param {Object} options - { signal: 取り消し用の AbortSignal }
+   * @returns {Promise<*>} 実行結果 (取り消された場合は AbortError で reject)
+   */
+  request(command, args, options = {}) {
+    const { signal } = options;
+    if (signal?.aborted) {
+      return Promise.reject(createAbortError());
+    }
+
+    this.syncDictionary();
+
+    const id = ++this.sequence;
+    const promise = new Promise((resolve, reject) => {
+      this.pending.set(id, { resolve, reject });
+    });
+
+    signal?.addEventListener('abort', () => this.cancel(id), { once: true });
+    this.send({ id, command, args });
+    return promise;
+  }
+
+  /**
+   * 未完了の要求を取り消す (処理前であれば Worker 側でも破棄される)
+   * @param {number} id - 要求ID
+   */
+  cancel(id) {
+    const request = this.pending.get(id);
+    if (!request) return;
+
+    this.pending.delete(id);
+    request.reject(createAbortError());
+    if (this.worker) {
+      this.worker.postMessage({ command: 'cancel', requestId: id });
+    }
+  }
+
+  send(message) {
+    if (this.worker) {
+      this.worker.postMessage(message);
+      return;
+    }
+
+    // メインスレッド実行時も Worker と同様に非同期で処理し、処理前なら取り消せるようにする
+    setTimeout(async () => {
+      if (!this.pending.has(message.id)) return;
+      try {
+        const result = await this.service.execute(message.command, message.args);
+        this.handleMessage({ id: message.id, result });
+      } catch (error) {
+        this.handleMessage({ id: message.id, error: error.message });
+      }
+    }, 0);
+  }
+
+  handleMessage(message) {
+    const request = this.pending.get(message.id);
+    // 取り消し済みの要求の結果は捨てる
+    if (!request) return;
+
+    this.pending.delete(message.id);
+    if (message.cancelled) {
+      request.reject(createAbortError());
+    } else if (message.error) {
+      request.reject(new Error(message.error));
+    } else {
+      request.resolve(message.result);
+    }
+  }
+
+  /**
+   * メインスレッドの検索辞書 (同義語・ストップワード) が変わっていれば Worker に送る
+   */
+  syncDictionary() {
+    if (!this.worker) return;
+
+    const dictionary = { synonymGroups: getSynonymGroups(), stopwords: getCustomStopwords() };
+    const serialized = JSON.stringify(dictionary);
+    if (serialized === this.sentDictionary) return;
+
+    this.sentDictionary = serialized;
+    this.worker.postMessage({ id: ++this.sequence, command: 'setDictionary', args: dictionary });
+  }
+
+  /**
+   * Worker を終了 (未完了の要求は取り消す)
+   */
+  terminate() {
+    for (const id of Array.from(this.pending.keys())) {
+      this.cancel(id);
+    }
+    this.worker?.terminate();
+  }
+}
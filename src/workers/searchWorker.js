@@ -0,0 +1,53 @@
+/**
+ * 検索 Web Worker
+ * SearchWorkerClient からのメッセージを受け取り、SearchService で処理して結果を返す
+ *
+ * 受信: { id, command, args } | { command: 'cancel', requestId }
+ * 送信: { id, result } | { id, error } | { id, cancelled: true }
+ */
+
+import { SearchService } from './SearchService.js';
+
+const service = new SearchService();
+
+// 未処理の要求 (取り消しを受け付けるため、1件ずつ処理する)
+const queue = [];
+let isScheduled = false;
+
+function schedule() {
+  if (isScheduled || queue.length === 0) return;
+  isScheduled = true;
+  // 次の要求の前に取り消しメッセージを受け取れるよう、1件ごとにイベントループへ戻す
+  setTimeout(processNext, 0);
+}
+
+async function processNext() {
+  isScheduled = false;
+  const message = queue.shift();
+  if (!message) return;
+
+  try {
+    const result = await service.execute(message.command, message.args);
+    self.postMessage({ id: message.id, result });
+  } catch (error) {
+    self.postMessage({ id: message.id, error: error.message });
+  }
+
+  schedule();
+}
+
+self.onmessage = (event) => {
+  const message = event.data;
+
+  if (message.command === 'cancel') {
+    const position = queue.findIndex(queued => queued.id === message.requestId);
+    if (position !== -1) {
+      queue.splice(position, 1);
+      self.postMessage({ id: message.requestId, cancelled: true });
+    }
+    return;
+  }
+
+  queue.push(message);
+  schedule();
+};